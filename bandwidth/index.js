@@ -0,0 +1,221 @@
+/**
+ * Decentralized bandwidth measurement on top of the CAN Box network.
+ */
+
+const { randomBytes } = require('crypto');
+const { Node } = require('../p2p/kademlia/node');
+const { NodeSpiderCrawl } = require('../p2p/kademlia/crawling');
+const { digest, len } = require('../p2p/kademlia/utils');
+const { logger } = require('../p2p/logger');
+const { Sink, upload, toMbits } = require('./throughput');
+const { BandwidthVerifier, recordKey, signRecord } = require('./verifier');
+
+/**
+ * Build a result record as described in the bandwidth README, signed by
+ * the node `identity`.  Send and Recv are in Mbits/sec; Session and Time
+ * let verifiers pair records up and reject stale or replayed ones.
+ */
+function record(identity, session, peer, sent, received) {
+    return signRecord(identity, {
+        Session: session,
+        Node: identity.id,
+        Peer: peer,
+        Send: toMbits(sent.bytes, sent.ms),
+        Recv: toMbits(received.bytes, received.ms),
+        Time: Date.now()
+    });
+}
+
+/**
+ * Runs bandwidth tests between this node (A) and the node closest to
+ * a random 160-bit hash (B), and answers tests started by other nodes.
+ *
+ * A test runs in two directions, one after the other:
+ *   1. A asks B over the `bandwidth` RPC to open a sink, then uploads to it
+ *   2. once A's upload ends, B uploads to the sink A announced
+ * Afterwards A fetches B's record over the `bandwidth_result` RPC.
+ */
+class BandwidthTester {
+    /**
+     * @param { Server } server: A listening :class:`~kademlia.network.Server`
+     * @param { Number } duration: How long each direction sends, in milliseconds
+     * @param { Number } timeout: Give up on a test after this many milliseconds
+     * @param { ILedger } ledger: Where to publish results besides the DHT,
+     *  see :mod:`p2p/ledger`
+     * @param { Number } maxSessions: Tests from others we run at once;
+     *  more are refused
+     */
+    constructor(server, duration = 3000, timeout = 30000, ledger = null, maxSessions = 4) {
+        if (!server.protocol) {
+            throw new Error('Server must be listening before attaching a bandwidth tester');
+        }
+
+        this.server = server;
+        this.duration = duration;
+        this.timeout = timeout;
+        this.ledger = ledger;
+        this.maxSessions = maxSessions;
+        this.sessions = new Map;
+        this.running = 0;
+
+        server.protocol.bandwidthTester = this;
+    }
+
+    get id() {
+        return this.server.node.id;
+    }
+
+    /**
+     * Pick a random 160-bit hash and find the closest node to it.
+     */
+    async findPeer() {
+        let { protocol, ksize, alpha } = this.server;
+        let target = new Node(digest(randomBytes(20)));
+        let nearest = protocol.router.findNeighbors(target, alpha);
+
+        if (len(nearest) === 0) {
+            return null;
+        }
+
+        let spider = new NodeSpiderCrawl(protocol, target, nearest, ksize, alpha);
+        let nodes = await spider.find();
+
+        return nodes.find(n => n.id !== this.id) || null;
+    }
+
+    /**
+     * Run a full test against `peer`, or against a peer chosen by
+     * :meth:`findPeer` when none is given.
+     *
+     * Returns:
+     *     [ local, remote ] result records, or :class:`null` if no test ran.
+     *     `remote` is null if the peer did not report its side.
+     */
+    async measure(peer = null) {
+        peer = peer || await this.findPeer();
+        if (peer === null) {
+            logger.warn("There are no known neighbors to run a bandwidth test with");
+            return null;
+        }
+
+        let protocol = this.server.protocol;
+        let session = randomBytes(20).toString('hex');
+        let sink = new Sink(this.timeout);
+
+        try {
+            let port = await sink.listen();
+            let [ ok, remotePort ] = await protocol.callBandwidth(peer, session, port);
+            if (!ok || !remotePort) {
+                logger.warn("%s refused bandwidth test %s", peer, session);
+                return null;
+            }
+
+            logger.info("running bandwidth test %s against %s", session, peer);
+            let sent = await upload(peer.ip, remotePort, this.duration, this.timeout);
+            let received = await sink.received;
+            let local = record(this.server.identity, session, peer.id, sent, received);
+            await this.publish(local);
+
+            let [ reported, remote ] = await protocol.callBandwidthResult(peer, session);
+            return [ local, reported ? remote : null ];
+        } finally {
+            sink.close();
+        }
+    }
+
+    /**
+     * Accept a test started by `peer`, which listens on `port`.
+     *
+     * Returns the port of our sink, or :class:`null` if we refuse the test.
+     */
+    async accept(peer, session, port) {
+        if (this.sessions.has(session)) {
+            logger.warn("bandwidth session %s already exists, ignoring", session);
+            return null;
+        }
+        if (this.running >= this.maxSessions) {
+            logger.warn("already running %d bandwidth tests, refusing %s from %s", this.running, session, peer);
+            return null;
+        }
+
+        this.running += 1;
+        let sink = new Sink(this.timeout);
+        let local;
+        try {
+            local = await sink.listen();
+        } catch (err) {
+            this.running -= 1;
+            throw err;
+        }
+
+        let result = (async () => {
+            try {
+                let received = await sink.received;
+                let sent = await upload(peer.ip, port, this.duration, this.timeout);
+                let local = record(this.server.identity, session, peer.id, sent, received);
+                // the peer asks for the record as soon as its upload ends,
+                // so publishing must not hold the answer back
+                this.publish(local);
+                return local;
+            } finally {
+                this.running -= 1;
+                sink.close();
+                setTimeout(() => this.sessions.delete(session), this.timeout);
+            }
+        })();
+
+        result.catch(err => {
+            logger.error("bandwidth test %s with %s failed: %s", session, peer, err.message);
+        });
+
+        this.sessions.set(session, result);
+        return local;
+    }
+
+    /**
+     * Store a record in the DHT under its deterministic key, so any node
+     * can re-verify it with a :class:`BandwidthVerifier`, and submit it
+     * to the ledger if there is one.
+     */
+    async publish(rec) {
+        let key = recordKey(rec.Session, rec.Node);
+        let value = Buffer.from(JSON.stringify(rec));
+
+        if (this.ledger !== null) {
+            try {
+                await this.ledger.submit(Object.assign({ type: 'bandwidth' }, rec));
+            } catch (err) {
+                logger.error("could not submit bandwidth record %s to the ledger: %s", key, err.message);
+            }
+        }
+
+        try {
+            return await this.server.set(key, value);
+        } catch (err) {
+            logger.error("could not publish bandwidth record %s: %s", key, err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Our record for a test started by another node, once it is done.
+     */
+    async report(session) {
+        if (!this.sessions.has(session)) {
+            return null;
+        }
+
+        try {
+            return await this.sessions.get(session);
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    BandwidthTester,
+    BandwidthVerifier,
+    record,
+    recordKey
+};
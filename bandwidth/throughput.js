@@ -0,0 +1,117 @@
+const { createServer, connect } = require('net');
+const { logger } = require('../p2p/logger');
+
+const CHUNK = Buffer.alloc(64 * 1024, 0);
+
+// Convert a byte count transferred in `ms` milliseconds to Mbits/sec.
+function toMbits(bytes, ms) {
+    if (ms <= 0) {
+        return 0;
+    }
+    return bytes * 8 / (ms / 1000) / 1e6;
+}
+
+/**
+ * The server side of a throughput test: accepts a single TCP
+ * connection and counts every byte the peer pushes through it.
+ */
+class Sink {
+    /**
+     * @param { Number } timeout:
+     *  Give up if the peer has not finished sending within this
+     *  time window (milliseconds).
+     */
+    constructor(timeout = 30000) {
+        this.timeout = timeout;
+        this.server = createServer();
+        this.port = null;
+
+        this.received = new Promise((resolve, reject) => {
+            let timer = setTimeout(() => {
+                reject(new Error('Timed out waiting for bandwidth test data'));
+            }, timeout);
+
+            this.server.once('connection', socket => {
+                let bytes = 0;
+                let start = Date.now();
+
+                // only one upload per sink
+                this.server.close();
+
+                socket.on('data', data => {
+                    bytes += data.length;
+                });
+                socket.once('end', () => {
+                    clearTimeout(timer);
+                    resolve({ bytes, ms: Date.now() - start });
+                });
+                socket.once('error', err => {
+                    clearTimeout(timer);
+                    reject(err);
+                });
+            });
+        });
+
+        // callers that never await the sink must not crash the process
+        this.received.catch(err => {
+            logger.debug('bandwidth sink failed: %s', err.message);
+        });
+    }
+
+    listen(host = '0.0.0.0') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, host, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    close() {
+        if (this.server.listening) {
+            this.server.close();
+        }
+    }
+}
+
+/**
+ * The client side of a throughput test: connect to a sink and push
+ * data at it as fast as the socket allows for `duration` milliseconds.
+ */
+function upload(ip, port, duration, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+        let bytes = 0;
+        let start = null;
+        let socket = connect(port, ip);
+
+        function pump() {
+            while (Date.now() - start < duration) {
+                bytes += CHUNK.length;
+                if (!socket.write(CHUNK)) {
+                    socket.once('drain', pump);
+                    return;
+                }
+            }
+            socket.end();
+        }
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy(new Error(`Bandwidth test to ${ip}:${port} timed out`));
+        });
+        socket.once('connect', () => {
+            start = Date.now();
+            pump();
+        });
+        socket.once('finish', () => {
+            resolve({ bytes, ms: Date.now() - start });
+        });
+        socket.once('error', reject);
+    });
+}
+
+module.exports = {
+    Sink,
+    upload,
+    toMbits
+};
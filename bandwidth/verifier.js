@@ -0,0 +1,246 @@
+const { Identity } = require('../p2p/identity');
+const { logger } = require('../p2p/logger');
+
+// Deterministic DHT key of the record `node` published for `session`.
+function recordKey(session, node) {
+    return `bandwidth:${session}:${node}`;
+}
+
+// Relative difference between two rates, 0 when both are 0.
+function deviation(x, y) {
+    let top = Math.max(Math.abs(x), Math.abs(y));
+    if (top === 0) {
+        return 0;
+    }
+    return Math.abs(x - y) / top;
+}
+
+// What a node signs of its record: every field but the key and signature.
+function signable(rec) {
+    let { Session, Node, Peer, Send, Recv, Time } = rec;
+    return Buffer.from(JSON.stringify([ Session, Node, Peer, Send, Recv, Time ]));
+}
+
+/**
+ * Sign `rec` as the node `identity`, whose id must be its Node.
+ *
+ * Returns:
+ *     A copy of `rec` with the public key and signature, hex encoded,
+ *     in its Key and Sig fields.
+ */
+function signRecord(identity, rec) {
+    let Key = identity.publicKey.toString('hex');
+    let Sig = identity.sign(signable(rec)).toString('hex');
+    return Object.assign({}, rec, { Key, Sig });
+}
+
+// Whether `rec` was signed by the node it names as its Node.
+function verifyRecord(rec) {
+    if (typeof rec.Key !== 'string' || typeof rec.Sig !== 'string') {
+        return false;
+    }
+
+    let key = Buffer.from(rec.Key, 'hex');
+    return Identity.idOf(key) === rec.Node && Identity.verify(key, signable(rec), Buffer.from(rec.Sig, 'hex'));
+}
+
+function parse(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.isBuffer(value) ? value.toString() : value);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Cross-validates the two records of a bandwidth test session.
+ *
+ * A session is valid when both A and B published a record signed with
+ * their own node keys, the records name each other, both are recent,
+ * and what one side sent agrees with what the other side received
+ * within `tolerance`.
+ *
+ * A session is accepted only once.  With a ledger, accepted sessions are
+ * recorded there as `bandwidth-verified` records, so every verifier that
+ * shares the ledger, or restarts, refuses them again.
+ */
+class BandwidthVerifier {
+    /**
+     * @param { Server } server: A listening :class:`~kademlia.network.Server`
+     * @param { Number } tolerance: Maximum relative deviation between
+     *  A's Send and B's Recv (and B's Send and A's Recv)
+     * @param { Number } maxAge: Reject records older than this many milliseconds
+     * @param { Number } skew: Allowed clock skew for records from the future
+     * @param { ILedger } ledger: Where accepted sessions are kept, see
+     *  :mod:`p2p/ledger`; in memory when null
+     */
+    constructor(server, tolerance = 0.2, maxAge = 3600000, skew = 60000, ledger = null) {
+        this.server = server;
+        this.tolerance = tolerance;
+        this.maxAge = maxAge;
+        this.skew = skew;
+        this.ledger = ledger;
+        this.verified = new Map;
+        // sessions being checked right now
+        this.checking = new Set;
+    }
+
+    get now() {
+        return Date.now();
+    }
+
+    /**
+     * Fetch both records of `session` from the DHT.
+     */
+    async collect(session, a, b) {
+        let [ ra, rb ] = await Promise.all([
+            this.server.get(recordKey(session, a)),
+            this.server.get(recordKey(session, b))
+        ]);
+
+        return [ parse(ra), parse(rb) ];
+    }
+
+    /**
+     * Check the records `ra` and `rb` found for the nodes `a` and `b`.
+     * Anyone can store a record under any key, so each must be that of
+     * the node it was found for.
+     *
+     * Returns:
+     *     [ true, null ] if they are valid, [ false, reason ] otherwise.
+     */
+    verify(session, a, b, ra, rb) {
+        if (!ra || !rb) {
+            return [ false, 'one-sided' ];
+        }
+
+        if (ra.Node !== a || rb.Node !== b) {
+            return [ false, 'wrong node' ];
+        }
+
+        for (let rec of [ ra, rb ]) {
+            if (rec.Session !== session) {
+                return [ false, 'session mismatch' ];
+            }
+
+            for (let field of [ 'Send', 'Recv', 'Time' ]) {
+                if (typeof rec[field] !== 'number' || !isFinite(rec[field]) || rec[field] < 0) {
+                    return [ false, `malformed ${field}` ];
+                }
+            }
+
+            if (this.now - rec.Time > this.maxAge) {
+                return [ false, 'stale' ];
+            }
+
+            if (rec.Time - this.now > this.skew) {
+                return [ false, 'from the future' ];
+            }
+
+            if (!verifyRecord(rec)) {
+                return [ false, 'bad signature' ];
+            }
+        }
+
+        if (ra.Node !== rb.Peer || rb.Node !== ra.Peer || ra.Node === ra.Peer) {
+            return [ false, 'unpaired' ];
+        }
+
+        if (deviation(ra.Send, rb.Recv) > this.tolerance) {
+            return [ false, 'A->B out of tolerance' ];
+        }
+
+        if (deviation(rb.Send, ra.Recv) > this.tolerance) {
+            return [ false, 'B->A out of tolerance' ];
+        }
+
+        return [ true, null ];
+    }
+
+    /**
+     * Collect and verify the records `a` and `b` published for `session`.
+     * A session is accepted only once; later claims for it are replays.
+     */
+    async check(session, a, b) {
+        if (this.checking.has(session)) {
+            logger.warn("rejecting bandwidth session %s: replayed", session);
+            return [ false, 'replayed' ];
+        }
+
+        this.checking.add(session);
+        try {
+            let [ ok, reason ] = [ false, 'replayed' ];
+            let records = null;
+
+            if (!(await this.accepted(session))) {
+                records = await this.collect(session, a, b);
+                [ ok, reason ] = this.verify(session, a, b, ...records);
+                if (ok) {
+                    [ ok, reason ] = await this.accept(session, a, b);
+                }
+            }
+
+            if (!ok) {
+                logger.warn("rejecting bandwidth session %s: %s", session, reason);
+                return [ false, reason ];
+            }
+            return [ true, records ];
+        } finally {
+            this.checking.delete(session);
+        }
+    }
+
+    // Whether `session` was accepted before, here or by the ledger.
+    async accepted(session) {
+        if (this.ledger === null) {
+            this.forget();
+            return this.verified.has(session);
+        }
+
+        let found = await this.ledger.query({ type: 'bandwidth-verified', Session: session });
+        return found.length > 0;
+    }
+
+    /**
+     * Record `session` as accepted.
+     *
+     * Returns:
+     *     [ true, null ], or [ false, reason ] if it could not be recorded.
+     */
+    async accept(session, a, b) {
+        if (this.ledger === null) {
+            this.verified.set(session, this.now);
+            return [ true, null ];
+        }
+
+        try {
+            await this.ledger.submit({ type: 'bandwidth-verified', Session: session, Node: a, Peer: b, Time: this.now });
+            return [ true, null ];
+        } catch (err) {
+            logger.error("could not record bandwidth session %s in the ledger: %s", session, err.message);
+            return [ false, 'unrecorded' ];
+        }
+    }
+
+    // Drop accepted sessions whose records would be rejected as stale anyway.
+    forget() {
+        let oldest = this.now - this.maxAge - this.skew;
+        for (let [ session, time ] of this.verified) {
+            if (time < oldest) {
+                this.verified.delete(session);
+            }
+        }
+    }
+}
+
+module.exports = {
+    BandwidthVerifier,
+    recordKey,
+    signRecord,
+    verifyRecord,
+    deviation
+};
@@ -0,0 +1,608 @@
+/**
+ * A small authoritative DNS front end for the GSLB resolver.
+ *
+ * For a zone such as `gslb.canbox.example` it answers:
+ *   - A/AAAA for `<service>.<zone>` with the top ranked nodes
+ *   - SRV for `_<service>._udp.<zone>` (or `_tcp`), with the node
+ *     addresses as glue under `<node id>.node.<zone>`
+ *   - A/AAAA for those `<node id>.node.<zone>` names
+ * Answers depend on the client, taken from the EDNS Client Subnet
+ * option when present and from the query source otherwise.  The nodes
+ * of a service are only looked up once a TTL, whoever asks, so queries
+ * cannot make us crawl the DHT faster than that.
+ *
+ * The zone apex answers SOA and NS, and negative answers carry the SOA
+ * so resolvers can cache them.  Names are compressed, and answers that
+ * still do not fit the client's buffer lose their glue first, then
+ * records from the end with the TC bit set.
+ */
+
+const { createSocket } = require('dgram');
+const { isIPv4, isIPv6 } = require('net');
+const { logger } = require('../p2p/logger');
+
+const TYPE_A = 1;
+const TYPE_NS = 2;
+const TYPE_SOA = 6;
+const TYPE_AAAA = 28;
+const TYPE_SRV = 33;
+const TYPE_OPT = 41;
+const CLASS_IN = 1;
+
+const RCODE_NOERROR = 0;
+const RCODE_FORMERR = 1;
+const RCODE_NXDOMAIN = 3;
+const RCODE_REFUSED = 5;
+
+const OPTION_ECS = 8;
+
+// largest answer to a client without EDNS, and to any client
+const UDP_SIZE = 512;
+const MAX_UDP_SIZE = 4096;
+
+class MalformedQuery extends Error {
+}
+
+function readName(buf, offset) {
+    let labels = [];
+    let end = null;
+    let jumps = 0;
+
+    for (;;) {
+        if (offset >= buf.length) {
+            throw new MalformedQuery('name runs past the end of the packet');
+        }
+
+        let size = buf[offset];
+        if ((size & 0xc0) === 0xc0) {
+            if (++jumps > 16) {
+                throw new MalformedQuery('too many compression pointers');
+            }
+            if (end === null) {
+                end = offset + 2;
+            }
+            offset = buf.readUInt16BE(offset) & 0x3fff;
+            continue;
+        }
+
+        offset += 1;
+        if (size === 0) {
+            break;
+        }
+
+        labels.push(buf.toString('ascii', offset, offset + size));
+        offset += size;
+    }
+
+    return [ labels.join('.').toLowerCase(), end === null ? offset : end ];
+}
+
+/**
+ * Writes a DNS message, pointing repeated names back at their first
+ * occurrence (RFC 1035, section 4.1.4).
+ */
+class Packet {
+    constructor() {
+        this.parts = [];
+        this.length = 0;
+        this.names = new Map;
+    }
+
+    push(buf) {
+        this.parts.push(buf);
+        this.length += buf.length;
+    }
+
+    name(name, compress = true) {
+        let labels = name.split('.').filter(l => l.length > 0);
+
+        for (let i = 0; i < labels.length; i++) {
+            let suffix = labels.slice(i).join('.').toLowerCase();
+            if (compress && this.names.has(suffix)) {
+                let pointer = Buffer.alloc(2);
+                pointer.writeUInt16BE(0xc000 | this.names.get(suffix), 0);
+                this.push(pointer);
+                return;
+            }
+            if (this.length < 0x4000 && !this.names.has(suffix)) {
+                this.names.set(suffix, this.length);
+            }
+            this.push(Buffer.concat([ Buffer.from([ labels[i].length ]), Buffer.from(labels[i], 'ascii') ]));
+        }
+        this.push(Buffer.from([ 0 ]));
+    }
+
+    /**
+     * Append a resource record made with :func:`record`; names in its
+     * rdata are compressed unless it is an SRV (RFC 2782).
+     */
+    record({ name, type, ttl, rdata }) {
+        this.name(name);
+
+        let head = Buffer.alloc(10);
+        head.writeUInt16BE(type, 0);
+        head.writeUInt16BE(CLASS_IN, 2);
+        head.writeUInt32BE(ttl, 4);
+        this.push(head);
+
+        let start = this.length;
+        for (let part of rdata) {
+            if (typeof part === 'string') {
+                this.name(part, type !== TYPE_SRV);
+            } else {
+                this.push(part);
+            }
+        }
+        head.writeUInt16BE(this.length - start, 8);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.parts);
+    }
+}
+
+function ipv6ToBuffer(ip) {
+    let [ head, tail = null ] = ip.split('::');
+    let left = head ? head.split(':') : [];
+    let right = tail ? tail.split(':') : [];
+
+    // embedded IPv4, e.g. ::ffff:1.2.3.4
+    let last = right.length ? right : left;
+    if (last.length && isIPv4(last[last.length - 1])) {
+        let [ a, b, c, d ] = last.pop().split('.').map(Number);
+        last.push(((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+    }
+
+    let missing = tail === null ? 0 : 8 - left.length - right.length;
+    let groups = [ ...left, ...Array(missing).fill('0'), ...right ];
+    let buf = Buffer.alloc(16);
+
+    groups.forEach((group, i) => buf.writeUInt16BE(parseInt(group, 16), i * 2));
+    return buf;
+}
+
+function bufferToIPv6(buf) {
+    let groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buf.readUInt16BE(i).toString(16));
+    }
+    return groups.join(':');
+}
+
+function parseQuery(buf) {
+    if (buf.length < 12) {
+        throw new MalformedQuery('packet too small');
+    }
+
+    let query = {
+        id: buf.readUInt16BE(0),
+        flags: buf.readUInt16BE(2),
+        question: null,
+        edns: null
+    };
+
+    let qdcount = buf.readUInt16BE(4);
+    let ancount = buf.readUInt16BE(6);
+    let nscount = buf.readUInt16BE(8);
+    let arcount = buf.readUInt16BE(10);
+
+    if (qdcount !== 1) {
+        throw new MalformedQuery(`expected one question, got ${qdcount}`);
+    }
+
+    let [ name, offset ] = readName(buf, 12);
+    query.question = { name, type: buf.readUInt16BE(offset), cls: buf.readUInt16BE(offset + 2) };
+    offset += 4;
+
+    // skip answers and authorities, look for OPT among additionals
+    for (let i = 0; i < ancount + nscount + arcount; i++) {
+        let [ , next ] = readName(buf, offset);
+        let type = buf.readUInt16BE(next);
+        let size = buf.readUInt16BE(next + 8);
+        let rdata = next + 10;
+
+        if (type === TYPE_OPT && i >= ancount + nscount) {
+            query.edns = { size: buf.readUInt16BE(next + 2), ecs: null };
+
+            let o = rdata;
+            while (o + 4 <= rdata + size) {
+                let code = buf.readUInt16BE(o);
+                let length = buf.readUInt16BE(o + 2);
+                if (code === OPTION_ECS && length >= 4) {
+                    let family = buf.readUInt16BE(o + 4);
+                    let prefix = buf[o + 6];
+                    let bytes = buf.slice(o + 8, o + 4 + length);
+                    query.edns.ecs = { family, prefix, bytes };
+                }
+                o += 4 + length;
+            }
+        }
+        offset = rdata + size;
+    }
+
+    return query;
+}
+
+// The client address an EDNS Client Subnet option stands for.
+function subnetAddress({ family, bytes }) {
+    if (family === 1) {
+        let full = Buffer.alloc(4);
+        bytes.copy(full, 0, 0, 4);
+        return Array.from(full).join('.');
+    }
+
+    if (family === 2) {
+        let full = Buffer.alloc(16);
+        bytes.copy(full, 0, 0, 16);
+        return bufferToIPv6(full);
+    }
+
+    return null;
+}
+
+// A resource record; `rdata` is a list of buffers and names.
+function record(name, type, ttl, rdata) {
+    return { name, type, ttl, rdata };
+}
+
+function addressRecord(name, ip, ttl) {
+    if (isIPv4(ip)) {
+        return record(name, TYPE_A, ttl, [ Buffer.from(ip.split('.').map(Number)) ]);
+    }
+    return record(name, TYPE_AAAA, ttl, [ ipv6ToBuffer(ip) ]);
+}
+
+function srvRecord(name, ttl, priority, weight, port, target) {
+    let head = Buffer.alloc(6);
+    head.writeUInt16BE(priority, 0);
+    head.writeUInt16BE(weight, 2);
+    head.writeUInt16BE(port, 4);
+    return record(name, TYPE_SRV, ttl, [ head, target ]);
+}
+
+function nsRecord(name, ttl, nameserver) {
+    return record(name, TYPE_NS, ttl, [ nameserver ]);
+}
+
+// `minimum` is also how long resolvers may cache a negative answer.
+function soaRecord(name, ttl, nameserver, mailbox, serial, minimum) {
+    let times = Buffer.alloc(20);
+    times.writeUInt32BE(serial >>> 0, 0);
+    times.writeUInt32BE(3600, 4);
+    times.writeUInt32BE(600, 8);
+    times.writeUInt32BE(86400, 12);
+    times.writeUInt32BE(minimum, 16);
+    return record(name, TYPE_SOA, ttl, [ nameserver, mailbox, times ]);
+}
+
+function optRecord(ecs) {
+    let options = Buffer.alloc(0);
+
+    if (ecs) {
+        let bytes = ecs.bytes.slice(0, Math.ceil(ecs.prefix / 8));
+        let option = Buffer.alloc(8);
+        option.writeUInt16BE(OPTION_ECS, 0);
+        option.writeUInt16BE(4 + bytes.length, 2);
+        option.writeUInt16BE(ecs.family, 4);
+        option[6] = ecs.prefix;
+        // the answer is valid for the whole subnet the client sent
+        option[7] = ecs.prefix;
+        options = Buffer.concat([ option, bytes ]);
+    }
+
+    let head = Buffer.alloc(11);
+    head[0] = 0;
+    head.writeUInt16BE(TYPE_OPT, 1);
+    head.writeUInt16BE(512, 3);
+    head.writeUInt32BE(0, 5);
+    head.writeUInt16BE(options.length, 9);
+    return Buffer.concat([ head, options ]);
+}
+
+class DNSServer {
+    /**
+     * @param { Resolver } resolver: A :class:`~gslb.resolver.Resolver`
+     * @param { String } zone: The zone this server is authoritative for
+     * @param { Object } fallback: Service name to a static list of
+     *  addresses (`ip` or `[ ip, port ]`) used when no node is healthy
+     * @param { Number } ttl: TTL of every answer, in seconds
+     * @param { Number } count: How many nodes to answer with
+     * @param { String } nameserver: Name of this server in the NS and SOA
+     *  records of the zone, `ns.<zone>` by default
+     */
+    constructor(resolver, zone, fallback = {}, ttl = 30, count = 4, nameserver = null) {
+        this.resolver = resolver;
+        this.zone = zone.toLowerCase().replace(/\.$/, '');
+        this.fallback = new Map(Object.entries(fallback));
+        this.ttl = ttl;
+        this.count = count;
+        this.nameserver = nameserver || `ns.${this.zone}`;
+        // answers change all the time; any increasing serial will do
+        this.serial = Math.floor(Date.now() / 1000);
+        this.transport = null;
+        // service -> [ its candidates, when they are looked up again ]
+        this.pools = new Map;
+    }
+
+    listen(port = 53, host = '0.0.0.0') {
+        let transport = createSocket(isIPv6(host) ? 'udp6' : 'udp4');
+        this.transport = transport;
+
+        transport.on('message', (data, rinfo) => {
+            this.datagram_received(data, rinfo).catch(err => {
+                logger.error("GSLB DNS: could not answer %s:%d: %O", rinfo.address, rinfo.port, err);
+            });
+        });
+        transport.on('error', err => {
+            logger.error("GSLB DNS error: %O", err);
+        });
+
+        return new Promise((resolve, reject) => {
+            transport.once('error', reject);
+            transport.bind(port, host, () => {
+                logger.info("GSLB DNS for %s listening on %s:%d", this.zone, host, port);
+                resolve('ok');
+            });
+        });
+    }
+
+    stop() {
+        if (this.transport) {
+            this.transport.close();
+            this.transport = null;
+        }
+    }
+
+    async datagram_received(data, rinfo) {
+        let query;
+        try {
+            query = parseQuery(data);
+        } catch (err) {
+            logger.warn("GSLB DNS: malformed query from %s: %s", rinfo.address, err.message);
+            if (data.length >= 2) {
+                let answer = this.answer({ id: data.readUInt16BE(0), flags: 0, question: null, edns: null },
+                    RCODE_FORMERR);
+                this.transport.send(answer, rinfo.port, rinfo.address);
+            }
+            return;
+        }
+
+        let ecs = query.edns && query.edns.ecs;
+        let client = (ecs && subnetAddress(ecs)) || rinfo.address;
+        let [ rcode, answers, authorities, additionals ] = await this.lookup(query.question, client);
+
+        let packet = this.answer(query, rcode, answers, authorities, additionals);
+        this.transport.send(packet, rinfo.port, rinfo.address);
+    }
+
+    /**
+     * Map a question to a service name.
+     *
+     * Returns:
+     *     [ service, isSRV ], or :class:`null` if the name is outside the zone.
+     */
+    service(name) {
+        let suffix = '.' + this.zone;
+        if (!name.endsWith(suffix)) {
+            return null;
+        }
+
+        let labels = name.slice(0, -suffix.length).split('.');
+        if (labels.length === 2 && labels[0].startsWith('_') && /^_(udp|tcp)$/.test(labels[1])) {
+            return [ labels[0].slice(1), true ];
+        }
+        if (labels.length === 1) {
+            return [ labels[0], false ];
+        }
+        return [ null, false ];
+    }
+
+    // The node id in a `<node id>.node.<zone>` name, or null.
+    nodeId(name) {
+        let suffix = `.node.${this.zone}`;
+        let id = name.endsWith(suffix) ? name.slice(0, -suffix.length) : '';
+        return /^[0-9a-z-]+$/.test(id) ? id : null;
+    }
+
+    services() {
+        return Array.from(new Set([ ...this.resolver.catalog.keys(), ...this.fallback.keys() ]));
+    }
+
+    // The healthy candidates of `service`, from the resolver at most once
+    // a TTL.
+    pool(service) {
+        let now = Date.now();
+        let cached = this.pools.get(service);
+        if (!cached || cached[1] <= now) {
+            cached = [ this.resolver.candidates(service), now + this.ttl * 1000 ];
+            this.pools.set(service, cached);
+            cached[0].catch(() => {
+                if (this.pools.get(service) === cached) {
+                    this.pools.delete(service);
+                }
+            });
+        }
+        return cached[0];
+    }
+
+    /**
+     * Returns:
+     *     The best addresses for `service` as [ id, ip, port ] tuples,
+     *     falling back to the static pool.
+     */
+    async nodes(service, client) {
+        let candidates = await this.pool(service);
+        if (candidates.length > 0) {
+            let ranked = await this.resolver.rank(client, candidates, this.count);
+            return ranked.map(({ node }) => [ node.id, node.ip, node.port ]);
+        }
+
+        logger.info("GSLB DNS: no healthy node for %s, answering from static pool", service);
+        return this.statics(service);
+    }
+
+    // The static pool of `service` as [ id, ip, port ] tuples; the ids
+    // name the service too, as the same index does in every pool.
+    statics(service) {
+        let pool = this.fallback.get(service) || [];
+        return pool.slice(0, this.count).map((entry, i) => {
+            let [ ip, port = 0 ] = Array.isArray(entry) ? entry : [ entry ];
+            return [ `static${i}-${service}`, ip, port ];
+        });
+    }
+
+    // The [ id, ip, port ] of node `id` among those of every service, or null.
+    async node(id) {
+        for (let service of this.services()) {
+            let candidates = await this.pool(service);
+            let nodes = candidates.length > 0
+                ? candidates.map(({ node }) => [ node.id, node.ip, node.port ])
+                : this.statics(service);
+
+            let found = nodes.find(([ other ]) => other === id);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    soa() {
+        return soaRecord(this.zone, this.ttl, this.nameserver, `hostmaster.${this.zone}`, this.serial, this.ttl);
+    }
+
+    /**
+     * Returns:
+     *     [ rcode, answers, authorities, additionals ] for `question`.
+     */
+    async lookup(question, client) {
+        let { name, type, cls } = question;
+
+        if (cls !== CLASS_IN) {
+            return [ RCODE_REFUSED, [], [], [] ];
+        }
+        if (name === this.zone) {
+            if (type === TYPE_SOA) {
+                return [ RCODE_NOERROR, [ this.soa() ], [], [] ];
+            }
+            if (type === TYPE_NS) {
+                return [ RCODE_NOERROR, [ nsRecord(this.zone, this.ttl, this.nameserver) ], [], [] ];
+            }
+            return [ RCODE_NOERROR, [], [ this.soa() ], [] ];
+        }
+
+        // the targets of our SRV answers
+        let id = this.nodeId(name);
+        if (id !== null) {
+            let found = await this.node(id);
+            if (found === null) {
+                return [ RCODE_NXDOMAIN, [], [ this.soa() ], [] ];
+            }
+
+            let [ , ip ] = found;
+            if ((type === TYPE_A && isIPv4(ip)) || (type === TYPE_AAAA && isIPv6(ip))) {
+                return [ RCODE_NOERROR, [ addressRecord(name, ip, this.ttl) ], [], [] ];
+            }
+            return [ RCODE_NOERROR, [], [ this.soa() ], [] ];
+        }
+
+        let mapped = this.service(name);
+        if (mapped === null) {
+            return [ RCODE_REFUSED, [], [], [] ];
+        }
+
+        let [ service, srv ] = mapped;
+        let known = this.resolver.catalog.has(service) || this.fallback.has(service);
+        if (!known) {
+            return [ RCODE_NXDOMAIN, [], [ this.soa() ], [] ];
+        }
+
+        let wanted = srv ? [ TYPE_SRV ] : [ TYPE_A, TYPE_AAAA ];
+        if (!wanted.includes(type)) {
+            return [ RCODE_NOERROR, [], [ this.soa() ], [] ];
+        }
+
+        let nodes = await this.nodes(service, client);
+        let answers = [];
+        let additionals = [];
+
+        for (let [ index, [ id, ip, port ] ] of nodes.entries()) {
+            if (srv) {
+                let target = `${id}.node.${this.zone}`;
+                answers.push(srvRecord(name, this.ttl, index, 0, port, target));
+                additionals.push(addressRecord(target, ip, this.ttl));
+            }
+            else if ((type === TYPE_A && isIPv4(ip)) || (type === TYPE_AAAA && isIPv6(ip))) {
+                answers.push(addressRecord(name, ip, this.ttl));
+            }
+        }
+
+        if (answers.length === 0) {
+            // a service without any address of the asked family
+            return [ RCODE_NOERROR, [], [ this.soa() ], [] ];
+        }
+        return [ RCODE_NOERROR, answers, [], additionals ];
+    }
+
+    /**
+     * Build the reply to `query`, no larger than the client can take:
+     * glue goes first, then answers from the end, with TC set.
+     */
+    answer(query, rcode, answers = [], authorities = [], additionals = []) {
+        let limit = query.edns ? Math.min(Math.max(query.edns.size, UDP_SIZE), MAX_UDP_SIZE) : UDP_SIZE;
+        let truncated = false;
+
+        for (;;) {
+            let packet = this.message(query, rcode, truncated, answers, authorities, additionals);
+            if (packet.length <= limit || answers.length + authorities.length + additionals.length === 0) {
+                return packet;
+            }
+
+            if (additionals.length > 0) {
+                additionals = additionals.slice(0, -1);
+            } else {
+                truncated = true;
+                authorities = [];
+                answers = answers.slice(0, -1);
+            }
+        }
+    }
+
+    message(query, rcode, truncated, answers, authorities, additionals) {
+        let { id, flags, question, edns } = query;
+        let opt = edns ? [ optRecord(edns.ecs) ] : [];
+
+        let head = Buffer.alloc(12);
+        head.writeUInt16BE(id, 0);
+        // QR, AA, TC, copy RD
+        head.writeUInt16BE(0x8400 | (truncated ? 0x0200 : 0) | (flags & 0x0100) | rcode, 2);
+        head.writeUInt16BE(question ? 1 : 0, 4);
+        head.writeUInt16BE(answers.length, 6);
+        head.writeUInt16BE(authorities.length, 8);
+        head.writeUInt16BE(additionals.length + opt.length, 10);
+
+        let packet = new Packet;
+        packet.push(head);
+        if (question) {
+            let tail = Buffer.alloc(4);
+            tail.writeUInt16BE(question.type, 0);
+            tail.writeUInt16BE(question.cls, 2);
+            packet.name(question.name);
+            packet.push(tail);
+        }
+
+        for (let rr of [ ...answers, ...authorities, ...additionals ]) {
+            packet.record(rr);
+        }
+        for (let raw of opt) {
+            packet.push(raw);
+        }
+        return packet.toBuffer();
+    }
+}
+
+module.exports = {
+    DNSServer,
+    MalformedQuery,
+    parseQuery
+};
@@ -0,0 +1,168 @@
+/**
+ * A small GeoIP database read from a local CSV file.
+ *
+ * The file has one IPv4 network per line:
+ *     network,country,latitude,longitude
+ *     1.0.1.0/24,CN,26.06,119.30
+ * Lines starting with '#' and a leading header line are skipped.
+ */
+
+const fs = require('fs');
+const { isIPv4 } = require('net');
+const { logger } = require('../p2p/logger');
+
+const EARTH_RADIUS = 6371;
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+}
+
+// Great-circle distance between two { latitude, longitude } in kilometers.
+function haversine(a, b) {
+    let rad = deg => deg * Math.PI / 180;
+    let dlat = rad(b.latitude - a.latitude);
+    let dlon = rad(b.longitude - a.longitude);
+    let h = Math.sin(dlat / 2) ** 2 +
+        Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dlon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Disjoint ranges covering what `networks` do, each address with the
+ * narrowest network that holds it.  Networks are either nested or apart,
+ * so one sweep that keeps the enclosing networks on a stack is enough.
+ */
+function flatten(networks) {
+    let sorted = networks.slice().sort((a, b) => a.start - b.start || b.end - a.end);
+    let flat = [];
+    let enclosing = [];
+    // first address nothing in `flat` covers yet
+    let next = 0;
+
+    let cover = (network, end) => {
+        if (next <= end) {
+            flat.push(Object.assign({}, network, { start: next, end }));
+        }
+        next = end + 1;
+    };
+
+    for (let network of sorted) {
+        while (enclosing.length && enclosing[enclosing.length - 1].end < network.start) {
+            let done = enclosing.pop();
+            cover(done, done.end);
+        }
+        if (enclosing.length) {
+            cover(enclosing[enclosing.length - 1], network.start - 1);
+        }
+        next = Math.max(next, network.start);
+        enclosing.push(network);
+    }
+    while (enclosing.length) {
+        let done = enclosing.pop();
+        cover(done, done.end);
+    }
+    return flat;
+}
+
+class GeoIP {
+    constructor(path) {
+        this.path = path;
+        this.ranges = [];
+        this.load();
+    }
+
+    load() {
+        let lines = fs.readFileSync(this.path, 'utf8').split(/\r?\n/);
+        let ranges = [];
+
+        for (let [ index, line ] of lines.entries()) {
+            line = line.trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            let [ network, country, latitude, longitude ] = line.split(',').map(f => f.trim());
+            let [ base, bits = '32' ] = network.split('/');
+
+            if (!isIPv4(base)) {
+                if (index > 0) {
+                    logger.warn("GeoIP %s: skipping line %d: %s", this.path, index + 1, line);
+                }
+                continue;
+            }
+
+            let size = 2 ** (32 - Number(bits));
+            let start = ipToInt(base) - ipToInt(base) % size;
+            ranges.push({
+                start,
+                end: start + size - 1,
+                country,
+                latitude: Number(latitude),
+                longitude: Number(longitude)
+            });
+        }
+
+        this.ranges = flatten(ranges);
+        logger.info("GeoIP %s: loaded %d networks", this.path, ranges.length);
+    }
+
+    /**
+     * Returns:
+     *     { country, latitude, longitude } for `ip`, or :class:`null`.
+     */
+    lookup(ip) {
+        if (!isIPv4(ip)) {
+            return null;
+        }
+
+        let n = ipToInt(ip);
+        let lo = 0;
+        let hi = this.ranges.length - 1;
+        let found = -1;
+
+        // last range starting at or before n; ranges do not overlap
+        while (lo <= hi) {
+            let mid = (lo + hi) >> 1;
+            if (this.ranges[mid].start <= n) {
+                found = mid;
+                lo = mid + 1;
+            }
+            else {
+                hi = mid - 1;
+            }
+        }
+
+        if (found < 0 || this.ranges[found].end < n) {
+            return null;
+        }
+
+        let { country, latitude, longitude } = this.ranges[found];
+        return { country, latitude, longitude };
+    }
+
+    /**
+     * A locality function for :class:`~gslb.resolver.Resolver`: scores
+     * 1 for the same spot, falling off with distance, and 0 when either
+     * side is unknown.
+     *
+     * @param { Number } scale: Distance in kilometers at which the score is 0.5
+     */
+    locality(scale = 1000) {
+        return (client, node) => {
+            let a = this.lookup(client);
+            let b = this.lookup(node.ip);
+
+            if (a === null || b === null) {
+                return 0;
+            }
+
+            return 1 / (1 + haversine(a, b) / scale);
+        };
+    }
+}
+
+module.exports = {
+    GeoIP,
+    haversine
+};
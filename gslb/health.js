@@ -0,0 +1,236 @@
+/**
+ * Active health checking of GSLB candidate nodes.
+ */
+
+const http = require('http');
+const { logger } = require('../p2p/logger');
+
+// Wrap IPv6 literals for use in URLs.
+function hostOf(ip) {
+    return ip.includes(':') ? `[${ip}]` : ip;
+}
+
+/**
+ * Checks every node the resolver hands out, on a schedule, with a
+ * Kademlia ping and (optionally) an HTTP probe.
+ *
+ * A node goes down after `fall` consecutive failed checks and comes back
+ * up after `rise` consecutive good ones, so a single lost datagram does
+ * not move traffic around.
+ *
+ * Only the nodes the resolver currently sees are checked: a device that
+ * moves to another node, loses its keepalive or cannot be located any
+ * more is no longer watched.
+ */
+class HealthChecker {
+    /**
+     * @param { Resolver } resolver: The :class:`~gslb.resolver.Resolver` to guard
+     * @param { Number } httpPort: Port of the content server on every node,
+     *  or :class:`null` to only ping
+     * @param { Number } interval: Milliseconds between two checks of a node
+     * @param { Number } rise: Consecutive successes to mark a node up
+     * @param { Number } fall: Consecutive failures to mark a node down
+     */
+    constructor(resolver, httpPort = null, interval = 10000, rise = 2, fall = 3) {
+        this.resolver = resolver;
+        this.httpPort = httpPort;
+        this.interval = interval;
+        this.rise = rise;
+        this.fall = fall;
+        this.path = '/';
+        this.timeout = 3000;
+        this.nodes = new Map;
+        // the node id every device is watched under
+        this.devices = new Map;
+        this.loop = null;
+
+        resolver.health = this;
+    }
+
+    get now() {
+        return Date.now();
+    }
+
+    start() {
+        clearTimeout(this.loop);
+        this.loop = setTimeout(() => {
+            this.checkAll().catch(err => {
+                logger.error("GSLB health: check round failed: %O", err);
+            }).then(() => this.start());
+        }, this.interval);
+    }
+
+    stop() {
+        clearTimeout(this.loop);
+        this.loop = null;
+    }
+
+    /**
+     * Start tracking `node` of device `sn`; new nodes start up.
+     */
+    watch(sn, node) {
+        let previous = this.devices.get(sn);
+        if (previous !== undefined && previous !== node.id) {
+            logger.info("GSLB health: %s moved from node %s to %s", sn, previous, node.id);
+            this.nodes.delete(previous);
+        }
+        this.devices.set(sn, node.id);
+
+        let entry = this.nodes.get(node.id);
+        if (entry) {
+            if (entry.SN !== sn) {
+                this.devices.delete(entry.SN);
+            }
+            entry.SN = sn;
+            entry.node = node;
+            return entry;
+        }
+
+        entry = {
+            SN: sn,
+            node,
+            up: true,
+            successes: 0,
+            failures: 0,
+            lastCheck: null,
+            lastChange: this.now,
+            reason: null
+        };
+        this.nodes.set(node.id, entry);
+        return entry;
+    }
+
+    /**
+     * Stop tracking the node of device `sn`, which the resolver lost.
+     */
+    unwatch(sn) {
+        let id = this.devices.get(sn);
+        if (id !== undefined) {
+            this.devices.delete(sn);
+            this.nodes.delete(id);
+            logger.debug("GSLB health: no longer watching %s (%s)", id, sn);
+        }
+    }
+
+    isUp(node) {
+        let entry = this.nodes.get(node.id);
+        return !entry || entry.up;
+    }
+
+    probe(node) {
+        return new Promise(resolve => {
+            let url = `http://${hostOf(node.ip)}:${this.httpPort}${this.path}`;
+            let req = http.get(url, { timeout: this.timeout }, res => {
+                res.resume();
+                if (res.statusCode < 400) {
+                    resolve(null);
+                }
+                else {
+                    resolve(`HTTP probe returned ${res.statusCode}`);
+                }
+            });
+            req.once('timeout', () => {
+                req.destroy(new Error('timed out'));
+            });
+            req.once('error', err => {
+                resolve(`HTTP probe failed: ${err.message}`);
+            });
+        });
+    }
+
+    /**
+     * Check one node.
+     *
+     * Returns:
+     *     :class:`null` if it is healthy, the reason otherwise.
+     */
+    async check(node) {
+        let [ ok ] = await this.resolver.server.protocol.callPing(node);
+        if (!ok) {
+            return 'no reply to ping';
+        }
+
+        if (this.httpPort === null) {
+            return null;
+        }
+
+        return await this.probe(node);
+    }
+
+    async update(entry) {
+        let reason = await this.check(entry.node);
+        if (this.nodes.get(entry.node.id) !== entry) {
+            // unwatched while the check ran
+            return entry;
+        }
+        entry.lastCheck = this.now;
+        entry.reason = reason;
+
+        if (reason === null) {
+            entry.successes += 1;
+            entry.failures = 0;
+        }
+        else {
+            entry.failures += 1;
+            entry.successes = 0;
+        }
+
+        if (entry.up && entry.failures >= this.fall) {
+            entry.up = false;
+            entry.lastChange = this.now;
+            logger.warn("GSLB health: %s (%s) is down: %s", entry.node, entry.SN, reason);
+        }
+        else if (!entry.up && entry.successes >= this.rise) {
+            entry.up = true;
+            entry.lastChange = this.now;
+            logger.info("GSLB health: %s (%s) is up again", entry.node, entry.SN);
+        }
+
+        return entry;
+    }
+
+    checkAll() {
+        return Promise.all(Array.from(this.nodes.values()).map(entry => this.update(entry)));
+    }
+
+    /**
+     * The pool of every service and the health of each of its devices.
+     */
+    status() {
+        let bySN = new Map;
+        for (let entry of this.nodes.values()) {
+            bySN.set(entry.SN, entry);
+        }
+
+        let services = {};
+        for (let [ service, devices ] of this.resolver.catalog) {
+            services[service] = devices.map(({ SN: sn }) => {
+                let entry = bySN.get(sn);
+                if (!entry) {
+                    return { SN: sn, state: 'unknown' };
+                }
+
+                let { node, up, successes, failures, lastCheck, lastChange, reason } = entry;
+                return {
+                    SN: sn,
+                    id: node.id,
+                    ip: node.ip,
+                    port: node.port,
+                    state: up ? 'up' : 'down',
+                    successes,
+                    failures,
+                    lastCheck,
+                    lastChange,
+                    reason
+                };
+            });
+        }
+
+        return services;
+    }
+}
+
+module.exports = {
+    HealthChecker,
+    hostOf
+};
@@ -0,0 +1,98 @@
+/**
+ * HTTP front end for the GSLB resolver.
+ *
+ *   GET /<service>/<path>  302 to http://<best node>:<httpPort>/<path>
+ *   GET /_gslb/pool        JSON pool and health state of every service
+ */
+
+const { createServer } = require('http');
+const { hostOf } = require('./health');
+const { logger } = require('../p2p/logger');
+
+// Strip the IPv4-mapped prefix dual-stack sockets report.
+function clientAddress(req) {
+    let ip = req.socket.remoteAddress || '';
+    return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+class HTTPRedirector {
+    /**
+     * @param { Resolver } resolver: The :class:`~gslb.resolver.Resolver` to ask
+     * @param { HealthChecker } health: The checker guarding `resolver`
+     * @param { Number } httpPort: Port of the content server on every node
+     */
+    constructor(resolver, health, httpPort = 80) {
+        this.resolver = resolver;
+        this.health = health;
+        this.httpPort = httpPort;
+        this.server = createServer((req, res) => {
+            this.handle(req, res).catch(err => {
+                logger.error("GSLB HTTP: %s %s failed: %O", req.method, req.url, err);
+                this.send(res, 500, { error: 'internal error' });
+            });
+        });
+    }
+
+    listen(port = 80, host = '0.0.0.0') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                logger.info("GSLB HTTP listening on %s:%d", host, port);
+                this.health.start();
+                resolve('ok');
+            });
+        });
+    }
+
+    stop() {
+        this.health.stop();
+        this.server.close();
+    }
+
+    send(res, status, body, headers = {}) {
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        let data = JSON.stringify(body);
+        res.writeHead(status, Object.assign({
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+            'Cache-Control': 'no-store'
+        }, headers));
+        res.end(data);
+    }
+
+    async handle(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return this.send(res, 405, { error: 'method not allowed' }, { 'Allow': 'GET, HEAD' });
+        }
+
+        let url = new URL(req.url, 'http://localhost');
+        let [ , service, ...rest ] = url.pathname.split('/');
+
+        if (url.pathname === '/_gslb/pool') {
+            return this.send(res, 200, { services: this.health.status() });
+        }
+
+        if (!service || !this.resolver.catalog.has(service)) {
+            return this.send(res, 404, { error: 'unknown service' });
+        }
+
+        let client = clientAddress(req);
+        let [ best ] = await this.resolver.resolve(client, service, 1);
+        if (!best) {
+            return this.send(res, 503, { error: 'no healthy node' }, { 'Retry-After': '10' });
+        }
+
+        let location = `http://${hostOf(best.node.ip)}:${this.httpPort}/${rest.join('/')}${url.search}`;
+        logger.debug("GSLB HTTP: sending %s for %s to %s", client, service, location);
+
+        res.writeHead(302, { 'Location': location, 'Cache-Control': 'no-store', 'Content-Length': 0 });
+        res.end();
+    }
+}
+
+module.exports = {
+    HTTPRedirector
+};
@@ -0,0 +1,14 @@
+const { Resolver } = require('./resolver');
+const { GeoIP, haversine } = require('./geoip');
+const { DNSServer } = require('./dns');
+const { HealthChecker } = require('./health');
+const { HTTPRedirector } = require('./http');
+
+module.exports = {
+    Resolver,
+    GeoIP,
+    DNSServer,
+    HealthChecker,
+    HTTPRedirector,
+    haversine
+};
@@ -0,0 +1,235 @@
+/**
+ * Global server load balancing over the CAN Box network.
+ */
+
+const { Node } = require('../p2p/kademlia/node');
+const { NodeSpiderCrawl } = require('../p2p/kademlia/crawling');
+const { len } = require('../p2p/kademlia/utils');
+const { logger } = require('../p2p/logger');
+
+function parse(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.isBuffer(value) ? value.toString() : value);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Picks the best CAN Box nodes for a client.
+ *
+ * Candidates are the devices listed for a service in the catalog.  A
+ * device is healthy when its SN keepalive record is in the DHT, is
+ * younger than `maxAge`, the node it names can be located and, when a
+ * :class:`~gslb.health.HealthChecker` is attached, it is not down.  Healthy
+ * nodes are ranked by a weighted sum of:
+ *   - freshness: 1 for a brand new keepalive, 0 at `maxAge`
+ *   - bandwidth: latest measured bandwidth relative to the best candidate
+ *   - locality: whatever the locality function returns, from 0 to 1
+ */
+class Resolver {
+    /**
+     * @param { Server } server: A bootstrapped :class:`~kademlia.network.Server`
+     * @param { Object } catalog: Service name to the list of devices serving it.
+     *  A device is its SN, or { SN, key } where key is the hex public key
+     *  of the device when it publishes its keepalive as a signed record.
+     * @param { Function } locality: (client ip, Node) => score from 0 to 1,
+     *  e.g. :meth:`~gslb.geoip.GeoIP.locality`
+     * @param { ILedger } ledger: Where bandwidth records are read from
+     * @param { Number } maxAge: Keepalives older than this (milliseconds) are unhealthy
+     */
+    constructor(server, catalog, locality = null, ledger = null, maxAge = 60000) {
+        this.server = server;
+        this.catalog = new Map(Object.entries(catalog).map(([ service, devices ]) => {
+            return [ service, devices.map(d => typeof d === 'string' ? { SN: d, key: null } : d) ];
+        }));
+        this.locality = locality || (() => 0);
+        this.ledger = ledger;
+        this.maxAge = maxAge;
+        this.health = null;
+        this.weights = { freshness: 0.3, bandwidth: 0.4, locality: 0.3 };
+        this.contacts = new Map;
+    }
+
+    get now() {
+        return Date.now();
+    }
+
+    services() {
+        return Array.from(this.catalog.keys());
+    }
+
+    async presence({ SN, key }) {
+        let value = key ? await this.server.getMutable(key, SN) : await this.server.get(SN);
+        let record = parse(value);
+        if (!record || typeof record.Node !== 'string' || typeof record.Time !== 'number') {
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Find the address of node `id`, from the routing table if we
+     * know it, otherwise by crawling towards it.
+     */
+    async locate(id) {
+        let cached = this.contacts.get(id);
+        if (cached && this.now - cached[1] < this.maxAge) {
+            return cached[0];
+        }
+
+        let { protocol, ksize, alpha } = this.server;
+        let router = protocol.router;
+        let found = router.buckets[router.getBucketFor(new Node(id))].get(id);
+
+        if (!found) {
+            // peers never return a node in a lookup for its own id, so
+            // crawl towards its sibling id (last bit flipped) instead
+            let bytes = Buffer.from(id, 'hex');
+            bytes[bytes.length - 1] ^= 1;
+
+            let target = new Node(bytes.toString('hex'));
+            let nearest = router.findNeighbors(target, ksize);
+
+            if (len(nearest) > 0) {
+                let spider = new NodeSpiderCrawl(protocol, target, nearest, ksize, alpha);
+                let nodes = await spider.find();
+                found = nodes.find(n => n.id === id);
+            }
+        }
+
+        if (!found) {
+            return null;
+        }
+
+        this.contacts.set(id, [ found, this.now ]);
+        return found;
+    }
+
+    /**
+     * Latest measured bandwidth of node `id` in Mbits/sec, or :class:`null`.
+     */
+    async bandwidth(id) {
+        if (this.ledger === null) {
+            return null;
+        }
+
+        let records = await this.ledger.query({ type: 'bandwidth', Node: id });
+        if (len(records) === 0) {
+            return null;
+        }
+
+        let { record } = records[len(records) - 1];
+        return Math.min(record.Send, record.Recv);
+    }
+
+    async candidate(device) {
+        let sn = device.SN;
+        let record = await this.presence(device);
+        if (record === null) {
+            logger.debug("GSLB: no keepalive for %s", sn);
+            return this.lost(sn);
+        }
+
+        let age = this.now - record.Time;
+        if (age > this.maxAge) {
+            logger.debug("GSLB: keepalive for %s is %dms old", sn, age);
+            return this.lost(sn);
+        }
+
+        let node = await this.locate(record.Node);
+        if (node === null) {
+            logger.debug("GSLB: cannot locate node %s of %s", record.Node, sn);
+            return this.lost(sn);
+        }
+
+        if (this.health !== null) {
+            this.health.watch(sn, node);
+            if (!this.health.isUp(node)) {
+                logger.debug("GSLB: node %s of %s is down", node, sn);
+                return null;
+            }
+        }
+
+        return {
+            SN: sn,
+            node,
+            freshness: Math.max(0, 1 - age / this.maxAge),
+            bandwidth: await this.bandwidth(node.id)
+        };
+    }
+
+    // Device `sn` has no node for now; stop health checks on its last one.
+    lost(sn) {
+        if (this.health !== null) {
+            this.health.unwatch(sn);
+        }
+        return null;
+    }
+
+    /**
+     * The healthy nodes of `service`, unranked: what every answer for
+     * the service starts from, and what it costs DHT lookups to find.
+     *
+     * Returns:
+     *     A list of { SN, node, freshness, bandwidth }.
+     */
+    async candidates(service) {
+        let devices = this.catalog.get(service);
+        if (!devices) {
+            logger.warn("GSLB: unknown service %s", service);
+            return [];
+        }
+
+        let found = await Promise.all(devices.map(device => {
+            return this.candidate(device).catch(err => {
+                logger.error("GSLB: checking %s failed: %O", device.SN, err);
+                return null;
+            });
+        }));
+        return found.filter(c => c !== null);
+    }
+
+    /**
+     * Rank `candidates`, from :meth:`candidates`, for `client`.  They are
+     * left as they are, so they can be ranked for other clients too.
+     *
+     * Returns:
+     *     A list of { SN, node, score, freshness, bandwidth, locality },
+     *     best first, at most `count` long.
+     */
+    async rank(client, candidates, count = null) {
+        let best = Math.max(0, ...candidates.map(c => c.bandwidth || 0));
+        let { freshness, bandwidth, locality } = this.weights;
+
+        let ranked = [];
+        for (let c of candidates) {
+            let near = await this.locality(client, c.node);
+            let score = freshness * c.freshness +
+                bandwidth * (best > 0 ? (c.bandwidth || 0) / best : 0) +
+                locality * near;
+            ranked.push(Object.assign({}, c, { locality: near, score }));
+        }
+
+        ranked.sort((a, b) => b.score - a.score);
+        return count === null ? ranked : ranked.slice(0, count);
+    }
+
+    /**
+     * Rank the healthy nodes of `service` for `client`.
+     *
+     * Returns:
+     *     See :meth:`rank`.
+     */
+    async resolve(client, service, count = null) {
+        return await this.rank(client, await this.candidates(service), count);
+    }
+}
+
+module.exports = {
+    Resolver
+};
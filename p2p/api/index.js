@@ -0,0 +1,192 @@
+/**
+ * HTTP/JSON admin API of a running node, for dashboards and scripts.
+ * Every request needs `Authorization: Bearer <token>`.
+ *
+ *   GET  /identity        id, public key and advertised addresses
+ *   GET  /keys/<key>      Server.get
+ *   PUT  /keys/<key>      Server.set, with a body { value, ttl }
+ *   GET  /routing         buckets, their ranges and replacement caches
+ *   GET  /storage         local keys with their values and metadata
+ *   GET  /rpcs            RPCs waiting for an answer
+ *   POST /ping            { host, port }
+ *   GET  /lookup/<target> closest nodes to a key or node id, hop by hop
+ */
+
+const { createServer } = require('http');
+const { createHash, timingSafeEqual } = require('crypto');
+const { ControlError } = require('../control');
+const { StoreRejected } = require('../kademlia/network');
+const { logger } = require('../logger');
+
+const MAX_BODY = 1024 * 1024;
+
+const LOOPBACK = [ '127.0.0.1', '::1', 'localhost' ];
+
+class HTTPError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Compare digests so neither the length nor the content of the token leaks.
+function sameToken(given, token) {
+    let hash = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(hash(given), hash(token));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HTTPError(413, 'body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let text = Buffer.concat(chunks).toString();
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (err) {
+                reject(new HTTPError(400, 'body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+class ControlAPI {
+    /**
+     * @param { Controller } controller: The :class:`~control.Controller`
+     *                                   of the node
+     * @param { String } token: Bearer token every request must carry
+     */
+    constructor(controller, token) {
+        if (!token) {
+            throw new Error('The control API needs a token');
+        }
+
+        this.controller = controller;
+        this.token = token;
+        this.server = createServer((req, res) => {
+            this.handle(req, res).catch(err => {
+                if (err instanceof HTTPError) {
+                    return this.send(res, err.status, { error: err.message });
+                }
+                if (err instanceof ControlError) {
+                    return this.send(res, 400, { error: err.message });
+                }
+                if (err instanceof StoreRejected) {
+                    let rejections = err.rejections.map(([ node, reason ]) => ({ id: node.id, reason }));
+                    return this.send(res, 409, { error: err.message, rejections });
+                }
+
+                logger.error("control API: %s %s failed: %O", req.method, req.url, err);
+                this.send(res, 500, { error: 'internal error' });
+            });
+        });
+    }
+
+    listen(port, host = '127.0.0.1') {
+        if (!LOOPBACK.includes(host)) {
+            logger.warn("control API exposed beyond loopback on %s:%d", host, port);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                logger.info("control API listening on %s:%d", host, this.server.address().port);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    stop() {
+        this.server.close();
+    }
+
+    send(res, status, body, headers = {}) {
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        let data = JSON.stringify(body);
+        res.writeHead(status, Object.assign({
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+            'Cache-Control': 'no-store'
+        }, headers));
+        res.end(data);
+    }
+
+    authorized(req) {
+        let [ scheme, given ] = (req.headers['authorization'] || '').split(' ');
+        return scheme === 'Bearer' && !!given && sameToken(given, this.token);
+    }
+
+    async handle(req, res) {
+        if (!this.authorized(req)) {
+            return this.send(res, 401, { error: 'unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        let url = new URL(req.url, 'http://localhost');
+        let [ , resource, ...rest ] = url.pathname.split('/');
+        let arg = null;
+        if (rest.length) {
+            try {
+                arg = decodeURIComponent(rest.join('/'));
+            } catch (err) {
+                throw new HTTPError(400, 'malformed percent-encoding in the path');
+            }
+        }
+        let route = `${req.method} /${resource}${arg === null ? '' : '/*'}`;
+        let run = (command, args) => this.controller.run(command, args);
+
+        switch (route) {
+            case 'GET /identity':
+                return this.send(res, 200, await run('identity'));
+
+            case 'GET /keys/*': {
+                let found = await run('get', { key: arg });
+                if (found === null) {
+                    return this.send(res, 404, { error: 'not found', key: arg });
+                }
+                return this.send(res, 200, Object.assign({ key: arg }, found));
+            }
+
+            case 'PUT /keys/*': {
+                let { value, ttl = null } = await readBody(req);
+                let stored = await run('set', { key: arg, value, ttl });
+                return this.send(res, stored ? 200 : 503, { key: arg, stored });
+            }
+
+            case 'GET /routing':
+                return this.send(res, 200, { buckets: await run('peers') });
+
+            case 'GET /storage':
+                return this.send(res, 200, { keys: await run('storage', { values: true }) });
+
+            case 'GET /rpcs':
+                return this.send(res, 200, { outstanding: await run('outstanding') });
+
+            case 'POST /ping':
+                return this.send(res, 200, await run('ping', await readBody(req)));
+
+            case 'GET /lookup/*':
+                return this.send(res, 200, await run('lookup', { target: arg }));
+
+            default:
+                return this.send(res, 404, { error: 'not found' });
+        }
+    }
+}
+
+module.exports = {
+    ControlAPI
+};
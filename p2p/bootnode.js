@@ -1,21 +1,91 @@
 const { Server } = require('./kademlia/network');
+const { Identity } = require('./identity');
+const { loadConfig, resolveSeeds } = require('./config');
+const { Controller, ControlServer } = require('./control');
+const { ControlAPI } = require('./api');
+const { MetricsServer } = require('./metrics');
 const { logger } = require('./logger');
 
 class App {
-    constructor() {
-        this.node = new Server(8);
+    constructor(config) {
+        let { ksize, alpha, identity, storage, quota, routing } = config;
+        this.config = config;
+        this.node = new Server(ksize, alpha, identity ? Identity.load(identity) : null, storage, quota);
+        this.node.relayMode = config.relay;
+        this.node.maxFailures = config.maxFailures;
+        if (routing) {
+            this.node.keepContacts(routing);
+        }
+        let controller = new Controller(this.node);
+        this.control = new ControlServer(controller, config.control);
+        this.api = config.apiPort === null ? null : new ControlAPI(controller, config.apiToken);
+        this.metrics = config.metricsPort === null ? null : new MetricsServer;
         this.init();
     }
 
+    stop() {
+        this.control.close();
+        if (this.api) {
+            this.api.stop();
+        }
+        if (this.metrics) {
+            this.metrics.stop();
+        }
+        return this.node.stop();
+    }
+
     async init() {
         try {
-            // Genesis
-            let ok = await this.node.listen(13001);
+            let { port, host, seeds, dnsSeeds, dnsServers } = this.config;
+            let ok = await this.node.listen(port, host);
             logger.info('bootstrap %s', ok);
+            await this.control.listen();
+            if (this.api) {
+                await this.api.listen(this.config.apiPort, this.config.apiHost);
+            }
+            if (this.metrics) {
+                await this.metrics.listen(this.config.metricsPort, this.config.metricsHost);
+            }
+
+            // Genesis, unless other bootstrap nodes are configured; we
+            // keep serving when none of them is up
+            let contacts = await resolveSeeds(seeds, dnsSeeds, dnsServers);
+            if (contacts.length > 0) {
+                let router = await this.node.bootstrap(contacts).catch(err => {
+                    logger.warn(err.message);
+                    return [];
+                });
+                logger.info('bootstrap neighbors: %j', router);
+            }
         } catch (err) {
-            this.node.stop();
+            logger.error(err.message);
+            this.stop();
+            process.exitCode = 1;
         }
     }
 }
 
-new App;
+function main(argv = process.argv.slice(2)) {
+    let [ config ] = loadConfig(argv, process.env, { seeds: [] });
+    logger.level = config.logLevel;
+
+    let app = new App(config);
+    for (let signal of [ 'SIGINT', 'SIGTERM' ]) {
+        process.once(signal, () => app.stop());
+    }
+    return app;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(2);
+    }
+}
+
+module.exports = {
+    App,
+    main
+};
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Operate a CAN Box node.  Every command but start and bootnode talks to
+ * the daemon through its control socket, found with the same options the
+ * daemon was started with (--port, --control or --config).
+ */
+
+const { loadConfig, parseContact } = require('./config');
+const { request } = require('./control');
+const { logger } = require('./logger');
+
+const USAGE = `usage: canbox <command> [arguments] [options]
+
+commands:
+    start <SN> [interval]       run a node
+    bootnode                    run a bootstrap node
+    get <key>                   look a key up on the network
+    set <key> <value> [ttl]     store a key on the network
+    peers                       dump the routing table
+    ping <ip:port>              check a contact
+    lookup <key|node id>        find the closest nodes, hop by hop
+    storage                     list the keys stored locally
+
+options:
+    --config <file>  --port <port>  --control <socket>  --log-level <level>
+    and, for start and bootnode, --host --seed --dns-seed --dns-server
+    --ksize --alpha --max-failures --interval --storage --storage-path --storage-ttl
+    --identity --quota-keys --quota-bytes --sender-keys --sender-bytes --eviction
+    --routing --ledger --api-port --api-host --api-token
+    --metrics-port --metrics-host --relay
+    and, for start, --portmap <pcp|natpmp|upnp> --gateway <ip[:port]> --lookup-paths <d>`;
+
+function ago(time) {
+    if (!time) {
+        return 'never';
+    }
+    let seconds = Math.round((Date.now() - time) / 1000);
+    return `${seconds}s ago`;
+}
+
+function endpoint({ id, ip, port }) {
+    let host = ip && ip.includes(':') ? `[${ip}]` : ip;
+    return `${id} ${host}:${port}`;
+}
+
+const PRINTERS = {
+    get(result) {
+        if (result === null) {
+            return 'not found';
+        }
+        return result.seq === undefined ? result.value : `${result.value}\n(seq ${result.seq}, signed by ${result.publicKey})`;
+    },
+
+    set(result) {
+        return result ? 'stored' : 'not stored: no neighbors to store on';
+    },
+
+    peers(buckets) {
+        let lines = [];
+        buckets.forEach(({ range, nodes, replacements, ksize, lastUpdated }, i) => {
+            lines.push(`bucket ${i} [${range[0]} .. ${range[1]}] ` +
+                `${nodes.length}/${ksize} nodes, ${replacements.length} replacements, updated ${ago(lastUpdated)}`);
+            for (let node of nodes) {
+                let rtt = node.rtt === null ? '-' : `${node.rtt}ms`;
+                let failed = node.failures ? `  ${node.failures} unanswered` : '';
+                lines.push(`    ${endpoint(node)}  rtt ${rtt}  seen ${ago(node.lastSeen)}${failed}`);
+            }
+            for (let node of replacements) {
+                lines.push(`    (replacement) ${endpoint(node)}`);
+            }
+        });
+        return lines.join('\n');
+    },
+
+    ping({ ok, id, verified, rtt }) {
+        if (!ok) {
+            return 'no answer';
+        }
+        return `answered as ${id} in ${rtt}ms${verified ? '' : ' (signed by another key!)'}`;
+    },
+
+    lookup({ id, hops, nearest }) {
+        let lines = [ `looking up ${id}` ];
+        hops.forEach(({ queried, answered }, i) => {
+            lines.push(`hop ${i + 1}: asked ${queried.length}, ${answered.length} answered`);
+            for (let [ peer, ip, port ] of queried) {
+                let mark = answered.includes(peer) ? 'ok     ' : 'timeout';
+                lines.push(`    ${mark} ${endpoint({ id: peer, ip, port })}`);
+            }
+        });
+        lines.push(`closest ${nearest.length}:`);
+        nearest.forEach(node => lines.push(`    ${endpoint(node)}`));
+        return lines.join('\n');
+    },
+
+    storage(keys) {
+        if (keys.length === 0) {
+            return 'no keys';
+        }
+        return keys.map(({ key, age, bytes, mutable, expires, publisher }) => {
+            let left = expires ? `${Math.round((expires - Date.now()) / 1000)}s` : '-';
+            return `${key}  age ${Math.round(age / 1000)}s  ${bytes} bytes  expires in ${left}` +
+                `  ${mutable ? 'mutable' : 'immutable'}  publisher ${publisher || '-'}`;
+        }).join('\n');
+    }
+};
+
+// [ command arguments ] from the positional arguments of each command
+function commandArgs(command, positional) {
+    let need = (count, what) => {
+        if (positional.length < count) {
+            throw new Error(`${command} needs ${what}\n\n${USAGE}`);
+        }
+    };
+
+    switch (command) {
+        case 'get':
+            need(1, 'a key');
+            return { key: positional[0] };
+        case 'set':
+            need(2, 'a key and a value');
+            return { key: positional[0], value: positional[1], ttl: positional[2] || null };
+        case 'ping': {
+            need(1, 'an ip:port');
+            let [ host, port ] = parseContact(positional[0]);
+            return { host, port };
+        }
+        case 'lookup':
+            need(1, 'a key or a node id');
+            return { target: positional[0] };
+        case 'peers':
+        case 'storage':
+            return {};
+        default:
+            throw new Error(`Unknown command ${command}\n\n${USAGE}`);
+    }
+}
+
+async function main(argv) {
+    let [ command, ...rest ] = argv;
+
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return;
+    }
+    if (command === 'start') {
+        require('./node').main(rest);
+        return;
+    }
+    if (command === 'bootnode') {
+        require('./bootnode').main(rest);
+        return;
+    }
+
+    let [ config, positional ] = loadConfig(rest);
+    logger.level = config.logLevel;
+
+    let args = commandArgs(command, positional);
+    let result = await request(config.control, command, args);
+    console.log(PRINTERS[command](result));
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
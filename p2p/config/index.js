@@ -0,0 +1,455 @@
+/**
+ * Settings of a node, from (lowest precedence first) the defaults, a JSON
+ * config file, the environment and command line flags.
+ *
+ *     {
+ *         "port": 13001,
+ *         "host": "0.0.0.0",
+ *         "seeds": [ "39.104.66.16:13001", "seed.example.com" ],
+ *         "dnsSeeds": [ "seeds.example.com" ],
+ *         "dnsServers": [ "127.0.0.1:5353" ],
+ *         "ksize": 8,
+ *         "alpha": 3,
+ *         "maxFailures": 3,
+ *         "lookupPaths": 1,
+ *         "interval": 20000,
+ *         "storage": { "backend": "disk", "path": "/var/lib/canbox/storage.log", "ttl": 86400000 },
+ *         "quota": { "maxKeys": 100000, "maxBytes": 67108864, "senderKeys": 1000,
+ *                    "senderBytes": 4194304, "eviction": "lru" },
+ *         "identity": "/var/lib/canbox/identity.pem",
+ *         "routing": "/var/lib/canbox/routing.json",
+ *         "ledger": null,
+ *         "control": "/run/canbox.sock",
+ *         "apiPort": 13080,
+ *         "apiHost": "127.0.0.1",
+ *         "apiToken": "<secret>",
+ *         "metricsPort": 13090,
+ *         "metricsHost": "127.0.0.1",
+ *         "relay": "auto",
+ *         "portmap": [ "pcp", "natpmp", "upnp" ],
+ *         "gateway": "192.168.1.1:5351",
+ *         "logLevel": "info"
+ *     }
+ *
+ * The control socket defaults to canbox-<port>.sock in the temporary
+ * directory.  The HTTP control API only runs when apiPort is set, and
+ * then needs apiToken; Prometheus metrics are served when metricsPort is.
+ * With relay "auto" a node relays for peers behind symmetric NATs once it
+ * finds it is not behind a NAT itself; "on" and "off" force it.  A device
+ * asks its gateway to forward its port with the portmap methods, in order;
+ * the gateway defaults to the default route on port 5351.  With
+ * lookupPaths above 1, get and set look keys up over that many disjoint
+ * paths, which holds up better against malicious peers.  Keys peers store
+ * here without a lifetime are kept for the storage ttl, in milliseconds.
+ * The quota limits what peers may store here, in all and each; null is
+ * no limit.
+ *
+ * A DNS seed is a name whose TXT records list "ip:port" contacts and whose
+ * A/AAAA records are contacts on the default port.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const dns = require('dns');
+const { join } = require('path');
+const { isIP } = require('net');
+const { METHODS: PORTMAP_METHODS } = require('../nat/portmap');
+const { QUOTA_DEFAULTS, EVICTION_POLICIES } = require('../kademlia/quota');
+const { DEFAULT_TTL } = require('../kademlia/storage');
+const { logger } = require('../logger');
+
+const DEFAULT_PORT = 13001;
+
+const DEFAULTS = {
+    config: null,
+    port: DEFAULT_PORT,
+    host: '0.0.0.0',
+    seeds: [ `39.104.66.16:${DEFAULT_PORT}` ],
+    dnsSeeds: [],
+    dnsServers: [],
+    ksize: 8,
+    alpha: 3,
+    maxFailures: 3,
+    lookupPaths: 1,
+    interval: 20000,
+    storage: { backend: 'memory', path: null, ttl: DEFAULT_TTL },
+    quota: Object.assign({}, QUOTA_DEFAULTS),
+    identity: null,
+    routing: null,
+    ledger: null,
+    control: null,
+    apiPort: null,
+    apiHost: '127.0.0.1',
+    apiToken: null,
+    metricsPort: null,
+    metricsHost: '127.0.0.1',
+    relay: 'auto',
+    portmap: [],
+    gateway: null,
+    logLevel: 'error'
+};
+
+// setting: [ environment variable, command line flag, kind ]
+const OPTIONS = {
+    config: [ 'CANBOX_CONFIG', 'config', 'string' ],
+    port: [ 'CANBOX_PORT', 'port', 'int' ],
+    host: [ 'CANBOX_HOST', 'host', 'string' ],
+    seeds: [ 'CANBOX_SEEDS', 'seed', 'list' ],
+    dnsSeeds: [ 'CANBOX_DNS_SEEDS', 'dns-seed', 'list' ],
+    dnsServers: [ 'CANBOX_DNS_SERVERS', 'dns-server', 'list' ],
+    ksize: [ 'CANBOX_KSIZE', 'ksize', 'int' ],
+    alpha: [ 'CANBOX_ALPHA', 'alpha', 'int' ],
+    maxFailures: [ 'CANBOX_MAX_FAILURES', 'max-failures', 'int' ],
+    lookupPaths: [ 'CANBOX_LOOKUP_PATHS', 'lookup-paths', 'int' ],
+    interval: [ 'CANBOX_INTERVAL', 'interval', 'int' ],
+    backend: [ 'CANBOX_STORAGE', 'storage', 'string' ],
+    path: [ 'STORAGE_FILE', 'storage-path', 'string' ],
+    ttl: [ 'CANBOX_STORAGE_TTL', 'storage-ttl', 'int' ],
+    maxKeys: [ 'CANBOX_QUOTA_KEYS', 'quota-keys', 'int' ],
+    maxBytes: [ 'CANBOX_QUOTA_BYTES', 'quota-bytes', 'int' ],
+    senderKeys: [ 'CANBOX_SENDER_KEYS', 'sender-keys', 'int' ],
+    senderBytes: [ 'CANBOX_SENDER_BYTES', 'sender-bytes', 'int' ],
+    eviction: [ 'CANBOX_EVICTION', 'eviction', 'string' ],
+    identity: [ 'IDENTITY_FILE', 'identity', 'string' ],
+    routing: [ 'ROUTING_FILE', 'routing', 'string' ],
+    ledger: [ 'LEDGER_FILE', 'ledger', 'string' ],
+    control: [ 'CANBOX_CONTROL', 'control', 'string' ],
+    apiPort: [ 'CANBOX_API_PORT', 'api-port', 'int' ],
+    apiHost: [ 'CANBOX_API_HOST', 'api-host', 'string' ],
+    apiToken: [ 'CANBOX_API_TOKEN', 'api-token', 'string' ],
+    metricsPort: [ 'CANBOX_METRICS_PORT', 'metrics-port', 'int' ],
+    metricsHost: [ 'CANBOX_METRICS_HOST', 'metrics-host', 'string' ],
+    relay: [ 'CANBOX_RELAY', 'relay', 'string' ],
+    portmap: [ 'CANBOX_PORTMAP', 'portmap', 'list' ],
+    gateway: [ 'CANBOX_GATEWAY', 'gateway', 'string' ],
+    logLevel: [ 'LOG_LEVEL', 'log-level', 'string' ]
+};
+
+class ConfigError extends Error {
+}
+
+function parseValue(name, kind, raw) {
+    if (kind === 'int') {
+        let value = Number(raw);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new ConfigError(`${name} must be a whole number, got ${raw}`);
+        }
+        return value;
+    }
+
+    if (kind === 'list') {
+        return String(raw).split(/[\s,]+/).filter(s => s.length > 0);
+    }
+
+    return raw;
+}
+
+/**
+ * Split command line arguments into flags and positional arguments.
+ * Flags are `--name value` or `--name=value`; list flags may repeat.
+ *
+ * Returns:
+ *     [ settings, positional ]
+ */
+function parseArgs(argv) {
+    let flags = new Map(Object.entries(OPTIONS).map(([ key, [ , flag, kind ] ]) => [ flag, [ key, kind ] ]));
+    let settings = {};
+    let positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        let [ flag, raw ] = arg.slice(2).split(/=(.*)/s);
+        if (!flags.has(flag)) {
+            throw new ConfigError(`Unknown option --${flag}`);
+        }
+        if (raw === undefined) {
+            if (i + 1 >= argv.length) {
+                throw new ConfigError(`Option --${flag} needs a value`);
+            }
+            raw = argv[++i];
+        }
+
+        let [ key, kind ] = flags.get(flag);
+        let value = parseValue(`--${flag}`, kind, raw);
+        settings[key] = kind === 'list' ? (settings[key] || []).concat(value) : value;
+    }
+
+    return [ settings, positional ];
+}
+
+function parseEnv(env) {
+    let settings = {};
+    for (let [ key, [ name, , kind ] ] of Object.entries(OPTIONS)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            settings[key] = parseValue(name, kind, env[name]);
+        }
+    }
+    return settings;
+}
+
+function readFile(path) {
+    let text;
+    try {
+        text = fs.readFileSync(path, 'utf8');
+    } catch (err) {
+        throw new ConfigError(`Cannot read config file ${path}: ${err.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new ConfigError(`Config file ${path} is not valid JSON: ${err.message}`);
+    }
+}
+
+// Flat settings from the environment or flags, nested like the file.
+function nest(settings) {
+    let { backend, path, ttl, maxKeys, maxBytes, senderKeys, senderBytes, eviction, ...rest } = settings;
+    let storage = {};
+    if (backend !== undefined) {
+        storage.backend = backend;
+    }
+    if (ttl !== undefined) {
+        storage.ttl = ttl;
+    }
+    if (path !== undefined) {
+        storage.path = path;
+        // naming a storage file is enough to store on disk
+        if (backend === undefined) {
+            storage.backend = 'disk';
+        }
+    }
+
+    let quota = {};
+    for (let [ key, value ] of Object.entries({ maxKeys, maxBytes, senderKeys, senderBytes, eviction })) {
+        if (value !== undefined) {
+            quota[key] = value;
+        }
+    }
+
+    return Object.assign(rest,
+        Object.keys(storage).length ? { storage } : {},
+        Object.keys(quota).length ? { quota } : {});
+}
+
+function merge(base, layer) {
+    let merged = Object.assign({}, base, layer);
+    merged.storage = Object.assign({}, base.storage, layer.storage || {});
+    merged.quota = Object.assign({}, base.quota, layer.quota || {});
+    return merged;
+}
+
+/**
+ * Build the configuration of a node.
+ *
+ * @param { Array } argv: Command line arguments, without node and script
+ * @param { Object } env: Environment variables
+ * @param { Object } defaults: Overrides of :data:`DEFAULTS`, e.g. the
+ *                             port of a bootstrap node
+ *
+ * Returns:
+ *     [ config, positional arguments ]
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env, defaults = {}) {
+    let [ flags, positional ] = parseArgs(argv);
+    let fromEnv = nest(parseEnv(env));
+    let fromFlags = nest(flags);
+
+    let path = fromFlags.config || fromEnv.config || defaults.config || null;
+    let fromFile = path ? readFile(path) : {};
+
+    let config = [ defaults, fromFile, fromEnv, fromFlags ].reduce(merge, DEFAULTS);
+    config.config = path;
+    if (!config.control) {
+        config.control = join(os.tmpdir(), `canbox-${config.port}.sock`);
+    }
+    validate(config);
+
+    return [ config, positional ];
+}
+
+function validate(config) {
+    let { port, ksize, alpha, storage, logLevel, seeds, dnsSeeds, apiPort, apiToken, relay, portmap, maxFailures, lookupPaths, quota } = config;
+
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new ConfigError(`port must be between 0 and 65535, got ${port}`);
+    }
+    if (!Number.isInteger(ksize) || ksize < 1) {
+        throw new ConfigError(`ksize must be a positive whole number, got ${ksize}`);
+    }
+    if (!Number.isInteger(alpha) || alpha < 1) {
+        throw new ConfigError(`alpha must be a positive whole number, got ${alpha}`);
+    }
+    if (!Number.isInteger(maxFailures) || maxFailures < 1) {
+        throw new ConfigError(`maxFailures must be a positive whole number, got ${maxFailures}`);
+    }
+    if (!Number.isInteger(lookupPaths) || lookupPaths < 1) {
+        throw new ConfigError(`lookupPaths must be a positive whole number, got ${lookupPaths}`);
+    }
+    for (let limit of [ 'maxKeys', 'maxBytes', 'senderKeys', 'senderBytes' ]) {
+        let value = quota[limit];
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+            throw new ConfigError(`quota.${limit} must be a positive whole number or null, got ${value}`);
+        }
+    }
+    if (!Object.keys(EVICTION_POLICIES).includes(quota.eviction)) {
+        throw new ConfigError(`quota.eviction is one of ${Object.keys(EVICTION_POLICIES).join(', ')}, got ${quota.eviction}`);
+    }
+    if (![ 'memory', 'disk' ].includes(storage.backend)) {
+        throw new ConfigError(`Unknown storage backend ${storage.backend}`);
+    }
+    if (storage.backend === 'disk' && !storage.path) {
+        throw new ConfigError('The disk storage backend needs a path');
+    }
+    if (!Number.isInteger(storage.ttl) || storage.ttl < 1) {
+        throw new ConfigError(`storage.ttl must be a positive whole number of milliseconds, got ${storage.ttl}`);
+    }
+    if (!Object.keys(logger.levels).includes(logLevel)) {
+        throw new ConfigError(`Unknown log level ${logLevel}`);
+    }
+    if (![ 'auto', 'on', 'off' ].includes(relay)) {
+        throw new ConfigError(`relay must be auto, on or off, got ${relay}`);
+    }
+    if (!Array.isArray(portmap) || portmap.some(method => !PORTMAP_METHODS.includes(method))) {
+        throw new ConfigError(`portmap methods are ${PORTMAP_METHODS.join(', ')}, got ${portmap}`);
+    }
+    if (apiPort !== null && !apiToken) {
+        throw new ConfigError('The control API (apiPort) needs an apiToken');
+    }
+    if (!Array.isArray(seeds) || !Array.isArray(dnsSeeds)) {
+        throw new ConfigError('seeds and dnsSeeds must be lists');
+    }
+    seeds.forEach(seed => parseContact(seed));
+}
+
+// A port as given in a contact: a whole number of 1 to 65535.
+function contactPort(port, contact) {
+    let number = Number(port);
+    if (!/^\d+$/.test(String(port).trim()) || number < 1 || number > 65535) {
+        throw new ConfigError(`The port of ${contact} must be between 1 and 65535, got ${port}`);
+    }
+    return number;
+}
+
+/**
+ * Split "ip:port", "[ipv6]:port", "host:port" or a bare host.  Throws
+ * :class:`ConfigError` when the port is not one of 1 to 65535.
+ */
+function parseContact(contact, defaultPort = DEFAULT_PORT) {
+    if (Array.isArray(contact)) {
+        return [ contact[0], contactPort(contact[1], contact.join(':')) ];
+    }
+
+    contact = String(contact).trim();
+    let bracketed = contact.match(/^\[([^\]]+)\](?::(.*))?$/);
+    if (bracketed) {
+        return [ bracketed[1], bracketed[2] === undefined ? defaultPort : contactPort(bracketed[2], contact) ];
+    }
+
+    // a bare ipv6 address has more than one colon
+    if (isIP(contact) === 6) {
+        return [ contact, defaultPort ];
+    }
+
+    let [ host, port ] = contact.split(':');
+    return [ host, port === undefined ? defaultPort : contactPort(port, contact) ];
+}
+
+function dnsResolver(servers) {
+    let resolver = new dns.promises.Resolver();
+    if (servers.length) {
+        resolver.setServers(servers);
+    }
+    return resolver;
+}
+
+async function addressesOf(resolver, host) {
+    let found = [];
+    for (let lookup of [ 'resolve4', 'resolve6' ]) {
+        try {
+            found.push(...await resolver[lookup](host));
+        } catch (err) {
+            logger.debug("%s %s: %s", lookup, host, err.code || err.message);
+        }
+    }
+    return found;
+}
+
+/**
+ * Turn seeds and DNS seeds into the [ ip, port ] contacts
+ * :meth:`~kademlia.network.Server.bootstrap` takes.
+ *
+ * @param { Array } dnsServers: "ip" or "ip:port" of the name servers to
+ *                              ask, the system ones when empty
+ */
+async function resolveSeeds(seeds = [], dnsSeeds = [], dnsServers = [], defaultPort = DEFAULT_PORT) {
+    let resolver = dnsResolver(dnsServers);
+    let contacts = new Map;
+    let add = (ip, port) => contacts.set(`${ip}/${port}`, [ ip, port ]);
+
+    for (let seed of seeds) {
+        let [ host, port ] = parseContact(seed, defaultPort);
+        if (isIP(host)) {
+            add(host, port);
+            continue;
+        }
+
+        let found = await addressesOf(resolver, host);
+        if (found.length === 0) {
+            logger.warn("seed %s does not resolve", host);
+        }
+        found.forEach(ip => add(ip, port));
+    }
+
+    for (let name of dnsSeeds) {
+        let records = [];
+        try {
+            records = await resolver.resolveTxt(name);
+        } catch (err) {
+            logger.debug("resolveTxt %s: %s", name, err.code || err.message);
+        }
+
+        // a TXT record may split its text in chunks, and list several contacts
+        for (let chunks of records) {
+            for (let entry of chunks.join('').split(/[\s,]+/).filter(s => s.length > 0)) {
+                let contact = null;
+                try {
+                    contact = parseContact(entry, defaultPort);
+                } catch (err) {
+                    if (!(err instanceof ConfigError)) {
+                        throw err;
+                    }
+                }
+
+                if (contact !== null && isIP(contact[0])) {
+                    add(...contact);
+                } else {
+                    logger.warn("ignoring malformed seed %s in the TXT records of %s", entry, name);
+                }
+            }
+        }
+
+        let found = await addressesOf(resolver, name);
+        found.forEach(ip => add(ip, defaultPort));
+
+        if (records.length === 0 && found.length === 0) {
+            logger.warn("DNS seed %s has no TXT or address records", name);
+        }
+    }
+
+    return Array.from(contacts.values());
+}
+
+module.exports = {
+    DEFAULTS,
+    ConfigError,
+    loadConfig,
+    parseArgs,
+    parseContact,
+    resolveSeeds
+};
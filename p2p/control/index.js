@@ -0,0 +1,248 @@
+/**
+ * Control channel of a running node.  The daemon listens on a local
+ * socket for JSON lines { command, args } and answers each with one JSON
+ * line { ok, result } or { ok: false, error }.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { Node } = require('../kademlia/node');
+const { NodeSpiderCrawl } = require('../kademlia/crawling');
+const { isMutable } = require('../kademlia/record');
+const { sizeOf } = require('../kademlia/quota');
+const { MAX_TTL } = require('../kademlia/storage');
+const { digest } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+class ControlError extends Error {
+}
+
+function contact(node) {
+    let { id, ip, port, addresses, lastSeen, rtt, failures } = node;
+    return { id, ip, port, addresses, lastSeen, rtt, failures };
+}
+
+// Values are Buffers, or signed records carrying one in `v`.
+function describe(value) {
+    if (isMutable(value)) {
+        return { value: Buffer.from(value.v).toString(), seq: value.seq, publicKey: Buffer.from(value.k).toString('hex') };
+    }
+    return { value: Buffer.from(value).toString() };
+}
+
+/**
+ * What the control channel can do to a :class:`~kademlia.network.Server`.
+ * Each command takes an object of arguments and returns something that
+ * can go through JSON.
+ */
+class Controller {
+    constructor(server) {
+        this.server = server;
+    }
+
+    async run(command, args = {}) {
+        let f = this[`cmd_${command}`] || null;
+        if (f === null) {
+            throw new ControlError(`Unknown command ${command}`);
+        }
+        return await f.call(this, args || {});
+    }
+
+    async cmd_get({ key }) {
+        if (typeof key !== 'string') {
+            throw new ControlError('get needs a key');
+        }
+
+        let value = await this.server.get(key);
+        return value === null ? null : describe(value);
+    }
+
+    async cmd_set({ key, value, ttl = null }) {
+        if (typeof key !== 'string' || typeof value !== 'string') {
+            throw new ControlError('set needs a key and a value');
+        }
+
+        let lifetime = ttl === null ? null : Number(ttl);
+        let numeric = typeof ttl === 'number' || (typeof ttl === 'string' && ttl.trim() !== '');
+        if (ttl !== null && !(numeric && Number.isInteger(lifetime) && lifetime > 0 && lifetime <= MAX_TTL)) {
+            throw new ControlError(`set needs a ttl of 1 to ${MAX_TTL} milliseconds`);
+        }
+
+        return await this.server.set(key, Buffer.from(value), lifetime);
+    }
+
+    cmd_peers() {
+        return this.server.protocol.router.buckets.map(bucket => {
+            let [ lower, upper ] = bucket.range;
+            return {
+                range: [ lower.toString(16), upper.toString(16) ],
+                lastUpdated: bucket.lastUpdated,
+                ksize: bucket.ksize,
+                nodes: bucket.getNodes().map(contact),
+                replacements: Array.from(bucket.replacementNodes.values()).map(contact)
+            };
+        });
+    }
+
+    async cmd_ping({ host, port }) {
+        if (!net.isIP(host || '') || !(port > 0)) {
+            throw new ControlError('ping needs an ip and a port');
+        }
+
+        let { protocol, node, addresses } = this.server;
+        let [ ok, id, signer, rtt ] = await protocol.ping([ host, Number(port) ], node.id, addresses);
+        return { ok, id: ok ? id : null, verified: ok && id === signer, rtt: ok ? rtt : null };
+    }
+
+    async cmd_lookup({ target }) {
+        if (typeof target !== 'string') {
+            throw new ControlError('lookup needs a key or a node id');
+        }
+
+        // a node id, or a key we look up the nodes for
+        let id = /^[0-9a-f]{40}$/i.test(target) ? target.toLowerCase() : digest(target);
+        let { protocol, ksize, alpha } = this.server;
+        let node = new Node(id);
+        let nearest = protocol.router.findNeighbors(node, alpha);
+
+        let spider = new NodeSpiderCrawl(protocol, node, nearest, ksize, alpha);
+        let found = await spider.find();
+
+        return { id, hops: spider.hops, nearest: found.map(contact) };
+    }
+
+    cmd_storage({ values = false } = {}) {
+        let now = Date.now();
+        return Array.from(this.server.storage.entries()).map(([ key, [ time, value, meta ] ]) => {
+            let { expires = null, publisher = null } = meta || {};
+            let entry = { key, age: now - time, bytes: sizeOf(key, value), mutable: isMutable(value), expires, publisher };
+            return values ? Object.assign(entry, describe(value)) : entry;
+        });
+    }
+
+    cmd_outstanding() {
+        let now = Date.now();
+        return Array.from(this.server.protocol._outstanding.entries()).map(([ msgid, [ , , sent, method, address ] ]) => {
+            let [ ip, port ] = address;
+            return { msgid, method, ip, port, age: now - sent };
+        });
+    }
+
+    cmd_identity() {
+        let { identity, node, addresses, ksize, alpha, protocol, relayClient, portMapper } = this.server;
+        let nat = protocol ? protocol.nat.status() : null;
+        let relay = {
+            serving: protocol ? protocol.relay.serving : false,
+            clients: protocol ? protocol.relay.reservations.size : 0,
+            via: relayClient ? relayClient.relay : null
+        };
+        let portmap = portMapper ? portMapper.status() : null;
+        return { id: node.id, publicKey: identity.publicKey.toString('hex'), addresses, ksize, alpha, nat, relay, portmap };
+    }
+}
+
+class ControlServer {
+    /**
+     * @param { Controller } controller: What answers the commands
+     * @param { String } path: Unix socket (or Windows pipe) to listen on
+     */
+    constructor(controller, path) {
+        this.controller = controller;
+        this.path = path;
+        this.server = net.createServer(socket => this._accept(socket));
+    }
+
+    listen() {
+        // a socket file left behind by a daemon that died
+        if (fs.existsSync(this.path)) {
+            fs.unlinkSync(this.path);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.path, () => {
+                this.server.removeListener('error', reject);
+                fs.chmodSync(this.path, 0o600);
+                logger.info("control channel listening on %s", this.path);
+                resolve(this.path);
+            });
+        });
+    }
+
+    close() {
+        this.server.close();
+    }
+
+    _accept(socket) {
+        let buffered = '';
+        socket.setEncoding('utf8');
+        socket.on('error', err => logger.debug("control connection: %s", err.message));
+        socket.on('data', chunk => {
+            buffered += chunk;
+            let lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => this._answer(socket, line));
+        });
+    }
+
+    async _answer(socket, line) {
+        let reply;
+        try {
+            let { command, args } = JSON.parse(line);
+            reply = { ok: true, result: await this.controller.run(command, args) };
+        } catch (err) {
+            if (!(err instanceof ControlError || err instanceof SyntaxError)) {
+                logger.error("control command failed: %O", err);
+            }
+            reply = { ok: false, error: err.message };
+        }
+
+        if (!socket.destroyed) {
+            socket.write(JSON.stringify(reply) + '\n');
+        }
+    }
+}
+
+/**
+ * Run `command` on the daemon listening at `path`.
+ */
+function request(path, command, args = {}, timeout = 60000) {
+    return new Promise((resolve, reject) => {
+        let socket = net.connect(path);
+        let buffered = '';
+        let timer = setTimeout(() => {
+            socket.destroy();
+            reject(new ControlError(`No answer from the daemon at ${path} within ${timeout} ms`));
+        }, timeout);
+
+        socket.setEncoding('utf8');
+        socket.on('connect', () => socket.write(JSON.stringify({ command, args }) + '\n'));
+        socket.on('error', err => {
+            clearTimeout(timer);
+            reject(new ControlError(`Cannot reach the daemon at ${path}: ${err.message}`));
+        });
+        socket.on('data', chunk => {
+            buffered += chunk;
+            let end = buffered.indexOf('\n');
+            if (end < 0) {
+                return;
+            }
+
+            clearTimeout(timer);
+            socket.end();
+            let { ok, result, error } = JSON.parse(buffered.slice(0, end));
+            if (ok) {
+                resolve(result);
+            } else {
+                reject(new ControlError(error));
+            }
+        });
+    });
+}
+
+module.exports = {
+    Controller,
+    ControlServer,
+    ControlError,
+    request
+};
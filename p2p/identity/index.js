@@ -0,0 +1,108 @@
+/**
+ * Ed25519 node identities.
+ *
+ * A node id is the SHA1 digest of the node's raw 32-byte public key, so
+ * it stays 160 bits wide and cannot be claimed without the private key.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo, followed by the raw key
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+// and of a PKCS #8 private key, followed by the 32-byte seed
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const PUBLIC_KEY_SIZE = 32;
+const SIGNATURE_SIZE = 64;
+
+// parsed public keys of the peers we hear from most, by raw key
+const KEY_CACHE_SIZE = 1024;
+const keyCache = new Map;
+
+function publicKeyObject(publicKey) {
+    let raw = publicKey.toString('hex');
+    let key = keyCache.get(raw);
+    if (key === undefined) {
+        key = crypto.createPublicKey({
+            key: Buffer.concat([ SPKI_PREFIX, publicKey ]),
+            format: 'der',
+            type: 'spki'
+        });
+        if (keyCache.size >= KEY_CACHE_SIZE) {
+            keyCache.delete(keyCache.keys().next().value);
+        }
+    }
+    else {
+        keyCache.delete(raw);
+    }
+
+    // most recently used last
+    keyCache.set(raw, key);
+    return key;
+}
+
+class Identity {
+    constructor(privateKey) {
+        this.privateKey = privateKey;
+        this.publicKey = crypto.createPublicKey(privateKey)
+            .export({ format: 'der', type: 'spki' })
+            .slice(SPKI_PREFIX.length);
+        this.id = Identity.idOf(this.publicKey);
+    }
+
+    static generate() {
+        let { privateKey } = crypto.generateKeyPairSync('ed25519');
+        return new Identity(privateKey);
+    }
+
+    // The identity whose private key is the 32-byte `seed`.
+    static fromSeed(seed) {
+        let der = Buffer.concat([ PKCS8_PREFIX, seed ]);
+        return new Identity(crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' }));
+    }
+
+    /**
+     * Load the identity kept in the PEM file at `path`, creating the
+     * file with a new identity if it does not exist.
+     */
+    static load(path) {
+        if (fs.existsSync(path)) {
+            return new Identity(crypto.createPrivateKey(fs.readFileSync(path)));
+        }
+
+        let identity = Identity.generate();
+        let pem = identity.privateKey.export({ format: 'pem', type: 'pkcs8' });
+        fs.writeFileSync(path, pem, { mode: 0o600 });
+        logger.info("created new identity %s in %s", identity.id, path);
+        return identity;
+    }
+
+    // Node id belonging to a raw public key.
+    static idOf(publicKey) {
+        return crypto.createHash('sha1').update(publicKey).digest('hex');
+    }
+
+    static verify(publicKey, data, signature) {
+        if (publicKey.length !== PUBLIC_KEY_SIZE || signature.length !== SIGNATURE_SIZE) {
+            return false;
+        }
+
+        try {
+            return crypto.verify(null, data, publicKeyObject(publicKey), signature);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    sign(data) {
+        return crypto.sign(null, data, this.privateKey);
+    }
+}
+
+module.exports = {
+    Identity,
+    PUBLIC_KEY_SIZE,
+    SIGNATURE_SIZE
+};
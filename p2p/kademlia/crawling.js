@@ -1,12 +1,14 @@
 const { Node, NodeHeap } = require('./node');
-const { gather_dict, len } = require('./utils');
+const { gather_dict, len, compare, isEndpoint } = require('./utils');
+const { isMutable, verifyMutable } = require('./record');
+const { metrics } = require('../metrics');
 const { logger } = require('../logger');
 
 /**
  * Crawl the network and look for given 160-bit keys.
  */
 class SpiderCrawl {
-    constructor(protocol, node, peers, ksize, alpha, gateways) {
+    constructor(protocol, node, peers, ksize, alpha, claims = null) {
         // Create a new C{SpiderCrawl}er.
 
         // Args:
@@ -17,6 +19,9 @@ class SpiderCrawl {
         //            provide the entry point for the network
         //     ksize: The value for k based on the paper
         //     alpha: The value for alpha based on the paper
+        //     claims: When this is one path of a
+        //             :class:`DisjointSpiderCrawl`, the map of node ids to
+        //             the path that queries them, shared by all paths
 
         this.protocol = protocol;
         this.ksize = ksize;
@@ -24,7 +29,11 @@ class SpiderCrawl {
         this.node = node;
         this.nearest = new NodeHeap(this.node, this.ksize);
         this.lastIDsCrawled = '';
-        this.gateways = gateways || new Map;
+        this.claims = claims;
+
+        // one entry per round: who we asked, and who answered
+        this.hops = [];
+        this.started = Date.now();
 
         logger.info("creating spider with peers: %d", len(peers));
         this.nearest.push(peers);
@@ -56,18 +65,35 @@ class SpiderCrawl {
         }
         this.lastIDsCrawled = nears;
 
-        let ds = new Map;
-        let uc = this.nearest.getUncontacted().slice(0, count);
-
-        // NAT Passthrough
-        await this._stun(uc);
+        // nodes another path queries are not ours to use
+        let uc = [];
+        let taken = [];
+        for (let peer of this.nearest.getUncontacted()) {
+            let owner = this.claims && this.claims.get(peer.id);
+            if (owner && owner !== this) {
+                taken.push(peer.id);
+            }
+            else if (len(uc) < count) {
+                uc.push(peer);
+                if (this.claims) {
+                    this.claims.set(peer.id, this);
+                }
+            }
+        }
+        this.nearest.remove(taken);
 
+        let ds = new Map;
         for (let peer of uc) {
             ds.set(peer.id, rpcmethod(peer, this.node));
             this.nearest.markContacted(peer);
         }
 
         let found = await gather_dict(ds);
+        this.hops.push({
+            queried: uc.map(peer => [ peer.id, peer.ip, peer.port ]),
+            answered: found.filter(([ , response ]) => Array.isArray(response) && response[0]).map(([ id ]) => id)
+        });
+
         return await this._nodesFound(found);
     }
 
@@ -75,36 +101,27 @@ class SpiderCrawl {
         throw new Error('NotImplementedError');
     }
 
-    async _stun(peers) {
-        if (len(peers) > this.alpha) {
-            logger.warn('not yet queried peer is %d', len(peers));
-        }
-
-        let stuns = this.gateways;
-        let holes = [];
-
-        for (let [ , ip, port ] of peers) {
-            if (!stuns.has(`${ip}:${port}`)) {
-                holes.push([ ip, port ]);
-            }
-        }
-
-        let ds = [];
-        for (let stun of stuns.values()) {
-            ds.push(this.protocol.stun(stun, holes));
+    // Account for a lookup that just ended with `result`, unless it is
+    // one path of a larger one.
+    _finished(type, result) {
+        if (this.claims) {
+            return result;
         }
-
-        return Promise.all(ds);
+        metrics.lookupHops.observe({ type }, len(this.hops));
+        metrics.lookupDuration.observe({ type }, (Date.now() - this.started) / 1000);
+        return result;
     }
 }
 
 class ValueSpiderCrawl extends SpiderCrawl {
-    constructor(protocol, node, peers, ksize, alpha, gateways) {
-        super(protocol, node, peers, ksize, alpha, gateways);
+    constructor(protocol, node, peers, ksize, alpha, claims = null) {
+        super(protocol, node, peers, ksize, alpha, claims);
 
         // keep track of the single nearest node without value - per
         // section 2.3 so we can set the key there if found
         this.nearestWithoutValue = new NodeHeap(this.node, 1);
+        // [ peer, value ] for every value a peer answered with
+        this.found = [];
     }
 
     async find() {
@@ -125,6 +142,7 @@ class ValueSpiderCrawl extends SpiderCrawl {
             }
             else if (response.hasValue()) {
                 foundValues.push(response.getValue());
+                this.found.push([ this.nearest.getNodeById(peerid), response.getValue() ]);
             }
             else {
                 let peer = this.nearest.getNodeById(peerid);
@@ -135,12 +153,18 @@ class ValueSpiderCrawl extends SpiderCrawl {
 
         this.nearest.remove(toremove);
 
-        if (len(foundValues) > 0) {
-            return await this._handleFoundValues(foundValues);
+        // one path of a disjoint lookup goes on until the closest nodes
+        // have all been asked, where the real holders of the key are; so
+        // does a lookup that found a signed record, which may be stale
+        // where newer ones are
+        let signed = foundValues.some(val => isMutable(val));
+        if (len(foundValues) > 0 && !signed && !this.claims) {
+            return this._finished('value', await this._handleFoundValues(foundValues));
         }
 
         if (this.nearest.allBeenContacted()) {
-            return null;
+            let values = this.found.map(([ , value ]) => value);
+            return this._finished('value', len(values) > 0 ? await this._handleFoundValues(values) : null);
         }
 
         return await this.find();
@@ -152,6 +176,13 @@ class ValueSpiderCrawl extends SpiderCrawl {
         // make sure we tell the nearest node that *didn't* have
         // the value to store it.
 
+        // Signed mutable records are not voted on: the valid one
+        // with the highest sequence number wins.
+        let signed = values.filter(val => isMutable(val));
+        if (len(signed) > 0) {
+            return await this._handleFoundRecords(signed);
+        }
+
         let most_common = [ undefined, 0 ];
         let counter = new Map;
 
@@ -171,10 +202,31 @@ class ValueSpiderCrawl extends SpiderCrawl {
         }
 
         let value = most_common[0];
-        let peerToSaveTo = this.nearestWithoutValue.popleft();
+        await this._cacheValue(value);
+        return value;
+    }
+
+    // Store `value` at the nearest node that did not have it, unless
+    // this is one path of a larger lookup that does so once merged.
+    async _cacheValue(value) {
+        let peerToSaveTo = this.claims ? null : this.nearestWithoutValue.popleft();
         if (peerToSaveTo !== null) {
             await this.protocol.callStore(peerToSaveTo, this.node.id, value);
         }
+    }
+
+    async _handleFoundRecords(records) {
+        let valid = records.filter(rec => verifyMutable(rec, this.node.id));
+        if (len(valid) < len(records)) {
+            logger.warn("Got %d invalid signed records for key %s", len(records) - len(valid), this.node.id);
+        }
+
+        if (len(valid) === 0) {
+            return null;
+        }
+
+        let value = valid.reduce((best, rec) => rec.seq > best.seq ? rec : best);
+        await this._cacheValue(value);
         return value;
     }
 }
@@ -201,13 +253,144 @@ class NodeSpiderCrawl extends SpiderCrawl {
 
         this.nearest.remove(toremove);
         if (this.nearest.allBeenContacted()) {
-            return Array.from(this.nearest);
+            return this._finished('node', Array.from(this.nearest));
         }
 
         return await this.find();
     }
 }
 
+/**
+ * A lookup over d disjoint paths, per section 4.4 of the S/Kademlia
+ * paper: the initial peers are dealt out to d crawls that run in
+ * parallel, and no node is queried by more than one of them.  Nodes an
+ * attacker places near a key can take over the paths that run into them,
+ * not the whole lookup.
+ */
+class DisjointSpiderCrawl {
+    constructor(protocol, node, peers, ksize, alpha, paths = 3) {
+        // Args:
+        //     paths: The number d of disjoint paths
+        //
+        // See :class:`SpiderCrawl` for the others.
+
+        this.protocol = protocol;
+        this.ksize = ksize;
+        this.alpha = alpha;
+        this.node = node;
+        this.claims = new Map;
+        this.started = Date.now();
+
+        // deal the peers out closest first, so every path starts near
+        let sorted = new NodeHeap(this.node, len(peers));
+        sorted.push(peers);
+        let shares = Array.from({ length: paths }, () => []);
+        Array.from(sorted).forEach((peer, i) => shares[i % paths].push(peer));
+
+        logger.info("creating %d disjoint spiders with peers: %d", paths, len(peers));
+        this.paths = shares.filter(share => len(share) > 0).map(share => this._path(share));
+    }
+
+    // The rounds of every path.
+    get hops() {
+        return this.paths.map(path => path.hops);
+    }
+
+    _path(peers) {
+        throw new Error('NotImplementedError');
+    }
+
+    /**
+     * Run every path.  A path that fails leaves the others be, and ends
+     * with `failed` instead.
+     */
+    async _crawl(failed) {
+        let results = await Promise.allSettled(this.paths.map(path => path.find()));
+        return results.map(({ status, value, reason }) => {
+            if (status === 'rejected') {
+                logger.warn("a lookup path for %s failed: %s", this.node.id, reason && reason.message);
+                return failed;
+            }
+            return value;
+        });
+    }
+
+    _finished(type, result) {
+        metrics.lookupHops.observe({ type }, Math.max(0, ...this.paths.map(path => len(path.hops))));
+        metrics.lookupDuration.observe({ type }, (Date.now() - this.started) / 1000);
+        return result;
+    }
+}
+
+class DisjointNodeSpiderCrawl extends DisjointSpiderCrawl {
+    _path(peers) {
+        return new NodeSpiderCrawl(this.protocol, this.node, peers, this.ksize, this.alpha, this.claims);
+    }
+
+    async find() {
+        // The closest nodes any path found.
+        let merged = new NodeHeap(this.node, this.ksize);
+        for (let found of await this._crawl([])) {
+            merged.push(found);
+        }
+        return this._finished('node', Array.from(merged));
+    }
+}
+
+class DisjointValueSpiderCrawl extends DisjointSpiderCrawl {
+    _path(peers) {
+        return new ValueSpiderCrawl(this.protocol, this.node, peers, this.ksize, this.alpha, this.claims);
+    }
+
+    async find() {
+        // Signed mutable records, which every path has verified, are
+        // not voted on: the one with the highest sequence number wins.
+        // Anyone can answer with a forged plain value, though, so the
+        // vote is among the k closest peers that answered, where the
+        // nodes holding the key are; ids cannot be chosen to get there.
+        let values = (await this._crawl(null)).filter(value => value !== null);
+        if (len(values) === 0) {
+            return this._finished('value', null);
+        }
+
+        let value;
+        let signed = values.filter(val => isMutable(val));
+        if (len(signed) > 0) {
+            value = signed.reduce((best, rec) => rec.seq > best.seq ? rec : best);
+        }
+        else {
+            let found = [].concat(...this.paths.map(path => path.found))
+                .filter(([ , val ]) => !isMutable(val))
+                .map(([ peer, val ]) => [ this.node.distanceTo(peer), val ])
+                .sort(compare)
+                .slice(0, this.ksize);
+
+            // ties go to the value of the closer peer
+            let counter = new Map;
+            for (let [ , val ] of found) {
+                let key = JSON.stringify(val);
+                counter.set(key, [ val, (counter.has(key) ? counter.get(key)[1] : 0) + 1 ]);
+            }
+            if (counter.size > 1) {
+                logger.warn("Got multiple values for key %s: %O", this.node.id, found.map(([ , val ]) => val));
+            }
+            value = Array.from(counter.values()).reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+        }
+
+        // store it at the closest node that did not have it, on any path
+        let without = new NodeHeap(this.node, 1);
+        without.push(this.paths.map(path => path.nearestWithoutValue.popleft()).filter(peer => peer !== null));
+        let [ peerToSaveTo = null ] = Array.from(without);
+        if (peerToSaveTo !== null) {
+            await this.protocol.callStore(peerToSaveTo, this.node.id, value);
+        }
+        return this._finished('value', value);
+    }
+}
+
+// what node ids look like on the wire
+const NODE_ID = /^[0-9a-f]{40}$/;
+
 class RPCFindResponse {
     constructor(response) {
         // A wrapper for the result of a RPC find.
@@ -217,11 +400,39 @@ class RPCFindResponse {
         //               where <value> will be a list of tuples if not found or
         //               a dictionary of {'value': v} where v is the value desired
         this.response = response;
+        // null unless the peer answered with a well formed node list
+        this.nodes = response[0] && !this.hasValue() ? RPCFindResponse.parseNodes(response[1]) : null;
+    }
+
+    /**
+     * The nodes of an untrusted node list, or null if any entry is not
+     * [ id, ip, port, addresses?, relays? ] with a hex id and an endpoint
+     * we could reach.
+     */
+    static parseNodes(nodelist) {
+        if (!Array.isArray(nodelist)) {
+            return null;
+        }
+
+        let nodes = [];
+        for (let entry of nodelist) {
+            if (!Array.isArray(entry)) {
+                return null;
+            }
+
+            let [ id, ip, port, addresses, relays ] = entry;
+            if (typeof id !== 'string' || !NODE_ID.test(id) || !isEndpoint([ ip, port ])) {
+                return null;
+            }
+            nodes.push(new Node(id, ip, port, addresses || [], relays === true));
+        }
+        return nodes;
     }
 
     happened() {
-        // Did the other host actually respond?
-        return this.response[0];
+        // Did the other host actually respond, with something we can
+        // read?  A malformed answer counts as none.
+        return this.response[0] && (this.hasValue() || this.nodes !== null);
     }
 
     hasValue() {
@@ -235,15 +446,14 @@ class RPCFindResponse {
     getNodeList() {
         // Get the node list in the response.  If there's no value, this should
         // be set.
-        let nodelist = this.response[1] || [];
-        return nodelist.map(([ id, ip, port ]) => {
-            return new Node(id, ip, port);
-        });
+        return this.nodes || [];
     }
 }
 
 module.exports = {
     ValueSpiderCrawl,
     NodeSpiderCrawl,
+    DisjointValueSpiderCrawl,
+    DisjointNodeSpiderCrawl,
     RPCFindResponse
 };
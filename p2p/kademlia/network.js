@@ -3,42 +3,122 @@
  */
 
 const { createSocket } = require('dgram');
-const { randomBytes } = require('crypto');
+const { networkInterfaces } = require('os');
+const { isIPv6 } = require('net');
 const { max } = require('bignumber.js');
 const { KademliaProtocol } = require('./protocol');
-const { digest, len } = require('./utils');
-const { ForgetfulStorage } = require('./storage');
+const { StreamTransport } = require('../rpcudp/stream');
+const { digest, len, addressKey } = require('./utils');
+const { IStorage, createStorage } = require('./storage');
 const { Node } = require('./node');
-const { ValueSpiderCrawl, NodeSpiderCrawl } = require('./crawling');
+const { Identity } = require('../identity');
+const { createMutable, mutableKey } = require('./record');
+const { StorageQuota } = require('./quota');
+const { RoutingTable } = require('./routing');
+const { RelayClient } = require('../nat/relay');
+const { PortMapper } = require('../nat/portmap');
+const { ValueSpiderCrawl, NodeSpiderCrawl, DisjointValueSpiderCrawl, DisjointNodeSpiderCrawl } = require('./crawling');
+const { metrics, watchServer } = require('../metrics');
 const { logger } = require('../logger');
 
-const PERIOD_HOUR = 3600 * 100;
+const PERIOD_HOUR = 3600 * 1000;
+const PERIOD_DAY = 24 * PERIOD_HOUR;
+
+/**
+ * Raised by :meth:`Server.set` when every node that answered refused
+ * to store the key.  `rejections` holds [ node, reason ] pairs.
+ */
+class StoreRejected extends Error {
+    constructor(key, rejections) {
+        super(`Every node refused to store ${key}: ` +
+            rejections.map(([ node, reason ]) => `${node.id} (${reason})`).join(', '));
+        this.rejections = rejections;
+    }
+}
+
+// Global unicast (2000::/3) ipv6 addresses of this host.
+function globalIPv6Addresses() {
+    let found = [];
+    for (let addrs of Object.values(networkInterfaces())) {
+        for (let { address, family, internal } of addrs) {
+            let v6 = family === 'IPv6' || family === 6;
+            if (v6 && !internal && /^[23]/.test(address)) {
+                found.push(address);
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Raised by :meth:`Server.bootstrap` when none of the contacts it was
+ * given, nor any saved one, answered.
+ */
+class BootstrapFailed extends Error {
+    constructor(addrs) {
+        super(`None of the ${addrs.length} bootstrap contacts answered: ` +
+            addrs.map(([ ip, port ]) => addressKey(ip, port)).join(', '));
+        this.addrs = addrs;
+    }
+}
 
 /**
  * High level view of a node instance.  This is the object that should be
  * created to start listening as an active node on the network.
  */
 class Server {
-    constructor(ksize = 20, alpha = 3, node_id = null, storage = null) {
+    constructor(ksize = 20, alpha = 3, identity = null, storage = null, quota = null) {
         // Create a server instance.  This will start listening on the given port.
 
         // Args:
         //     ksize (int): The k parameter from the paper
         //     alpha (int): The alpha parameter from the paper
-        //     node_id: The id for this node on the network.
+        //     identity: The :class:`~identity.Identity` of this node; its
+        //               public key determines the id on the network.
         //     storage: An instance that implements
-        //              :interface:`~kademlia.storage.IStorage`
+        //              :interface:`~kademlia.storage.IStorage`, or the
+        //              config of one for :func:`~kademlia.storage.createStorage`
+        //     quota: A :class:`~kademlia.quota.StorageQuota` limiting what
+        //            peers may store here, or the config of one
 
         this.ksize = ksize;
         this.alpha = alpha;
-        this.storage = storage || new ForgetfulStorage;
-        this.node = new Node(node_id || digest(randomBytes(255)));
+        this.storage = storage instanceof IStorage ? storage : createStorage(storage || {});
+        this.quota = quota instanceof StorageQuota ? quota : new StorageQuota(quota || {});
+        this.identity = identity || Identity.generate();
+        this.node = new Node(this.identity.id);
+        this.storage.owner = this.node.id;
+        this.addresses = [];
         this.transport = null;
         this.protocol = null;
         this.refresh_loop = null;
+        this.snapshotPath = null;
+        this.snapshotInterval = null;
+        this.snapshot_loop = null;
+        // relay for others: 'auto' when nothing is in our way, 'on' or 'off'
+        this.relayMode = 'auto';
+        // unanswered RPCs in a row after which a contact is dropped
+        this.maxFailures = 3;
+        // disjoint paths get and set look keys up over, see
+        // :class:`~kademlia.crawling.DisjointSpiderCrawl`; 1 is plain Kademlia
+        this.lookupPaths = 1;
+        this.relayClient = null;
+        this.portMapper = null;
+        this.mapped = null;
+        // where listen() gets its socket: dgram, unless this is set to a
+        // simulated network, see :class:`~sim.SimNetwork`
+        this.network = null;
+        this.unwatch = watchServer(this);
     }
 
     stop() {
+        // Resolves once our port mapping, if any, is off the gateway.
+
+        if (this.snapshot_loop) {
+            clearTimeout(this.snapshot_loop);
+            this.saveContacts();
+        }
+
         if (this.transport) {
             this.transport.close();
         }
@@ -46,33 +126,148 @@ class Server {
         if (this.refresh_loop) {
             clearTimeout(this.refresh_loop);
         }
+
+        if (this.relayClient) {
+            this.relayClient.stop();
+        }
+
+        let unmapped = this.portMapper ? this.portMapper.close() : Promise.resolve();
+
+        if (this.storage.close) {
+            this.storage.close();
+        }
+
+        this.unwatch();
+        return unmapped;
+    }
+
+    keepContacts(path, interval = 5 * 60 * 1000) {
+        // Save the routing table to path every interval milliseconds and
+        // on stop, and bootstrap from the saved contacts first so we can
+        // rejoin even when no bootstrap node answers.
+
+        this.snapshotPath = path;
+        this.snapshotInterval = interval;
+        if (this.protocol) {
+            this.save_contacts_loop();
+        }
+    }
+
+    mapPorts(options = {}) {
+        // Ask the gateway to forward our port when we listen, and
+        // advertise the external endpoint it gives us.
+
+        // Args:
+        //     options: The config of a :class:`~nat.portmap.PortMapper`
+
+        this.portMapper = options instanceof PortMapper ? options : new PortMapper(options);
+    }
+
+    async mapPort(port) {
+        let mapping = await this.portMapper.map(port, changed => this.useMapping(changed));
+        this.useMapping(mapping);
+        return mapping;
+    }
+
+    useMapping(mapping) {
+        let endpoint = mapping && [ mapping.externalIP, mapping.externalPort ];
+        let others = this.addresses.filter(addr => !this.mapped || addressKey(...addr) !== addressKey(...this.mapped));
+
+        this.mapped = endpoint;
+        this.advertise(endpoint ? [ endpoint, ...others ] : others);
+    }
+
+    save_contacts_loop() {
+        clearTimeout(this.snapshot_loop);
+        this.snapshot_loop = setTimeout(() => {
+            this.saveContacts();
+            this.save_contacts_loop();
+        }, this.snapshotInterval);
+    }
+
+    saveContacts() {
+        if (!this.snapshotPath || !this.protocol) {
+            return;
+        }
+
+        try {
+            this.protocol.router.save(this.snapshotPath);
+        } catch (err) {
+            logger.warn("could not save contacts to %s: %s", this.snapshotPath, err.message);
+        }
+    }
+
+    advertise(addresses) {
+        // Advertise [ ip, port ] endpoints to peers besides the address
+        // they see us by, e.g. a global IPv6 address next to IPv4.
+
+        this.addresses = addresses;
+        if (this.protocol) {
+            this.protocol.addresses = addresses;
+        }
     }
 
-    listen(port, host = '0.0.0.0') {
+    listen(port, host = '0.0.0.0', ipv6Only = false) {
         // Start listening on the given port.
         //
-        // Provide host="::" to accept ipv6 address
+        // Provide host="::" to accept both ipv4 and ipv6 addresses, and
+        // ipv6Only to accept only ipv6 ones.
 
-        let transport = createSocket('udp4');
-        let protocol = new KademliaProtocol(this.node, this.storage, this.ksize);
+        let ipv6 = isIPv6(host);
+        let sockets = this.network || { createSocket };
+        let transport = sockets.createSocket({ type: ipv6 ? 'udp6' : 'udp4', ipv6Only });
+        let protocol = new KademliaProtocol(this.node, this.storage, this.ksize, this.identity, this.quota);
+        let families = !ipv6 ? [ 4 ] : ipv6Only ? [ 6 ] : [ 4, 6 ];
 
         this.transport = transport;
         this.protocol = protocol;
+        protocol.addresses = this.addresses;
+        protocol.relay.serving = this.relayMode === 'on';
+        protocol.router.maxFailures = this.maxFailures;
+        if (this.network) {
+            protocol.randomBytes = count => this.network.randomBytes(count);
+        }
 
         let datagram_received = protocol.datagram_received.bind(protocol);
-        protocol.connection_made(transport);
+        protocol.connection_made(transport, families);
         transport.on('message', datagram_received);
         transport.once('close', () => {
             logger.warn('Node closed');
+            protocol.connection_lost();
         });
         transport.on('error', (err) => {
             logger.error("Node error: %O", err);
         });
 
         return new Promise((resolve, reject) => {
-            transport.bind(port, host, () => {
+            transport.bind(port, host, async () => {
                 logger.info("Node [%s] listening on %s:%d", this.node.id, host, port);
 
+                // on every interface: advertise our global ipv6 addresses
+                if (host === '::' && len(this.addresses) === 0) {
+                    this.advertise(globalIPv6Addresses().map(ip => [ ip, transport.address().port ]));
+                }
+
+                // bulk transfers go over TCP on the same port when we can
+                // bind it; simulated networks only carry datagrams
+                if (!this.network) {
+                    let stream = new StreamTransport;
+                    try {
+                        await stream.listen(transport.address().port, host);
+                        protocol.stream_made(stream);
+                    } catch (err) {
+                        logger.warn("No TCP side channel on %s:%d: %s", host, port, err.message);
+                    }
+                }
+
+                if (this.portMapper) {
+                    await this.mapPort(transport.address().port);
+                }
+
+                if (this.snapshotPath) {
+                    this.save_contacts_loop();
+                }
+
                 // finally, schedule refreshing table
                 this.refresh_table().then(() => {
                     resolve('ok');
@@ -88,7 +283,9 @@ class Server {
 
         clearTimeout(this.refresh_loop);
         this.refresh_loop = setTimeout(() => {
-            this.refresh_table();
+            this.refresh_table().catch(err => {
+                logger.error("Refreshing the routing table failed: %O", err);
+            });
         }, PERIOD_HOUR);
 
         return this._refresh_table();
@@ -102,16 +299,44 @@ class Server {
         for (let node_id of this.protocol.getRefreshIDs()) {
             let node = new Node(node_id);
             let nearest = this.protocol.router.findNeighbors(node, this.alpha);
-            let spider = new NodeSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha, this.gateways);
+            let spider = new NodeSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha);
             ds.push(spider.find());
         }
 
         // do our crawling
         await Promise.all(ds);
+        metrics.republishRuns.inc();
+
+        // our NAT may have changed its mind about us
+        let neighbors = this.protocol.router.findNeighbors(this.node);
+        if (len(neighbors) > 0) {
+            await this.discoverNAT(neighbors);
+        }
 
-        // now republish keys older than one hour
-        for (let [ dkey, value ] of this.storage.iteritemsOlderThan(PERIOD_HOUR)) {
-            await this.set_digest(dkey, value);
+        // now republish keys (per section 2.5 of the paper): replicas
+        // that nobody stored again within the last hour, and our own
+        // keys once a day, those set with a ttl until it is over
+        this.storage.cull();
+        let now = Date.now();
+        for (let [ dkey, value, meta ] of this.storage.itermetaOlderThan(PERIOD_HOUR)) {
+            let { expires, publisher, published } = meta || {};
+
+            // one key every peer refuses must not hold up the others
+            try {
+                if (publisher === this.node.id) {
+                    let remaining = this.storage.isOwn(meta) ? null : expires - now;
+                    if (published <= now - PERIOD_DAY && (remaining === null || remaining > 0)) {
+                        metrics.republished.inc({ kind: 'own' });
+                        await this.set_digest(dkey, value, remaining);
+                    }
+                }
+                else if (expires > now) {
+                    metrics.republished.inc({ kind: 'replica' });
+                    await this.set_digest(dkey, value, expires - now, publisher);
+                }
+            } catch (err) {
+                logger.warn("could not republish %s: %s", dkey, err.message);
+            }
         }
     }
 
@@ -121,29 +346,83 @@ class Server {
         // Args:
         //     addrs: A `list` of (ip, port) `tuple` pairs.  Note that only IP
         //            addresses are acceptable - hostnames will cause an error.
+        //
+        // Contacts saved by :meth:`keepContacts` are pinged along with
+        // addrs, most recently seen and fastest first.  The addrs also
+        // introduce us to peers behind NATs.
 
-        logger.debug("Attempting to bootstrap node with %i initial contacts", len(addrs));
+        this.protocol.nat.setIntroducers(addrs);
 
-        let gateways = new Map;
-        for (let [ ip, port ] of addrs) {
-            gateways.set(`${ip}:${port}`, [ ip, port ]);
-        }
-        this.gateways = gateways;
+        let seeds = new Set(addrs.map(([ ip, port ]) => addressKey(ip, port)));
+        let cached = this.cachedContacts().filter(n => !seeds.has(addressKey(n.ip, n.port)));
+        logger.debug("Attempting to bootstrap node with %i initial contacts and %i cached ones",
+            len(addrs), len(cached));
 
-        let cos = addrs.map(addr => this.bootstrap_node(addr), this);
+        let cos = cached.map(n => this.bootstrap_node([ n.ip, n.port ], n.id), this)
+            .concat(addrs.map(addr => this.bootstrap_node(addr), this));
         let gathered = await Promise.all(cos);
 
         let nodes = gathered.filter(node => node !== null);
-        let spider = new NodeSpiderCrawl(this.protocol, this.node, nodes, this.ksize, this.alpha, this.gateways);
-        return await spider.find();
+        if (len(nodes) === 0 && len(cos) > 0) {
+            throw new BootstrapFailed(cached.map(n => [ n.ip, n.port ]).concat(addrs));
+        }
+        let spider = new NodeSpiderCrawl(this.protocol, this.node, nodes, this.ksize, this.alpha);
+        let found = await spider.find();
+
+        await this.discoverNAT(nodes.concat(found));
+        return found;
+    }
+
+    async discoverNAT(peers) {
+        // Find out what our NAT does with the help of peers, then relay
+        // for others if nothing is in our way, or get a relay ourselves
+        // if nobody can reach us directly.
+
+        let type = await this.protocol.nat.discover(peers.map(n => [ n.ip, n.port ]));
+        let relay = this.protocol.relay;
+
+        if (this.relayMode === 'auto' && relay.serving !== (type === 'open')) {
+            relay.serving = type === 'open';
+            logger.info("%s relaying for peers", relay.serving ? "started" : "stopped");
+            if (relay.serving) {
+                let neighbors = this.protocol.router.findNeighbors(this.node);
+                await Promise.all(neighbors.map(n => this.protocol.callPing(n)));
+            }
+        }
+
+        // a forwarded port makes a relay useless
+        if (type === 'symmetric' && this.relayClient === null && this.mapped === null) {
+            this.relayClient = new RelayClient(this);
+            await this.relayClient.start();
+        }
+        return type;
+    }
+
+    cachedContacts() {
+        // The saved contacts worth pinging on bootstrap, most recently
+        // seen first and, among those seen together, the fastest first.
+
+        if (!this.snapshotPath) {
+            return [];
+        }
+
+        let minute = n => Math.floor((n.lastSeen || 0) / 60000);
+        let rtt = n => n.rtt === null ? Number.MAX_SAFE_INTEGER : n.rtt;
+        let contacts = RoutingTable.load(this.snapshotPath).filter(n => n.id !== this.node.id);
+        contacts.sort((a, b) => minute(b) - minute(a) || rtt(a) - rtt(b));
+
+        return contacts.slice(0, 2 * this.ksize);
     }
 
-    async bootstrap_node(addr) {
-        let [ ok, id ] = await this.protocol.ping(addr, this.node.id);
+    async bootstrap_node(addr, expected = null) {
+        let [ ok, id, signer ] = await this.protocol.ping(addr, this.node.id, this.addresses, this.protocol.relay.serving);
         let [ ip, port ] = addr;
-        if (ok) {
+        if (ok && id === signer && (expected === null || id === expected)) {
             return new Node(id, ip, port);
         }
+        if (ok && id !== signer) {
+            logger.warn("bootstrap node %s:%d answered as %s but signed as %s", ip, port, id, signer);
+        }
         return null;
     }
 
@@ -154,7 +433,12 @@ class Server {
         //     :class:`None` if not found, the value otherwise.
 
         logger.info("Looking up key %s", key);
-        let dkey = digest(key);
+        return await this.get_digest(digest(key));
+    }
+
+    async get_digest(dkey) {
+        // Get the value stored under the given SHA1 digest key.
+
         // if this node has it, return it
         if (this.storage.get(dkey)) {
             return this.storage.get(dkey);
@@ -163,29 +447,68 @@ class Server {
         let nearest = this.protocol.router.findNeighbors(node);
 
         if (nearest.length === 0) {
-            logger.warn("There are no known neighbors to get key %s", key);
+            logger.warn("There are no known neighbors to get key %s", dkey);
             return null;
         }
-        let spider = new ValueSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha, this.gateways);
+        let spider = this.lookupPaths > 1
+            ? new DisjointValueSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha, this.lookupPaths)
+            : new ValueSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha);
         return await spider.find();
     }
 
-    async set(key, value) {
+    async set(key, value, ttl = null) {
         // Set the given string key to the given value in the network.
 
+        // Args:
+        //     ttl: How long the key lives, in milliseconds.  Defaults to
+        //          the ttl of the storage.
+
         if (!Buffer.isBuffer(value)) {
             throw new Error("Value must be of type int, float, bool, str, or bytes");
         }
         logger.info("setting '%s' = '%s' on network", key, value);
 
         let dkey = digest(key);
-        return await this.set_digest(dkey, value);
+        return await this.set_digest(dkey, value, ttl);
+    }
+
+    async getMutable(publicKey, salt) {
+        // Get the value of the signed mutable record published by the
+        // owner of publicKey (a Buffer or hex string) under salt.
+
+        // Returns:
+        //     :class:`None` if not found, the value otherwise.
+
+        let record = await this.get_digest(mutableKey(publicKey, salt));
+        return record ? record.v : null;
     }
 
-    async set_digest(dkey, value) {
+    async setMutable(salt, value, seq = null, ttl = null) {
+        // Publish value as a mutable record signed by this node, under
+        // salt.  Peers keep the record with the highest sequence number,
+        // so seq defaults to the current time.
+
+        if (!Buffer.isBuffer(value)) {
+            throw new Error("Value must be of type bytes");
+        }
+
+        let record = createMutable(this.identity, salt, seq === null ? Date.now() : seq, value);
+        let dkey = mutableKey(record.k, salt);
+
+        logger.info("setting mutable '%s' (seq %d) on network", salt, record.seq);
+        return await this.set_digest(dkey, record, ttl);
+    }
+
+    async set_digest(dkey, value, ttl = null, publisher = null) {
         // Set the given SHA1 digest key (bytes) to the given value in the
         // network.
 
+        // Args:
+        //     ttl: Remaining lifetime of the key in milliseconds, or null
+        //          for the storage default.
+        //     publisher: Id of the original publisher when republishing
+        //                someone else's key, null when publishing our own.
+
         let node = new Node(dkey);
         let nearest = this.protocol.router.findNeighbors(node);
 
@@ -194,34 +517,53 @@ class Server {
             return false;
         }
 
-        let spider = new NodeSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha, this.gateways);
+        let spider = this.lookupPaths > 1
+            ? new DisjointNodeSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha, this.lookupPaths)
+            : new NodeSpiderCrawl(this.protocol, node, nearest, this.ksize, this.alpha);
         let nodes = await spider.find();
 
         logger.info("setting '%s' on %j", dkey, nodes);
-        // if this node is close too, then store here as well
+        // if this node is close too, then store here as well; the original
+        // publisher always keeps its keys so it can republish them
+        let now = Date.now();
+        let lifetime = ttl === null ? this.storage.ttl : ttl;
+        let meta = { expires: now + lifetime, publisher: publisher || this.node.id, published: now, ttl };
+
         let biggest = max.apply(null, nodes.map(n => n.distanceTo(node)));
-        if (this.node.distanceTo(node).lt(biggest)) {
-            this.storage.set(dkey, value);
+        if (publisher === null || this.node.distanceTo(node).lt(biggest)) {
+            this.storage.set(dkey, value, meta);
         }
 
+        // peers keep a key for a day at most, and we republish daily
         let ds = nodes.map(n => {
-            return this.protocol.callStore(n, dkey, value);
+            return this.protocol.callStore(n, dkey, value, Math.min(lifetime, PERIOD_DAY), publisher);
         }, this);
+        let results = await Promise.all(ds);
+
+        let stored = 0;
+        let rejections = [];
+        for (let [ i, [ ok, response ] ] of results.entries()) {
+            if (ok && response === true) {
+                stored += 1;
+            }
+            else if (ok) {
+                let reason = (response && response.error) || 'refused';
+                logger.warn("%s refused to store '%s': %s", nodes[i], dkey, reason);
+                rejections.push([ nodes[i], reason ]);
+            }
+        }
 
-        function any(iter) {
-            return Promise.race(iter).then(val => {
-                return val;
-            }).catch(err => {
-                iter.shift();
-                return any(iter);
-            });
+        if (stored === 0 && len(rejections) > 0) {
+            throw new StoreRejected(dkey, rejections);
         }
 
         // return true only if at least one store call succeeded
-        return await any(ds);
+        return stored > 0;
     }
 }
 
 module.exports = {
-    Server
+    Server,
+    StoreRejected,
+    BootstrapFailed
 };
@@ -1,18 +1,69 @@
 const heapq = require('heap');
 const BN = require('bignumber.js');
-const { len, compare } = require('./utils');
+const { isIP } = require('net');
+const { len, compare, normalizeIP, addressKey } = require('./utils');
 const { logger } = require('../logger');
 
 class Node {
-    constructor(node_id, ip = null, port = null) {
+    /**
+     * @param { Array } addresses: Other [ ip, port ] endpoints the node
+     *  advertises, e.g. an IPv6 address next to the IPv4 one we saw, or
+     *  [ ip, port, 'relay' ] for the relay it can be reached through
+     * @param { Boolean } relays: Whether the node relays for others
+     */
+    constructor(node_id, ip = null, port = null, addresses = [], relays = false) {
         this.id = node_id;
-        this.ip = ip;
+        this.ip = normalizeIP(ip);
         this.port = port;
+        this.addresses = Node.validAddresses(addresses);
+        this.relays = relays === true;
         this.long_id = Buffer.from(node_id, 'hex');
+
+        // when we last heard from the node, its last round trip time and
+        // how many RPCs in a row it left unanswered
+        this.lastSeen = null;
+        this.rtt = null;
+        this.failures = 0;
+    }
+
+    // Keep the well formed [ ip, port ] and [ ip, port, 'relay' ] entries
+    // of an untrusted list.
+    static validAddresses(addresses) {
+        if (!Array.isArray(addresses)) {
+            return [];
+        }
+
+        return addresses.filter(addr => {
+            return Array.isArray(addr) && isIP(addr[0]) && Number.isInteger(addr[1]) &&
+                addr[1] > 0 && addr[1] < 65536 && (len(addr) === 2 || addr[2] === 'relay');
+        }).slice(0, 4).map(([ ip, port, kind ]) => {
+            return kind ? [ normalizeIP(ip), port, kind ] : [ normalizeIP(ip), port ];
+        });
+    }
+
+    // The [ ip, port ] of the relay the node is reached through, or null.
+    get relayed() {
+        let relay = this.addresses.find(addr => addr[2] === 'relay');
+        return relay ? relay.slice(0, 2) : null;
+    }
+
+    // IP version (4 or 6) of the address we know this node by.
+    get family() {
+        return isIP(this.ip);
+    }
+
+    /**
+     * The first endpoint reachable over one of the IP versions in
+     * `families`, or :class:`null`.
+     */
+    endpointFor(families) {
+        let direct = this.addresses.filter(addr => len(addr) === 2);
+        let endpoints = [ [ this.ip, this.port ], ...direct ];
+        return endpoints.find(([ ip ]) => families.includes(isIP(ip))) || null;
     }
 
     sameHomeAs(node){
-        return this.ip == node.ip && this.port == node.port;
+        return this.ip == normalizeIP(node.ip) && this.port == node.port;
     }
 
     // Get the distance between this node and another.
@@ -38,11 +89,17 @@ class Node {
     }
 
     toJSON() {
+        if (this.relays) {
+            return [ this.id, this.ip, this.port, this.addresses, true ];
+        }
+        if (len(this.addresses) > 0) {
+            return [ this.id, this.ip, this.port, this.addresses ];
+        }
         return [ this.id, this.ip, this.port ];
     }
 
     toString() {
-        return `${this.id} ${this.ip}:${this.port}`;
+        return `${this.id} ${addressKey(this.ip, this.port)}`;
     }
 }
 
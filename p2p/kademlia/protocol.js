@@ -1,20 +1,73 @@
 const { BigNumber: BN, random } = require('bignumber.js');
 const { RoutingTable } = require('./routing');
 const { Node } = require('./node');
-const { len, digest } = require('./utils');
+const { len, digest, isEndpoint } = require('./utils');
+const { checkUpdate } = require('./record');
+const { StorageQuota } = require('./quota');
+const { MAX_TTL } = require('./storage');
 const { RPCProtocol } = require('../rpcudp');
+const { NATTraversal } = require('../nat');
 const { logger } = require('../logger');
 
 // HASH
 const BIT_EMPTY = '0000000000000000000000000000000000000000';
 const BIT_SPACE = 40;
 
+// why requests claiming an id they were not signed by are refused
+const NOT_SIGNED = 'not signed by the node';
+
 class KademliaProtocol extends RPCProtocol {
-    constructor(sourceNode, storage, ksize) {
-        super();
+    constructor(sourceNode, storage, ksize, identity = null, quota = null) {
+        super(5000, identity);
         this.router = new RoutingTable(this, ksize, sourceNode);
         this.storage = storage;
+        this.quota = quota || new StorageQuota;
         this.sourceNode = sourceNode;
+        this.bandwidthTester = null;
+        this.nat = new NATTraversal(this);
+
+        // a relayed node is the one we know at its endpoint, if we know one
+        this.relay.knows = (id, endpoint) => {
+            let contact = this.router.findByEndpoint(endpoint);
+            return contact === null || contact.id === id;
+        };
+
+        // [ ip, port ] endpoints we advertise besides the one peers see
+        this.addresses = [];
+    }
+
+    connection_lost() {
+        super.connection_lost();
+        this.nat.close();
+    }
+
+    /**
+     * Like :meth:`RPCProtocol.rpc`, but when the peer does not answer,
+     * punch a hole to it and ask once more.
+     */
+    async rpc(name, address, ...args) {
+        let result = await super.rpc(name, address, ...args);
+        if (result[0]) {
+            this.nat.seen(address);
+            return result;
+        }
+
+        let punchable = !this.relay.isRouted(address) && this.nat.shouldPunch(name, address);
+        if (!punchable || !(await this.nat.punch(address))) {
+            return result;
+        }
+        return await super.rpc(name, address, ...args);
+    }
+
+    // The endpoint of `node` our socket can reach, routed through its
+    // relay when it has one.
+    addressOf(node) {
+        let relay = node.relayed;
+        if (relay && this.canReach(relay[0])) {
+            this.relay.route([ node.ip, node.port ], relay, node.id);
+            return [ node.ip, node.port ];
+        }
+        return node.endpointFor(this.families) || [ node.ip, node.port ];
     }
 
     // Get ids to search for to keep old buckets up to date.
@@ -29,14 +82,39 @@ class KademliaProtocol extends RPCProtocol {
         });
     }
 
-    rpc_stun(sender, peers) {
-        for (let peer of peers) {
-            this.punch(peer, sender);
+    // Ask `peer`, one of our contacts, to send `sender` a hole on its
+    // behalf.
+    rpc_stun(sender, peer) {
+        let [ ip, port ] = sender;
+        if (!isEndpoint(peer) || !this.nat.allow(ip)) {
+            return null;
+        }
+        if (this.router.findByEndpoint(peer) === null) {
+            logger.debug("%s asked us to stun %j, which is not a contact", `${ip}:${port}`, peer);
+            return null;
         }
-        return sender;
+
+        this.punch(peer, [ ip, port ]);
+        return [ ip, port ];
+    }
+
+    // Where `sender` is seen from here.
+    rpc_reflect(sender) {
+        let [ ip, port ] = sender;
+        return [ ip, port ];
     }
 
-    rpc_punch(_, peer) {
+    // Send `peer` a hole, when one of our contacts asks.
+    rpc_punch(sender, peer) {
+        let [ ip, port, signer ] = sender;
+        if (!isEndpoint(peer) || !this.nat.allow(ip)) {
+            return null;
+        }
+        if (this.router.isNewNode(new Node(signer))) {
+            logger.debug("%s asked us to punch %j, but is not a contact", `${ip}:${port}`, peer);
+            return null;
+        }
+
         this.hole(peer, this.sourceNode.id);
         return 'hole';
     }
@@ -45,23 +123,109 @@ class KademliaProtocol extends RPCProtocol {
         return this.sourceNode.id;
     }
 
-    rpc_ping(sender, nodeid) {
+    /**
+     * Whether a request claims a node id other than the one it was
+     * signed by.  Nothing such a request asks for can be pinned on a
+     * node, so it is refused.
+     */
+    forged(sender, nodeid) {
+        let [ ip, port, signer ] = sender;
+        if (signer === nodeid) {
+            return false;
+        }
+
+        logger.warn("%s claims id %s but signed as %s, refusing", `${ip}:${port}`, nodeid, signer);
+        return true;
+    }
+
+    /**
+     * Relay datagrams to `nodeid` for a while, if we relay at all and it
+     * is one of our contacts.
+     *
+     * Returns { ttl } in milliseconds, or { error: reason }.
+     */
+    rpc_reserve(sender, nodeid) {
         let [ ip, port ] = sender;
-        let source = new Node(nodeid, ip, port);
+        if (this.forged(sender, nodeid)) {
+            return { error: NOT_SIGNED };
+        }
+        if (!this.nat.allow(ip)) {
+            return { error: 'too many requests' };
+        }
+        if (this.router.isNewNode(new Node(nodeid))) {
+            logger.debug("%s asked for a reservation, but is not a contact", `${ip}:${port}`);
+            return { error: 'not a contact' };
+        }
+
+        let refused = this.relay.reserve(nodeid, [ ip, port ]);
+        if (refused) {
+            return { error: refused };
+        }
+        return { ttl: this.relay.reservationTTL };
+    }
+
+    rpc_ping(sender, nodeid, addresses = null, relays = false) {
+        let [ ip, port, signer ] = sender;
+        let source = new Node(nodeid, ip, port, addresses || [], relays === true);
+        let isNew = this.router.isNewNode(source);
 
-        this.welcomeIfNewNode(source);
+        // a ping tells how the node can be reached now
+        if (signer === nodeid) {
+            this.router.updateContact(source);
+        }
+        this.welcomeIfNewNode(source, signer);
+
+        // newcomers would not learn that we relay otherwise
+        if (isNew && signer === nodeid && this.relay.serving) {
+            this.callPing(source);
+        }
         return this.sourceNode.id;
     }
 
-    rpc_store(sender, nodeid, key, value) {
-        let [ ip, port ] = sender;
+    /**
+     * @param ttl: Remaining lifetime of the key in milliseconds, at most
+     *  a day, or null for the storage default
+     * @param publisher: Id of the original publisher, or null if it is
+     *  the sender itself.  Nothing proves the claim, so the key is kept
+     *  as published by the sender.
+     *
+     * Returns true once stored, or { error: reason } if the store is refused.
+     */
+    rpc_store(sender, nodeid, key, value, ttl = null, publisher = null) {
+        let [ ip, port, signer ] = sender;
+        if (this.forged(sender, nodeid)) {
+            return { "error": NOT_SIGNED };
+        }
         let source = new Node(nodeid, ip, port);
 
-        this.welcomeIfNewNode(source);
+        this.welcomeIfNewNode(source, signer);
+
+        if (ttl !== null && !(Number.isFinite(ttl) && ttl >= 0 && ttl <= MAX_TTL)) {
+            logger.warn("refusing store of '%s' from %s: bad ttl %j", key, `${ip}:${port}`, ttl);
+            return { "error": 'bad ttl' };
+        }
+        if (publisher !== null && publisher !== signer) {
+            logger.debug("%s stores '%s' on behalf of %s", `${ip}:${port}`, key, publisher);
+        }
+
+        // our own keys come back from the nodes replicating them
+        if ((this.storage.meta(key) || {}).publisher === this.sourceNode.id) {
+            return true;
+        }
+
+        let reason = checkUpdate(key, this.storage.get(key, null), value) ||
+            this.quota.admit(this.storage, this.sourceNode, key, value, signer);
+        if (reason !== null) {
+            logger.warn("refusing store of '%s' from %s: %s", key, `${ip}:${port}`, reason);
+            return { "error": reason };
+        }
 
         logger.debug("got a store request from %s, storing '%s'='%s'",
-            sender.join(':'), key, value);
-        this.storage.set(key, value);
+            `${ip}:${port}`, key, value);
+
+        let now = Date.now();
+        let expires = now + this.expiryFor(key, ttl === null ? Math.min(this.storage.ttl, MAX_TTL) : ttl);
+        this.storage.set(key, value, { expires, publisher: signer, published: now, sender: signer });
 
         return true;
     }
@@ -69,21 +233,25 @@ class KademliaProtocol extends RPCProtocol {
     rpc_find_node(sender, nodeid, key) {
         logger.info("finding neighbors of [%s] in local table", nodeid);
 
-        let [ ip, port ] = sender;
+        let [ ip, port, signer ] = sender;
+        if (this.forged(sender, nodeid)) {
+            return { "error": NOT_SIGNED };
+        }
         let source = new Node(nodeid, ip, port);
-        this.welcomeIfNewNode(source);
+        this.welcomeIfNewNode(source, signer);
 
         let node = new Node(key);
         let neighbors = this.router.findNeighbors(node, null, source);
 
-        return neighbors.map(([ id, ip, port ]) => {
-            return [ id, ip, port ];
-        });
+        return neighbors.map(n => n.toJSON());
     }
 
     rpc_find_value(sender, nodeid, key) {
+        if (this.forged(sender, nodeid)) {
+            return { "error": NOT_SIGNED };
+        }
         let source = new Node(nodeid, sender[0], sender[1]);
-        this.welcomeIfNewNode(source);
+        this.welcomeIfNewNode(source, sender[2]);
 
         let value = this.storage.get(key, null);
         if (value === null) {
@@ -93,8 +261,55 @@ class KademliaProtocol extends RPCProtocol {
         return { "value": value };
     }
 
+    async rpc_bandwidth(sender, nodeid, session, port) {
+        let [ ip, sport, signer ] = sender;
+        if (this.forged(sender, nodeid)) {
+            return null;
+        }
+        let source = new Node(nodeid, ip, sport);
+        this.welcomeIfNewNode(source, signer);
+
+        if (this.bandwidthTester === null) {
+            logger.warn("%s asked for a bandwidth test, but no tester is attached", `${ip}:${sport}`);
+            return null;
+        }
+
+        return await this.bandwidthTester.accept(source, session, port);
+    }
+
+    async rpc_bandwidth_result(sender, nodeid, session) {
+        let [ ip, port, signer ] = sender;
+        if (this.forged(sender, nodeid)) {
+            return null;
+        }
+        let source = new Node(nodeid, ip, port);
+        this.welcomeIfNewNode(source, signer);
+
+        if (this.bandwidthTester === null) {
+            return null;
+        }
+
+        return await this.bandwidthTester.report(session);
+    }
+
+    /**
+     * Shrink a lifetime with our distance from `key`, per section 2.5 of
+     * the paper: nodes among the k closest to the key keep it for the
+     * full `ttl`, every further closer node we know of halves it.
+     */
+    expiryFor(key, ttl) {
+        let keynode = new Node(key);
+        let ours = this.sourceNode.distanceTo(keynode);
+        let closer = this.router.findNeighbors(keynode, this.router.ksize * 2).filter(n => {
+            return n.distanceTo(keynode).lt(ours);
+        });
+
+        let extra = Math.max(0, len(closer) - this.router.ksize);
+        return Math.floor(ttl / Math.pow(2, extra));
+    }
+
     async callFindNode(nodeToAsk, nodeToFind) {
-        let address = [ nodeToAsk.ip, nodeToAsk.port ];
+        let address = this.addressOf(nodeToAsk);
         let sid = this.sourceNode.id;
         let fid = nodeToFind.id;
         let result = await this.find_node(address, sid, fid);
@@ -102,7 +317,7 @@ class KademliaProtocol extends RPCProtocol {
     }
 
     async callFindValue(nodeToAsk, nodeToFind) {
-        let address = [ nodeToAsk.ip, nodeToAsk.port ];
+        let address = this.addressOf(nodeToAsk);
         let sid = this.sourceNode.id;
         let fid = nodeToFind.id;
         let result = await this.find_value(address, sid, fid);
@@ -110,15 +325,30 @@ class KademliaProtocol extends RPCProtocol {
     }
 
     async callPing(nodeToAsk) {
-        let address = [ nodeToAsk.ip, nodeToAsk.port ];
-        let result = await this.ping(address, this.sourceNode.id);
+        let address = this.addressOf(nodeToAsk);
+        let result = await this.ping(address, this.sourceNode.id, this.addresses, this.relay.serving);
+        return this.handleCallResponse(result, nodeToAsk);
+    }
+
+    async callStore(nodeToAsk, key, value, ttl = null, publisher = null) {
+        let address = this.addressOf(nodeToAsk);
+        let sid = this.sourceNode.id;
+        let args = publisher === null || publisher === sid ? [ ttl ] : [ ttl, publisher ];
+        let result = await this.store(address, sid, key, value, ...args);
         return this.handleCallResponse(result, nodeToAsk);
     }
 
-    async callStore(nodeToAsk, key, value) {
-        let address = [ nodeToAsk.ip, nodeToAsk.port ];
+    async callBandwidth(nodeToAsk, session, port) {
+        let address = this.addressOf(nodeToAsk);
         let sid = this.sourceNode.id;
-        let result = await this.store(address, sid, key, value);
+        let result = await this.bandwidth(address, sid, session, port);
+        return this.handleCallResponse(result, nodeToAsk);
+    }
+
+    async callBandwidthResult(nodeToAsk, session) {
+        let address = this.addressOf(nodeToAsk);
+        let sid = this.sourceNode.id;
+        let result = await this.bandwidth_result(address, sid, session);
         return this.handleCallResponse(result, nodeToAsk);
     }
 
@@ -133,8 +363,17 @@ class KademliaProtocol extends RPCProtocol {
     // than the furtherst in that list, and the node for this server
     // is closer than the closest in that list, then store the key/value
     // on the new node (per section 2.5 of the paper)
-    welcomeIfNewNode(node) {
+
+    // @param signer: The node id the datagram from node was signed by.
+    // Nodes claiming an id they cannot sign for are never added.
+    welcomeIfNewNode(node, signer) {
+        if (signer !== node.id) {
+            logger.warn("%s claims an id it did not sign for (%s), not adding to router", node, signer);
+            return;
+        }
+
         if (!this.router.isNewNode(node)) {
+            this.router.touchContact(node);
             return;
         }
 
@@ -142,6 +381,8 @@ class KademliaProtocol extends RPCProtocol {
 
         let storages = this.storage.items();
         for (let [ key, value ] of storages) {
+            let { expires, publisher } = this.storage.meta(key) || {};
+            let ttl = expires ? Math.max(0, expires - Date.now()) : null;
             let keynode = new Node(digest(key));
             let neighbors = this.router.findNeighbors(keynode);
 
@@ -158,25 +399,34 @@ class KademliaProtocol extends RPCProtocol {
             }
 
             if (l === 0 || (newNodeClose && thisNodeClosest)) {
-                this.callStore(node, key, value);
+                this.callStore(node, key, value, ttl, publisher || null);
             }
         }
+        this.router.touchContact(node);
         this.router.addContact(node);
     }
 
     /**
      * If we get a response, add the node to the routing table.  If
-     * we get no response, make sure it's removed from the routing table.
+     * we get no response, count it against the node, which is removed
+     * from the routing table after too many.
      */
     handleCallResponse(result, node) {
         if (!result[0]) {
-            logger.warn("no response from %s, removing from router", node);
-            this.router.removeContact(node);
+            logger.warn("no response from %s", node);
+            this.router.contactFailed(node);
             return result;
         }
 
+        if (result[2] !== node.id) {
+            logger.warn("response from %s was signed by %s, removing from router", node, result[2]);
+            this.router.removeContact(node);
+            return [ false, null ];
+        }
+
         logger.info("got successful response from %s", node)
-        this.welcomeIfNewNode(node);
+        this.welcomeIfNewNode(node, result[2]);
+        this.router.touchContact(node, result[3]);
         return result
     }
 }
@@ -0,0 +1,146 @@
+const { encode } = require('msgpack5')();
+const { Node } = require('./node');
+const { logger } = require('../logger');
+
+// Bytes a key and its value take up in storage.
+function sizeOf(key, value) {
+    let bytes = Buffer.isBuffer(value) ? value.length : encode(value).length;
+    return Buffer.byteLength(key) + bytes;
+}
+
+/**
+ * Eviction policies pick the key to drop when storage is full.  Each
+ * takes the candidate entries as [ key, time, value, meta ] and our own
+ * node, and returns the key to evict.
+ */
+const EVICTION_POLICIES = {
+    // least recently stored or read first
+    lru(entries) {
+        let oldest = entries.reduce((a, b) => {
+            return (b[3].accessed || b[1]) < (a[3].accessed || a[1]) ? b : a;
+        });
+        return oldest[0];
+    },
+
+    // keeps the keys closest to our own id: the farthest goes first
+    closest(entries, node) {
+        let far = entries.map(e => [ node.distanceTo(new Node(e[0])), e[0] ]).reduce((a, b) => {
+            return b[0].gt(a[0]) ? b : a;
+        });
+        return far[1];
+    },
+
+    // the key that would expire soonest anyway
+    expire(entries) {
+        let soonest = entries.reduce((a, b) => {
+            return (b[3].expires || Infinity) < (a[3].expires || Infinity) ? b : a;
+        });
+        return soonest[0];
+    }
+};
+
+// What a node accepts from peers unless told otherwise.
+const QUOTA_DEFAULTS = {
+    maxKeys: 100000,
+    maxBytes: 64 * 1024 * 1024,
+    senderKeys: 1000,
+    senderBytes: 4 * 1024 * 1024,
+    eviction: 'lru'
+};
+
+/**
+ * Limits on what peers may store on this node through `rpc_store`.
+ *
+ * When a store would go over `maxKeys` or `maxBytes`, keys are evicted
+ * according to `eviction` (a name from :data:`EVICTION_POLICIES` or a
+ * policy function).  Keys we published ourselves are never evicted.
+ * A sender that would go over its own `senderKeys` or `senderBytes` is
+ * refused instead.  A limit of null is no limit.
+ */
+class StorageQuota {
+    constructor({
+        maxKeys = QUOTA_DEFAULTS.maxKeys,
+        maxBytes = QUOTA_DEFAULTS.maxBytes,
+        senderKeys = QUOTA_DEFAULTS.senderKeys,
+        senderBytes = QUOTA_DEFAULTS.senderBytes,
+        eviction = QUOTA_DEFAULTS.eviction
+    } = {}) {
+        this.maxKeys = maxKeys === null ? Infinity : maxKeys;
+        this.maxBytes = maxBytes === null ? Infinity : maxBytes;
+        this.senderKeys = senderKeys === null ? Infinity : senderKeys;
+        this.senderBytes = senderBytes === null ? Infinity : senderBytes;
+        this.evict = typeof eviction === 'function' ? eviction : EVICTION_POLICIES[eviction];
+
+        if (!this.evict) {
+            throw new Error(`Unknown eviction policy ${eviction}`);
+        }
+    }
+
+    /**
+     * Make room for `sender` storing `value` under `key`, evicting other
+     * keys if needed.  Only the running totals of `storage` are looked
+     * at, unless something has to be evicted.
+     *
+     * @param sender: The verified id of the node storing
+     *
+     * Returns:
+     *     :class:`null` if the store may go ahead, the reason otherwise.
+     */
+    admit(storage, node, key, value, sender) {
+        let size = sizeOf(key, value);
+        if (size > this.maxBytes) {
+            return 'value too large';
+        }
+
+        // the store frees what it replaces
+        let replaced = storage.has(key);
+        let replacedBytes = storage.sizeOf(key);
+
+        let [ senderKeys, senderBytes ] = storage.usage(sender);
+        if (replaced && (storage.meta(key) || {}).sender === sender) {
+            senderKeys -= 1;
+            senderBytes -= replacedBytes;
+        }
+        if (senderKeys + 1 > this.senderKeys || senderBytes + size > this.senderBytes) {
+            return 'sender quota exceeded';
+        }
+
+        let keys = storage.size - (replaced ? 1 : 0);
+        let bytes = storage.bytes - replacedBytes;
+        if (keys + 1 <= this.maxKeys && bytes + size <= this.maxBytes) {
+            return null;
+        }
+
+        let candidates = storage.tripleIterable().filter(([ k ]) => k !== key).map(([ k, t, v ]) => {
+            return [ k, t, v, storage.meta(k) || {} ];
+        }).filter(([ , , , meta ]) => meta.publisher !== node.id);
+
+        while (keys + 1 > this.maxKeys || bytes + size > this.maxBytes) {
+            if (candidates.length === 0) {
+                return 'storage full';
+            }
+
+            let victim = this.evict(candidates, node);
+            let index = candidates.findIndex(([ k ]) => k === victim);
+            if (index === -1) {
+                return 'storage full';
+            }
+
+            let [ [ , , v ] ] = candidates.splice(index, 1);
+
+            logger.debug("storage full, evicting '%s' to make room for '%s'", victim, key);
+            storage.delete(victim);
+            keys -= 1;
+            bytes -= sizeOf(victim, v);
+        }
+
+        return null;
+    }
+}
+
+module.exports = {
+    StorageQuota,
+    QUOTA_DEFAULTS,
+    EVICTION_POLICIES,
+    sizeOf
+};
@@ -0,0 +1,83 @@
+/**
+ * Signed mutable records, after BitTorrent's BEP44.
+ *
+ * A mutable record is stored under digest(public key + salt), so only
+ * the owner of the key can publish it, and carries a sequence number
+ * so newer versions replace older ones:
+ *     { k: <public key>, salt: <string>, seq: <int>, v: <value>, sig: <signature> }
+ */
+
+const { encode } = require('msgpack5')();
+const { Identity } = require('../identity');
+const { digest } = require('./utils');
+
+// What the owner signs: the salt, the sequence number and the value.
+function signable(salt, seq, v) {
+    return encode([ salt, seq, v ]);
+}
+
+function isMutable(value) {
+    return value !== null && typeof value === 'object' && !Buffer.isBuffer(value) &&
+        Buffer.isBuffer(value.k) && Buffer.isBuffer(value.sig) &&
+        typeof value.salt === 'string' && Number.isInteger(value.seq);
+}
+
+// The DHT key of the records of public key `k` under `salt`.
+function mutableKey(k, salt) {
+    if (!Buffer.isBuffer(k)) {
+        k = Buffer.from(k, 'hex');
+    }
+    return digest(Buffer.concat([ k, Buffer.from(salt) ]));
+}
+
+function createMutable(identity, salt, seq, v) {
+    let sig = identity.sign(signable(salt, seq, v));
+    return { k: identity.publicKey, salt, seq, v, sig };
+}
+
+/**
+ * Check that `record` is a validly signed mutable record for `key`.
+ */
+function verifyMutable(record, key) {
+    if (!isMutable(record) || mutableKey(record.k, record.salt) !== key) {
+        return false;
+    }
+    return Identity.verify(record.k, signable(record.salt, record.seq, record.v), record.sig);
+}
+
+/**
+ * Decide whether `value` may replace `current` under `key`.
+ *
+ * Returns:
+ *     :class:`null` if it may, the reason otherwise.
+ */
+function checkUpdate(key, current, value) {
+    if (isMutable(value)) {
+        if (!verifyMutable(value, key)) {
+            return 'bad signature';
+        }
+
+        if (isMutable(current)) {
+            if (value.seq < current.seq) {
+                return 'stale sequence number';
+            }
+            if (value.seq === current.seq && !value.sig.equals(current.sig)) {
+                return 'conflicting record with the same sequence number';
+            }
+        }
+        return null;
+    }
+
+    if (isMutable(current)) {
+        return 'unsigned update of a signed record';
+    }
+    return null;
+}
+
+module.exports = {
+    isMutable,
+    mutableKey,
+    createMutable,
+    verifyMutable,
+    checkUpdate
+};
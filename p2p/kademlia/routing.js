@@ -1,6 +1,9 @@
+const fs = require('fs');
 const heapq = require('heap');
 const { BigNumber: BN } = require('bignumber.js');
+const { Node } = require('./node');
 const { now, len, compare, OrderedSet, sharedPrefix, bytesToBitString } = require('./utils');
+const { metrics } = require('../metrics');
 const { logger } = require('../logger');
 
 class KBucket {
@@ -43,8 +46,9 @@ class KBucket {
     }
 
     removeNode(node) {
+        this.removeReplacement(node);
         if (!this.nodes.has(node.id)) {
-            return;
+            return null;
         }
 
         // delete node, and see if we can add a replacement
@@ -53,9 +57,42 @@ class KBucket {
         if (len(this.replacementNodes)) {
             let newnode = this.replacementNodes.pop();
             this.nodes.set(newnode.id, newnode);
+            return newnode;
+        }
+        return null;
+    }
+
+    /**
+     * Keep `node` for when a contact goes away, most recently seen last;
+     * the cache holds at most ksize nodes.
+     */
+    addReplacement(node) {
+        this.removeReplacement(node);
+        this.replacementNodes.push(node);
+
+        if (this.replacementNodes.size > this.ksize) {
+            this.replacementNodes.delete(this.replacementNodes.values().next().value);
         }
     }
 
+    removeReplacement(node) {
+        for (let waiting of this.replacementNodes.values()) {
+            if (waiting.id === node.id) {
+                this.replacementNodes.delete(waiting);
+            }
+        }
+    }
+
+    // Move a known contact to the tail, the most recently seen end.
+    touchNode(node_id) {
+        let node = this.nodes.get(node_id);
+        if (node) {
+            this.nodes.delete(node_id);
+            this.nodes.set(node_id, node);
+        }
+        return node || null;
+    }
+
     hasInRange(node) {
         let [ min, max ] = this.range;
         let id = BN(node.id, 16);
@@ -80,6 +117,11 @@ class KBucket {
         let id = node.id;
 
         if (nodes.has(id)) {
+            // keep the endpoints it advertised when it shows up without them
+            if (len(node.addresses) === 0) {
+                node.addresses = nodes.get(id).addresses;
+                node.relays = node.relays || nodes.get(id).relays;
+            }
             nodes.delete(id);
             nodes.set(id, node);
         }
@@ -87,7 +129,7 @@ class KBucket {
             nodes.set(id, node);
         }
         else {
-            this.replacementNodes.push(node);
+            this.addReplacement(node);
             return false;
         }
 
@@ -106,7 +148,7 @@ class KBucket {
     }
 
     get(node_id, def = null) {
-        if (this.node.has(node_id)) {
+        if (this.nodes.has(node_id)) {
             return this.nodes.get(node_id);
         }
         return def;
@@ -157,15 +199,20 @@ class TableTraverser {
 }
 
 class RoutingTable {
-    constructor(protocol, ksize, node) {
+    constructor(protocol, ksize, node, maxFailures = 3) {
         /**
          * @param node: The node that represents this server.  It won't
          * be added to the routing table, but will be needed later to
          * determine which buckets to split or not.
+         * @param maxFailures: Unanswered RPCs in a row after which a
+         * contact is dropped
          */
         this.node = node;
         this.protocol = protocol;
         this.ksize = ksize;
+        this.maxFailures = maxFailures;
+        // ids of the bucket heads we are checking on
+        this.checking = new Set;
         this.flush();
     }
 
@@ -188,6 +235,130 @@ class RoutingTable {
         });
     }
 
+    /**
+     * Note that we just heard from `node`, `rtt` milliseconds after
+     * asking it something if it was an answer.
+     */
+    touchContact(node, rtt = null) {
+        let index = this.getBucketFor(node);
+        let known = this.buckets[index].touchNode(node.id);
+
+        for (let contact of known ? [ known, node ] : [ node ]) {
+            contact.lastSeen = now();
+            contact.failures = 0;
+            if (rtt !== null) {
+                contact.rtt = rtt;
+            }
+        }
+    }
+
+    /**
+     * Note that `node` left an RPC unanswered.  It is dropped, and the
+     * most recently seen replacement takes its place, after
+     * maxFailures in a row.
+     *
+     * Returns:
+     *     Whether it was dropped.
+     */
+    contactFailed(node) {
+        let bucket = this.buckets[this.getBucketFor(node)];
+        let known = bucket.get(node.id);
+        if (known === null) {
+            // replacements have to answer to be worth keeping
+            bucket.removeReplacement(node);
+            return false;
+        }
+
+        known.failures += 1;
+        if (known.failures < this.maxFailures) {
+            logger.debug("%s left %d RPCs in a row unanswered", known, known.failures);
+            return false;
+        }
+
+        let replacement = bucket.removeNode(known);
+        logger.info("dropped %s after %d unanswered RPCs%s", known, known.failures,
+            replacement ? `, replaced by ${replacement}` : '');
+        metrics.evictions.inc({ reason: replacement ? 'replaced' : 'dead' });
+        return true;
+    }
+
+    // Take the endpoints and relay capability a known contact advertises.
+    updateContact(node) {
+        let known = this.buckets[this.getBucketFor(node)].get(node.id);
+        if (known) {
+            known.addresses = node.addresses;
+            known.relays = node.relays;
+        }
+    }
+
+    // The contact reachable at the [ ip, port ] `endpoint`, if any.
+    findByEndpoint(endpoint) {
+        let [ ip, port ] = endpoint;
+        for (let bucket of this.buckets) {
+            for (let node of bucket.getNodes()) {
+                let endpoints = [ [ node.ip, node.port ], ...(node.addresses || []) ];
+                if (endpoints.some(([ i, p ]) => i === ip && p === port)) {
+                    return node;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * All contacts with what we know about their liveness, most recently
+     * seen first.
+     */
+    snapshot() {
+        let contacts = [];
+        for (let bucket of this.buckets) {
+            for (let node of bucket.getNodes()) {
+                let { id, ip, port, addresses, relays, lastSeen, rtt } = node;
+                contacts.push({ id, ip, port, addresses, relays, lastSeen, rtt });
+            }
+        }
+
+        return contacts.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+    }
+
+    /**
+     * Write :meth:`snapshot` to `path`, atomically.
+     */
+    save(path) {
+        let tmp = `${path}.tmp`;
+        let contacts = this.snapshot();
+
+        fs.writeFileSync(tmp, JSON.stringify({ id: this.node.id, saved: now(), contacts }));
+        fs.renameSync(tmp, path);
+        logger.debug("saved %d contacts to %s", len(contacts), path);
+    }
+
+    /**
+     * Read the contacts saved at `path`.  They are not added to the
+     * table: they have to answer a ping first.
+     *
+     * Returns:
+     *     A list of :class:`~kademlia.node.Node`, most recently seen first.
+     */
+    static load(path) {
+        if (!fs.existsSync(path)) {
+            return [];
+        }
+
+        try {
+            let { contacts } = JSON.parse(fs.readFileSync(path, 'utf8'));
+            return contacts.map(({ id, ip, port, addresses, relays, lastSeen, rtt }) => {
+                let node = new Node(id, ip, port, addresses, relays);
+                node.lastSeen = lastSeen;
+                node.rtt = rtt;
+                return node;
+            });
+        } catch (err) {
+            logger.warn("could not read routing table snapshot %s: %s", path, err.message);
+            return [];
+        }
+    }
+
     removeContact(node) {
         let index = this.getBucketFor(node);
         this.buckets[index].removeNode(node);
@@ -218,7 +389,34 @@ class RoutingTable {
             this.addContact(node);
         }
         else {
-            this.protocol.callPing(bucket.head());
+            // node waits in the replacement cache while we check on
+            // the least recently seen contact
+            this.checkHead(bucket);
+        }
+    }
+
+    /**
+     * Ping the least recently seen contact of a full `bucket` until it
+     * answers, which moves it to the tail, or is dropped for a
+     * replacement.
+     */
+    async checkHead(bucket) {
+        let head = bucket.head();
+        if (!head || this.checking.has(head.id)) {
+            return;
+        }
+
+        this.checking.add(head.id);
+        try {
+            // buckets may split meanwhile
+            while (this.buckets[this.getBucketFor(head)].get(head.id) === head) {
+                let [ ok ] = await this.protocol.callPing(head);
+                if (ok) {
+                    break;
+                }
+            }
+        } finally {
+            this.checking.delete(head.id);
         }
     }
 
@@ -1,31 +1,118 @@
+const fs = require('fs');
+const { dirname } = require('path');
+const { createHash } = require('crypto');
+const { encode, decode } = require('msgpack5')();
+const { sizeOf } = require('./quota');
 const { logger } = require('../logger');
 
+// frame header: payload length (4) + checksum (4)
+const FRAME_HEADER = 8;
+
+// lifetime of keys stored without one: until the next daily republish
+const DEFAULT_TTL = 24 * 3600 * 1000;
+
+// longest lifetime a key may be stored with; the publisher republishes
+// within it
+const MAX_TTL = 24 * 3600 * 1000;
+
 /**
  * Local storage for this node
  * IStorage implementations of get must return the same type as put in by set
+ *
+ * Every key also keeps some metadata:
+ *     expires:   when the key expires (milliseconds since the epoch)
+ *     publisher: id of the node that published the key here: our own, or
+ *                the verified sender's
+ *     published: when the key was published or last republished
+ *     ttl:       lifetime the publisher asked for, on keys we published
+ *     sender:    id of the node that stored the key here
+ *     accessed:  when the key was last read
  */
 class IStorage extends Map {
     constructor() {
         super();
+        // id of our own node, whose keys only expire with an explicit ttl
+        this.owner = null;
+        // what the keys take up, in all and by sender: [ keys, bytes ]
+        this.bytes = 0;
+        this.senders = new Map;
     }
 
     get now() {
         return Date.now();
     }
 
-    set(key, value) {
+    set(key, value, meta = {}) {
+        // replaced, not deleted: a log records the set alone
         if (this.has(key)) {
-            this.delete(key);
+            this.account(key, -1);
+            super.delete(key);
         }
 
-        super.set(key, [ this.now, value ]);
+        super.set(key, [ this.now, value, meta ]);
+        this.account(key, 1);
         this.cull();
     }
 
+    delete(key) {
+        if (this.has(key)) {
+            this.account(key, -1);
+        }
+        return super.delete(key);
+    }
+
+    clear() {
+        super.clear();
+        this.bytes = 0;
+        this.senders.clear();
+    }
+
+    /**
+     * Add what `key` takes up to the running totals (`sign` 1), or take
+     * it off (-1), so quotas never have to add every key up again.
+     */
+    account(key, sign) {
+        let [ , value, meta ] = super.get(key);
+        let size = sizeOf(key, value);
+        this.bytes += sign * size;
+
+        let sender = meta && meta.sender;
+        if (sender) {
+            let [ keys, bytes ] = this.usage(sender);
+            if (keys + sign === 0) {
+                this.senders.delete(sender);
+            } else {
+                this.senders.set(sender, [ keys + sign, bytes + sign * size ]);
+            }
+        }
+    }
+
+    // [ keys, bytes ] stored here by the node `sender`.
+    usage(sender) {
+        return this.senders.get(sender) || [ 0, 0 ];
+    }
+
+    // Bytes `key` takes up, 0 if we do not have it.
+    sizeOf(key) {
+        return this.has(key) ? sizeOf(key, super.get(key)[1]) : 0;
+    }
+
+    meta(key) {
+        if (this.has(key)) {
+            let [ , , meta ] = super.get(key);
+            return meta;
+        }
+
+        return null;
+    }
+
     get(key, def = null) {
         this.cull();
         if (this.has(key)) {
-            let [ , val ] = (super.get(key) || []);
+            let [ , val, meta ] = (super.get(key) || []);
+            if (meta) {
+                meta.accessed = this.now;
+            }
             return val;
         }
 
@@ -50,17 +137,47 @@ class IStorage extends Map {
 }
 
 class ForgetfulStorage extends IStorage {
-    constructor(ttl = 20000) {
+    /**
+     * @param { Number } ttl: Lifetime of keys stored without an expiry
+     */
+    constructor(ttl = DEFAULT_TTL) {
         super();
         this.ttl = ttl
     }
 
+    set(key, value, meta = {}) {
+        let now = this.now;
+        super.set(key, value, Object.assign({ expires: now + this.ttl, published: now }, meta));
+    }
+
+    // Whether `meta` is that of a key we published for as long as we run.
+    isOwn(meta) {
+        return this.owner !== null && !!meta && meta.publisher === this.owner && !meta.ttl;
+    }
+
     cull() {
-        for (let _ of this.iteritemsOlderThan(this.ttl)) {
-            this.pop();
+        let now = this.now;
+        let expired = Array.from(this.entries()).filter(([ , [ t, , meta ] ]) => {
+            return !this.isOwn(meta) && (meta && meta.expires ? meta.expires : t + this.ttl) <= now;
+        });
+
+        for (let [ key ] of expired) {
+            this.delete(key);
         }
     }
 
+    /**
+     * Like :meth:`iteritemsOlderThan`, with the metadata of every key.
+     */
+    itermetaOlderThan(secondsOld) {
+        let minBirthday = this.now - secondsOld;
+        return Array.from(this.entries()).filter(([ , [ t ] ]) => {
+            return minBirthday >= t;
+        }).map(([ k, [ , v, meta ] ]) => {
+            return [ k, v, meta ];
+        });
+    }
+
     iteritemsOlderThan(secondsOld) {
         let minBirthday = this.now - secondsOld;
         let zipped = this.tripleIterable();
@@ -87,7 +204,184 @@ class ForgetfulStorage extends IStorage {
     }
 }
 
+function checksum(payload) {
+    return createHash('sha1').update(payload).digest().slice(0, 4);
+}
+
+/**
+ * A ForgetfulStorage that survives restarts by keeping an append-only
+ * log of every change on disk.
+ *
+ * Each log entry is framed as [length][checksum][msgpack payload].  On
+ * load the log is replayed up to the first torn or corrupt frame, which
+ * is where a crash stopped a write; the file is truncated there.  Once
+ * the log has grown well beyond the live data it is compacted into a
+ * temporary file that atomically replaces the log.
+ */
+class PersistentStorage extends ForgetfulStorage {
+    /**
+     * @param { String } path: Log file
+     * @param { Number } ttl: See :class:`ForgetfulStorage`
+     * @param { Boolean } sync: fsync after every write
+     */
+    constructor(path, ttl = DEFAULT_TTL, sync = false) {
+        super(ttl);
+        this.path = path;
+        this.sync = sync;
+        this.logged = 0;
+        this.fd = null;
+        this.load();
+        this.fd = fs.openSync(this.path, 'a');
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) {
+            return;
+        }
+
+        let buf = fs.readFileSync(this.path);
+        let offset = 0;
+
+        while (offset + FRAME_HEADER <= buf.length) {
+            let size = buf.readUInt32BE(offset);
+            let start = offset + FRAME_HEADER;
+            let payload = buf.slice(start, start + size);
+
+            if (payload.length < size || !checksum(payload).equals(buf.slice(offset + 4, start))) {
+                break;
+            }
+
+            let [ op, key, time, value, meta = {} ] = decode(payload);
+            if (this.has(key)) {
+                this.account(key, -1);
+                Map.prototype.delete.call(this, key);
+            }
+            if (op === 'set') {
+                Map.prototype.set.call(this, key, [ time, value, meta ]);
+                this.account(key, 1);
+            }
+
+            this.logged += 1;
+            offset = start + size;
+        }
+
+        if (offset < buf.length) {
+            logger.warn("storage log %s has a torn entry at byte %d, truncating", this.path, offset);
+            fs.truncateSync(this.path, offset);
+        }
+
+        logger.info("storage log %s: loaded %d keys from %d entries", this.path, this.size, this.logged);
+    }
+
+    frame(entry) {
+        let payload = encode(entry);
+        let head = Buffer.alloc(FRAME_HEADER);
+        head.writeUInt32BE(payload.length, 0);
+        checksum(payload).copy(head, 4);
+        return Buffer.concat([ head, payload ]);
+    }
+
+    append(entry) {
+        if (this.fd === null) {
+            return;
+        }
+
+        fs.writeSync(this.fd, this.frame(entry));
+        if (this.sync) {
+            fs.fsyncSync(this.fd);
+        }
+
+        this.logged += 1;
+        if (this.logged > 2 * this.size + 1000) {
+            this.compact();
+        }
+    }
+
+    set(key, value, meta = {}) {
+        super.set(key, value, meta);
+        if (this.has(key)) {
+            let [ time, , full ] = Map.prototype.get.call(this, key);
+            this.append([ 'set', key, time, value, full ]);
+        }
+    }
+
+    delete(key) {
+        let had = super.delete(key);
+        if (had) {
+            this.append([ 'del', key ]);
+        }
+        return had;
+    }
+
+    /**
+     * Rewrite the log with only the live entries.
+     */
+    compact() {
+        let tmp = `${this.path}.tmp`;
+        let fd = fs.openSync(tmp, 'w');
+
+        for (let [ key, [ time, value, meta ] ] of Map.prototype.entries.call(this)) {
+            fs.writeSync(fd, this.frame([ 'set', key, time, value, meta ]));
+        }
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+
+        fs.closeSync(this.fd);
+        fs.renameSync(tmp, this.path);
+        this.syncDirectory();
+        this.fd = fs.openSync(this.path, 'a');
+        this.logged = this.size;
+
+        logger.debug("storage log %s compacted to %d entries", this.path, this.logged);
+    }
+
+    // Make the rename of the log survive a crash.
+    syncDirectory() {
+        let fd = fs.openSync(dirname(this.path), 'r');
+        try {
+            fs.fsyncSync(fd);
+        } catch (err) {
+            // not every platform can sync a directory
+            logger.debug("could not sync the directory of %s: %s", this.path, err.message);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Build the storage described by `config`:
+ *     { backend: 'memory' | 'disk', path, ttl, sync }
+ */
+function createStorage(config = {}) {
+    let { backend = 'memory', path = null, ttl = DEFAULT_TTL, sync = false } = config;
+
+    if (backend === 'memory') {
+        return new ForgetfulStorage(ttl);
+    }
+
+    if (backend === 'disk') {
+        if (!path) {
+            throw new Error('The disk storage backend needs a path');
+        }
+        return new PersistentStorage(path, ttl, sync);
+    }
+
+    throw new Error(`Unknown storage backend ${backend}`);
+}
+
 module.exports = {
+    DEFAULT_TTL,
+    MAX_TTL,
     IStorage,
-    ForgetfulStorage
+    ForgetfulStorage,
+    PersistentStorage,
+    createStorage
 };
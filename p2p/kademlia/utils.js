@@ -1,4 +1,5 @@
 const { createHash } = require('crypto');
+const { isIP } = require('net');
 const { logger } = require('../logger');
 
 /**
@@ -52,6 +53,35 @@ function digest(s, encoding = 'hex') {
     return new createHash('sha1').update(s).digest(encoding);
 }
 
+// Strip the IPv4-mapped prefix dual-stack sockets report, so every
+// address has a single spelling.
+function normalizeIP(ip) {
+    if (typeof ip !== 'string') {
+        return ip;
+    }
+
+    ip = ip.toLowerCase();
+    if (ip.startsWith('::ffff:') && isIP(ip.slice(7)) === 4) {
+        return ip.slice(7);
+    }
+    return ip;
+}
+
+// A host:port string that stays unambiguous for IPv6.
+function addressKey(ip, port) {
+    return isIP(ip) === 6 ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
+
+// Whether a peer sent us an [ ip, port ] we could send datagrams to.
+function isEndpoint(endpoint) {
+    if (!Array.isArray(endpoint) || endpoint.length !== 2) {
+        return false;
+    }
+
+    let [ ip, port ] = endpoint;
+    return typeof ip === 'string' && isIP(ip) !== 0 && Number.isInteger(port) && port > 0 && port < 65536;
+}
+
 function now() {
     return Date.now();
 }
@@ -123,6 +153,9 @@ function gather_dict(defers) {
 module.exports = {
     gather_dict,
     sharedPrefix,
+    normalizeIP,
+    addressKey,
+    isEndpoint,
     len,
     now,
     compare,
@@ -0,0 +1,197 @@
+/**
+ * Adapters for publishing records to the CAN chain.
+ */
+
+const fs = require('fs');
+const { promisify } = require('util');
+const { digest } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+const appendFile = promisify(fs.appendFile);
+const truncate = promisify(fs.truncate);
+
+/**
+ * Interface every chain backend implements.  All methods are async.
+ *
+ * Records are plain JSON objects with a `type` field, e.g.
+ *     { type: 'bandwidth', Session, Node, Peer, Send, Recv, Time }
+ *     { type: 'presence', SN, Node, Time }
+ */
+class ILedger {
+    /**
+     * Submit a record to the chain.
+     *
+     * Returns:
+     *     The transaction id of the submitted record.
+     */
+    async submit(record) {
+        throw Error('NotImplementedError');
+    }
+
+    /**
+     * Find records whose fields equal every field of `filter`.
+     *
+     * Returns:
+     *     A list of { id, height, record } entries, oldest first.
+     */
+    async query(filter = {}) {
+        throw Error('NotImplementedError');
+    }
+
+    /**
+     * Check whether a transaction made it into the chain.
+     *
+     * Returns:
+     *     { height, hash } of the including block, or :class:`null`.
+     */
+    async confirm(txid) {
+        throw Error('NotImplementedError');
+    }
+}
+
+function matches(record, filter) {
+    return Object.keys(filter).every(key => record[key] === filter[key]);
+}
+
+/**
+ * A local mock chain kept in a JSON-lines file, one block per line.
+ * Every submitted record is sealed into its own block right away, and
+ * blocks are hash-chained so tampering with the file is noticed on load.
+ *
+ * A block only counts once its line is on disk: a failed append leaves
+ * the chain as it was, and the file is cut back to its last whole block,
+ * on load as after a failed write.
+ */
+class FileLedger extends ILedger {
+    constructor(path) {
+        super();
+        this.path = path;
+        this.blocks = [];
+        this.txs = new Map;
+        // bytes of the file holding whole blocks
+        this.length = 0;
+        this.writing = Promise.resolve();
+        this.load();
+    }
+
+    get height() {
+        return this.blocks.length;
+    }
+
+    get head() {
+        let last = this.blocks[this.blocks.length - 1];
+        return last ? last.hash : null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) {
+            return;
+        }
+
+        let buf = fs.readFileSync(this.path);
+        while (this.length < buf.length) {
+            let end = buf.indexOf('\n', this.length);
+            if (end < 0) {
+                // a torn write at the end of the file; everything after it is lost
+                logger.warn("ledger %s has a damaged block at height %d, ignoring the rest",
+                    this.path, this.height);
+                break;
+            }
+
+            let line = buf.toString('utf8', this.length, end);
+            if (line) {
+                let block;
+                try {
+                    block = JSON.parse(line);
+                } catch (err) {
+                    logger.warn("ledger %s has a damaged block at height %d, ignoring the rest",
+                        this.path, this.height);
+                    break;
+                }
+
+                if (!block || block.prev !== this.head || block.hash !== this.hashOf(block)) {
+                    logger.warn("ledger %s is broken at height %d, ignoring the rest", this.path, this.height);
+                    break;
+                }
+                this.index(block);
+            }
+            this.length = end + 1;
+        }
+
+        if (this.length < buf.length) {
+            logger.warn("ledger %s: truncating at byte %d", this.path, this.length);
+            fs.truncateSync(this.path, this.length);
+        }
+    }
+
+    hashOf({ height, prev, time, txs }) {
+        return digest(JSON.stringify([ height, prev, time, txs ]));
+    }
+
+    index(block) {
+        this.blocks.push(block);
+        for (let { id } of block.txs) {
+            this.txs.set(id, block);
+        }
+    }
+
+    async submit(record) {
+        if (!record || typeof record.type !== 'string') {
+            throw new Error('Ledger records must have a type');
+        }
+
+        // one block at a time, each chained on the one written before it
+        let sealed = this.writing.catch(() => {}).then(() => this.seal(record));
+        this.writing = sealed;
+        return sealed;
+    }
+
+    async seal(record) {
+        let time = Date.now();
+        let id = digest(JSON.stringify([ this.head, time, record ]));
+        let block = { height: this.height, prev: this.head, time, txs: [ { id, record } ] };
+        block.hash = this.hashOf(block);
+
+        let line = JSON.stringify(block) + '\n';
+        try {
+            await appendFile(this.path, line);
+        } catch (err) {
+            // drop whatever part of the line made it, so the next block
+            // does not follow a torn one
+            await truncate(this.path, this.length).catch(() => {});
+            logger.warn("ledger %s could not seal %s record: %s", this.path, record.type, err.message);
+            throw err;
+        }
+
+        this.length += Buffer.byteLength(line);
+        this.index(block);
+
+        logger.debug("ledger %s sealed %s record %s at height %d", this.path, record.type, id, block.height);
+        return id;
+    }
+
+    async query(filter = {}) {
+        let found = [];
+        for (let { height, txs } of this.blocks) {
+            for (let { id, record } of txs) {
+                if (matches(record, filter)) {
+                    found.push({ id, height, record });
+                }
+            }
+        }
+        return found;
+    }
+
+    async confirm(txid) {
+        let block = this.txs.get(txid);
+        if (!block) {
+            return null;
+        }
+        return { height: block.height, hash: block.hash };
+    }
+}
+
+module.exports = {
+    ILedger,
+    FileLedger
+};
@@ -0,0 +1,252 @@
+/**
+ * Process wide metrics, served in the Prometheus text format.
+ *
+ * Counters and histograms are updated where things happen; gauges that
+ * describe a :class:`~kademlia.network.Server` (buckets, storage) are
+ * computed at scrape time by the collectors the server registers.
+ */
+
+const { createServer } = require('http');
+const { logger } = require('../logger');
+
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    let pairs = Object.entries(labels).map(([ k, v ]) => `${k}="${escape(v)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        // serialized labels -> [ labels, value ]
+        this.values = new Map;
+    }
+
+    _entry(labels, make) {
+        let key = JSON.stringify(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, [ labels, make() ]);
+        }
+        return this.values.get(key);
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    lines() {
+        return Array.from(this.values.values()).map(([ labels, value ]) => {
+            return `${this.name}${formatLabels(labels)} ${formatNumber(value)}`;
+        });
+    }
+
+    expose() {
+        return [ `# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines() ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, value = 1) {
+        let entry = this._entry(labels, () => 0);
+        entry[1] += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    set(labels, value) {
+        this._entry(labels, () => 0)[1] = value;
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param { Array } buckets: Upper bounds of the buckets, ascending
+     */
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        let [ , state ] = this._entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                state.counts[i] += 1;
+            }
+        });
+        state.sum += value;
+        state.count += 1;
+    }
+
+    lines() {
+        let lines = [];
+        for (let [ labels, { counts, sum, count } ] of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                let le = formatLabels(Object.assign({}, labels, { le: formatNumber(bound) }));
+                lines.push(`${this.name}_bucket${le} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map;
+        this.collectors = new Set;
+    }
+
+    register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Run `collector` before every scrape, to set gauges.
+     *
+     * Returns:
+     *     A function that unregisters the collector.
+     */
+    collect(collector) {
+        this.collectors.add(collector);
+        return () => this.collectors.delete(collector);
+    }
+
+    expose() {
+        for (let collector of this.collectors) {
+            try {
+                collector();
+            } catch (err) {
+                logger.warn("metrics collector failed: %s", err.message);
+            }
+        }
+
+        return Array.from(this.metrics.values()).map(m => m.expose()).join('\n') + '\n';
+    }
+}
+
+const registry = new Registry;
+
+const SECONDS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5 ];
+
+const metrics = {
+    rpcSent: registry.register(new Counter('canbox_rpc_sent_total', 'RPC requests sent, by method')),
+    rpcReceived: registry.register(new Counter('canbox_rpc_received_total', 'RPC requests received, by method')),
+    rpcTimeouts: registry.register(new Counter('canbox_rpc_timeouts_total', 'RPC requests that got no answer, by method')),
+    rpcDuration: registry.register(new Histogram('canbox_rpc_rtt_seconds', 'Round trip time of answered RPCs, by method', SECONDS)),
+    malformed: registry.register(new Counter('canbox_malformed_datagrams_total', 'Datagrams dropped as malformed, by reason')),
+    buckets: registry.register(new Gauge('canbox_routing_buckets', 'Buckets in the routing table')),
+    bucketNodes: registry.register(new Gauge('canbox_routing_bucket_nodes', 'Contacts in each bucket')),
+    bucketFill: registry.register(new Gauge('canbox_routing_bucket_fill_ratio', 'Contacts in each bucket over ksize')),
+    replacements: registry.register(new Gauge('canbox_routing_replacement_cache_size', 'Contacts in the replacement cache of each bucket')),
+    evictions: registry.register(new Counter('canbox_routing_evictions_total', 'Contacts dropped for not answering, by whether a replacement took their place')),
+    lookupHops: registry.register(new Histogram('canbox_lookup_hops', 'Rounds of RPCs per lookup, by type', [ 1, 2, 3, 4, 5, 6, 8, 10, 15, 20 ])),
+    lookupDuration: registry.register(new Histogram('canbox_lookup_duration_seconds', 'Duration of lookups, by type',
+        [ 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ])),
+    storageKeys: registry.register(new Gauge('canbox_storage_keys', 'Keys in local storage')),
+    storageBytes: registry.register(new Gauge('canbox_storage_bytes', 'Bytes of keys and values in local storage')),
+    storageSenders: registry.register(new Gauge('canbox_storage_senders', 'Nodes that stored keys in local storage')),
+    republishRuns: registry.register(new Counter('canbox_republish_runs_total', 'Runs of the refresh and republish loop')),
+    republished: registry.register(new Counter('canbox_republished_keys_total', 'Keys republished, own or replicas'))
+};
+
+/**
+ * Keep the routing and storage gauges of `server` up to date.
+ *
+ * Returns:
+ *     A function that stops doing so.
+ */
+function watchServer(server) {
+    return registry.collect(() => {
+        let { bucketNodes, bucketFill, replacements, buckets, storageKeys, storageBytes, storageSenders } = metrics;
+        [ bucketNodes, bucketFill, replacements ].forEach(m => m.reset());
+
+        if (server.protocol) {
+            let table = server.protocol.router.buckets;
+            buckets.set({}, table.length);
+            table.forEach((bucket, i) => {
+                let labels = { bucket: i };
+                bucketNodes.set(labels, bucket.len);
+                bucketFill.set(labels, bucket.len / bucket.ksize);
+                replacements.set(labels, bucket.replacementNodes.size);
+            });
+        }
+
+        // the storage keeps its usage up to date, a scrape does not walk the keys
+        let { size, bytes, senders } = server.storage;
+        storageKeys.set({}, size);
+        storageBytes.set({}, bytes);
+        storageSenders.set({}, senders.size);
+    });
+}
+
+/**
+ * Serve the registry at GET /metrics.
+ */
+class MetricsServer {
+    constructor(reg = registry) {
+        this.registry = reg;
+        this.server = createServer((req, res) => {
+            if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end('not found\n');
+            }
+
+            let body = this.registry.expose();
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4',
+                'Content-Length': Buffer.byteLength(body)
+            });
+            res.end(body);
+        });
+    }
+
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                logger.info("metrics listening on %s:%d", host, this.server.address().port);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    stop() {
+        this.server.close();
+    }
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    Registry,
+    MetricsServer,
+    registry,
+    metrics,
+    watchServer
+};
@@ -0,0 +1,269 @@
+/**
+ * NAT traversal.
+ *
+ * A node learns its public endpoint by asking several peers where its
+ * datagrams come from (the `reflect` RPC), and classifies its NAT from
+ * the answers:
+ *
+ *     open       a peer saw one of our own interface addresses
+ *     cone       every peer saw the same ip and port: the mapping does not
+ *                depend on the destination, so holes can be punched
+ *     symmetric  peers saw different ports (or ips): a hole punched
+ *                towards one peer is useless for another
+ *     unknown    fewer than two peers answered
+ *
+ * When a direct RPC gets no answer, both sides punch at the same time:
+ * our introducers (the bootstrap nodes, to which every node keeps its
+ * mapping open) ask the peer to send us a `hole`, while we send it one.
+ * Once an answer gets through, the path is cached for a while and RPCs
+ * to the peer are retried once.
+ *
+ * Every `stun` and `punch` makes us send a datagram to someone else, so
+ * they name one peer we already know and each source only gets a few a
+ * second: we must not be a way to flood third parties.
+ */
+
+const { networkInterfaces } = require('os');
+const { addressKey, normalizeIP, len } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+const NAT_TYPES = [ 'unknown', 'open', 'cone', 'symmetric' ];
+
+// RPCs of the traversal itself, never retried through a punched hole
+const TRAVERSAL_METHODS = new Set([ 'stun', 'punch', 'hole', 'reflect' ]);
+
+// sources whose stun and punch counts we remember, at most
+const MAX_SOURCES = 1024;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function localAddresses() {
+    let found = new Set;
+    for (let addrs of Object.values(networkInterfaces())) {
+        for (let { address } of addrs) {
+            found.add(normalizeIP(address));
+        }
+    }
+    return found;
+}
+
+/**
+ * The NAT type behind which `observed` [ ip, port ] endpoints were seen
+ * by different peers, for a socket bound to `port` on `local` addresses.
+ */
+function classify(observed, local, port) {
+    if (len(observed) === 0) {
+        return 'unknown';
+    }
+
+    if (observed.some(([ ip, p ]) => local.has(ip) && p === port)) {
+        return 'open';
+    }
+
+    if (len(observed) < 2) {
+        return 'unknown';
+    }
+
+    let endpoints = new Set(observed.map(([ ip, p ]) => addressKey(ip, p)));
+    return endpoints.size === 1 ? 'cone' : 'symmetric';
+}
+
+class NATTraversal {
+    /**
+     * @param { RPCProtocol } protocol: The protocol whose RPCs we rescue
+     * @param { Number } retries: Punching rounds before giving up on a peer
+     * @param { Number } pathTTL: How long a punched path is trusted, and
+     *                            a failed one left alone, in milliseconds
+     * @param { Number } backoff: Pause after the first failed round,
+     *                            growing with each one
+     * @param { Number } keepalive: How often we talk to the introducers
+     *                              so our NAT keeps our mapping to them
+     * @param { Number } requestLimit: stun and punch requests a source
+     *                                 gets served per second
+     */
+    constructor(protocol, retries = 2, pathTTL = 60000, backoff = 500, keepalive = 25000, requestLimit = 10) {
+        this.protocol = protocol;
+        this.requestLimit = requestLimit;
+        // ip -> [ when its second started, requests in it ]
+        this.requests = new Map;
+        this.retries = retries;
+        this.pathTTL = pathTTL;
+        this.backoff = backoff;
+        this.keepalive = keepalive;
+        this.keepalive_loop = null;
+
+        // addressKey -> [ ip, port ] of the nodes that introduce us
+        this.introducers = new Map;
+        this.observed = [];
+        this.publicEndpoint = null;
+        this.type = 'unknown';
+
+        // addressKey -> when the punched path, or the failure, expires
+        this.paths = new Map;
+        this.failures = new Map;
+        this.punching = new Map;
+    }
+
+    setIntroducers(addrs) {
+        this.introducers = new Map(addrs.map(([ ip, port ]) => [ addressKey(ip, port), [ ip, port ] ]));
+        if (this.keepalive_loop === null && this.introducers.size > 0) {
+            this.keep_mappings_loop();
+        }
+    }
+
+    keep_mappings_loop() {
+        this.keepalive_loop = setTimeout(() => {
+            for (let introducer of this.introducers.values()) {
+                this.protocol.reflect(introducer);
+            }
+            this.keep_mappings_loop();
+        }, this.keepalive);
+    }
+
+    close() {
+        clearTimeout(this.keepalive_loop);
+        this.keepalive_loop = null;
+    }
+
+    /**
+     * Ask up to `samples` peers, on distinct ips, how they see us.
+     *
+     * Returns:
+     *     The NAT type.
+     */
+    async discover(peers, samples = 4) {
+        let ips = new Set;
+        let chosen = [];
+        for (let [ ip, port ] of peers) {
+            if (!ips.has(ip) && this.protocol.canReach(ip)) {
+                ips.add(ip);
+                chosen.push([ ip, port ]);
+            }
+        }
+
+        let answers = await Promise.all(chosen.slice(0, samples).map(addr => this.protocol.reflect(addr)));
+        let observed = answers.filter(([ ok, endpoint ]) => ok && Array.isArray(endpoint)).map(([ , [ ip, port ] ]) => {
+            return [ normalizeIP(ip), port ];
+        });
+
+        // a lone answer still tells our address, not how the NAT maps it
+        if (len(observed) > 0) {
+            this.observed = observed;
+            // the socket may be bound to an address of its own
+            let { address, port } = this.protocol.transport.address();
+            let local = localAddresses().add(normalizeIP(address));
+            this.type = classify(observed, local, port);
+            this.publicEndpoint = this.type === 'symmetric' ? null : observed[0];
+        }
+
+        logger.info("NAT: %s, public endpoint %j, seen by %d peers", this.type, this.publicEndpoint, len(observed));
+        return this.type;
+    }
+
+    /**
+     * Count a stun or punch request from `ip`.
+     *
+     * Returns:
+     *     Whether it is within the limit and may be served.
+     */
+    allow(ip) {
+        let now = Date.now();
+        let [ start, count ] = this.requests.get(ip) || [ now, 0 ];
+        if (now - start >= 1000) {
+            [ start, count ] = [ now, 0 ];
+        }
+
+        this.requests.delete(ip);
+        this.requests.set(ip, [ start, count + 1 ]);
+        if (this.requests.size > MAX_SOURCES) {
+            this.requests.delete(this.requests.keys().next().value);
+        }
+        return count < this.requestLimit;
+    }
+
+    isPunched(address) {
+        return (this.paths.get(addressKey(...address)) || 0) > Date.now();
+    }
+
+    // An answer came back from `address`: a punched path stays open.
+    seen(address) {
+        let key = addressKey(...address);
+        if (this.paths.has(key)) {
+            this.paths.set(key, Date.now() + this.pathTTL);
+        }
+    }
+
+    shouldPunch(name, address) {
+        let key = addressKey(...address);
+        return !TRAVERSAL_METHODS.has(name)
+            && this.introducers.size > 0
+            && !this.introducers.has(key)
+            && this.protocol.canReach(address[0])
+            && (this.failures.get(key) || 0) <= Date.now();
+    }
+
+    /**
+     * Open a path to `address` with the help of the introducers.
+     *
+     * Returns:
+     *     Whether the peer answered through it.
+     */
+    punch(address) {
+        let key = addressKey(...address);
+        if (!this.punching.has(key)) {
+            this.punching.set(key, this._punch(address).finally(() => this.punching.delete(key)));
+        }
+        return this.punching.get(key);
+    }
+
+    async _punch(address) {
+        let key = addressKey(...address);
+        this.paths.delete(key);
+
+        for (let round = 1; round <= this.retries; round++) {
+            logger.debug("NAT: punching %s, round %d", key, round);
+
+            // they send us a hole while ours opens our side
+            for (let introducer of this.introducers.values()) {
+                this.protocol.stun(introducer, address);
+            }
+
+            let [ ok ] = await this.protocol.hole(address);
+            if (ok) {
+                logger.info("NAT: punched a path to %s", key);
+                this.paths.set(key, Date.now() + this.pathTTL);
+                this.failures.delete(key);
+                return true;
+            }
+
+            if (round < this.retries) {
+                await sleep(this.backoff * round);
+            }
+        }
+
+        logger.warn("NAT: could not punch a path to %s", key);
+        this.failures.set(key, Date.now() + this.pathTTL);
+        return false;
+    }
+
+    status() {
+        let now = Date.now();
+        let live = map => Array.from(map.entries()).filter(([ , until ]) => until > now).map(([ key ]) => key);
+        return {
+            type: this.type,
+            publicEndpoint: this.publicEndpoint,
+            observed: this.observed,
+            introducers: Array.from(this.introducers.keys()),
+            paths: live(this.paths),
+            failures: live(this.failures)
+        };
+    }
+}
+
+module.exports = {
+    NAT_TYPES,
+    NATTraversal,
+    classify
+};
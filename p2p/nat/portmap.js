@@ -0,0 +1,505 @@
+/**
+ * Port mapping: ask the home gateway to forward our UDP port, so that a
+ * device behind it can be reached directly.
+ *
+ *     pcp     Port Control Protocol (RFC 6887), MAP opcode
+ *     natpmp  NAT Port Mapping Protocol (RFC 6886), its predecessor; both
+ *             talk to the gateway on UDP 5351
+ *     upnp    UPnP Internet Gateway Device: found with SSDP, driven with
+ *             SOAP over HTTP
+ *
+ * Methods are tried in order until one maps the port.  The lease is
+ * renewed halfway through its lifetime and removed on :meth:`close`.
+ */
+
+const dgram = require('dgram');
+const http = require('http');
+const fs = require('fs');
+const { randomBytes } = require('crypto');
+const { isIP, isIPv4 } = require('net');
+const { normalizeIP } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+const METHODS = [ 'pcp', 'natpmp', 'upnp' ];
+
+const GATEWAY_PORT = 5351;
+const SSDP = [ '239.255.255.250', 1900 ];
+
+const PCP_VERSION = 2;
+const PCP_MAP = 1;
+const PCP_RESPONSE = 0x80;
+const PCP_UDP = 17;
+
+const NATPMP_ADDRESS = 0;
+const NATPMP_MAP_UDP = 1;
+const NATPMP_RESPONSE = 128;
+
+const IGD_SERVICE = /urn:schemas-upnp-org:service:WAN(IP|PPP)Connection:\d/;
+
+// UPnP error: the gateway only takes leases that never expire
+const ONLY_PERMANENT_LEASES = '725';
+
+class PortMapError extends Error {
+}
+
+/**
+ * The default IPv4 gateway, from the kernel routing table, or null where
+ * there is none to read.
+ */
+function defaultGateway(routes = '/proc/net/route') {
+    let lines;
+    try {
+        lines = fs.readFileSync(routes, 'utf8').trim().split('\n').slice(1);
+    } catch (err) {
+        return null;
+    }
+
+    for (let line of lines) {
+        let [ , destination, gateway, flags ] = line.trim().split(/\s+/);
+        // RTF_GATEWAY
+        if (destination === '00000000' && (parseInt(flags, 16) & 2)) {
+            let bytes = Buffer.from(gateway, 'hex').reverse();
+            return Array.from(bytes).join('.');
+        }
+    }
+    return null;
+}
+
+// The local address datagrams to `host` leave from.
+function localAddressTowards(host, port) {
+    return new Promise((resolve, reject) => {
+        let socket = dgram.createSocket(isIP(host) === 6 ? 'udp6' : 'udp4');
+        socket.once('error', err => {
+            socket.close();
+            reject(err);
+        });
+        socket.connect(port, host, () => {
+            let { address } = socket.address();
+            socket.close();
+            resolve(normalizeIP(address));
+        });
+    });
+}
+
+/**
+ * Send `message` to [ host, port ] until an answer accepted by `accept`
+ * comes back, every 250 ms and then twice as long, per RFC 6886.
+ */
+function exchange([ host, port ], message, accept, timeout) {
+    return new Promise((resolve, reject) => {
+        let socket = dgram.createSocket(isIP(host) === 6 ? 'udp6' : 'udp4');
+        let wait = 250;
+        let timer = null;
+        let done = (err, answer) => {
+            clearTimeout(timer);
+            clearTimeout(deadline);
+            socket.close();
+            return err ? reject(err) : resolve(answer);
+        };
+        let send = () => {
+            socket.send(message, port, host);
+            timer = setTimeout(send, wait);
+            wait *= 2;
+        };
+        let deadline = setTimeout(() => done(new PortMapError(`no answer from ${host}:${port}`)), timeout);
+
+        socket.on('error', err => done(err));
+        socket.on('message', (msg, rinfo) => {
+            if (normalizeIP(rinfo.address) === normalizeIP(host) && accept(msg)) {
+                done(null, msg);
+            }
+        });
+        socket.bind(0, send);
+    });
+}
+
+// An IPv4 address as an IPv4-mapped IPv6 one, as PCP wants them.
+function mappedIPv6(ip) {
+    let buf = Buffer.alloc(16);
+    if (isIPv4(ip)) {
+        buf.writeUInt16BE(0xffff, 10);
+        ip.split('.').forEach((byte, i) => buf[12 + i] = Number(byte));
+    }
+    return buf;
+}
+
+function fromIPv6(buf) {
+    if (buf.slice(0, 10).equals(Buffer.alloc(10)) && buf.readUInt16BE(10) === 0xffff) {
+        return Array.from(buf.slice(12)).join('.');
+    }
+
+    let groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buf.readUInt16BE(i).toString(16));
+    }
+    return normalizeIP(groups.join(':'));
+}
+
+function httpRequest(url, method = 'GET', headers = {}, body = null, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        let req = http.request(url, { method, headers, timeout }, res => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve([ res.statusCode, Buffer.concat(chunks).toString() ]));
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new PortMapError(`no answer from ${url}`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function xmlValue(xml, tag) {
+    let found = xml.match(new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`));
+    return found ? found[1].trim() : null;
+}
+
+class PortMapper {
+    /**
+     * @param { Array } methods: Which of pcp, natpmp and upnp to try, in order
+     * @param { Array } gateway: [ ip, port ] of the PCP/NAT-PMP server,
+     *  by default the default gateway on port 5351
+     * @param { Array } ssdp: Where to send the UPnP search
+     * @param { Number } lifetime: Lease we ask for, in milliseconds
+     * @param { Number } timeout: How long a gateway may take to answer
+     * @param { String } description: Name of the mapping on UPnP gateways
+     */
+    constructor({
+        methods = METHODS,
+        gateway = null,
+        ssdp = SSDP,
+        lifetime = 2 * 3600 * 1000,
+        timeout = 3000,
+        description = 'canbox'
+    } = {}) {
+        let unknown = methods.filter(method => !METHODS.includes(method));
+        if (unknown.length) {
+            throw new PortMapError(`Unknown port mapping methods: ${unknown.join(', ')}`);
+        }
+
+        this.methods = methods;
+        this.gateway = gateway;
+        this.ssdp = ssdp;
+        this.lifetime = lifetime;
+        this.timeout = timeout;
+        this.description = description;
+
+        // { method, internalPort, externalIP, externalPort, lifetime }
+        this.mapping = null;
+        this.port = null;
+        this.changed = null;
+        this.renew_loop = null;
+        this.nonce = randomBytes(12);
+        this.igd = null;
+    }
+
+    _gateway() {
+        if (this.gateway) {
+            return this.gateway;
+        }
+
+        let ip = defaultGateway();
+        if (ip === null) {
+            throw new PortMapError('no default gateway');
+        }
+        return [ ip, GATEWAY_PORT ];
+    }
+
+    /**
+     * Map UDP `port` with the first method that works.  `changed` is
+     * called with the new mapping, or null, whenever a renewal moves or
+     * loses it.
+     *
+     * Returns:
+     *     The mapping, or null if no method worked.
+     */
+    async map(port, changed = null) {
+        this.port = port;
+        this.changed = changed;
+
+        for (let method of this.methods) {
+            try {
+                let mapping = await this[`_map_${method}`](port, this.lifetime);
+                logger.info("mapped udp port %d to %s:%d with %s for %ds", port,
+                    mapping.externalIP, mapping.externalPort, method, mapping.lifetime / 1000);
+                this.mapping = mapping;
+                this.schedule();
+                return mapping;
+            } catch (err) {
+                logger.debug("could not map port %d with %s: %s", port, method, err.message);
+            }
+        }
+
+        logger.warn("could not map udp port %d on the gateway", port);
+        return null;
+    }
+
+    schedule() {
+        clearTimeout(this.renew_loop);
+        this.renew_loop = setTimeout(() => this.renew(), Math.max(this.mapping.lifetime / 2, 1000));
+    }
+
+    async renew() {
+        let previous = this.mapping;
+        let mapping = null;
+        try {
+            mapping = await this[`_map_${previous.method}`](this.port, this.lifetime);
+        } catch (err) {
+            logger.warn("could not renew the %s mapping of port %d: %s", previous.method, this.port, err.message);
+            this.mapping = null;
+            mapping = await this.map(this.port, this.changed);
+        }
+
+        if (mapping === null) {
+            this.mapping = null;
+        }
+        else {
+            this.mapping = mapping;
+            this.schedule();
+        }
+
+        let moved = mapping === null || mapping.externalIP !== previous.externalIP ||
+            mapping.externalPort !== previous.externalPort;
+        if (moved && this.changed) {
+            this.changed(mapping);
+        }
+        return mapping;
+    }
+
+    /**
+     * Stop renewing and remove the mapping from the gateway.
+     */
+    async close() {
+        clearTimeout(this.renew_loop);
+        this.renew_loop = null;
+
+        let mapping = this.mapping;
+        this.mapping = null;
+        if (mapping === null) {
+            return;
+        }
+
+        try {
+            await this[`_unmap_${mapping.method}`](mapping);
+            logger.info("removed the %s mapping of port %d", mapping.method, mapping.internalPort);
+        } catch (err) {
+            logger.warn("could not remove the %s mapping of port %d: %s", mapping.method, mapping.internalPort, err.message);
+        }
+    }
+
+    status() {
+        return this.mapping && Object.assign({}, this.mapping);
+    }
+
+    async _pcp(port, externalPort, lifetime) {
+        let gateway = this._gateway();
+        let client = await localAddressTowards(...gateway);
+
+        let request = Buffer.alloc(60);
+        request[0] = PCP_VERSION;
+        request[1] = PCP_MAP;
+        request.writeUInt32BE(Math.round(lifetime / 1000), 4);
+        mappedIPv6(client).copy(request, 8);
+        this.nonce.copy(request, 24);
+        request[36] = PCP_UDP;
+        request.writeUInt16BE(port, 40);
+        request.writeUInt16BE(externalPort, 42);
+        mappedIPv6('0.0.0.0').copy(request, 44);
+
+        let answer = await exchange(gateway, request, msg => {
+            // a NAT-PMP server answers any other version with its own
+            return (msg.length >= 4 && msg[0] === 0) || (msg.length >= 60 &&
+                msg[1] === (PCP_RESPONSE | PCP_MAP) && msg.slice(24, 36).equals(this.nonce));
+        }, this.timeout);
+
+        if (answer[0] !== PCP_VERSION) {
+            throw new PortMapError('the gateway does not speak PCP');
+        }
+        if (answer[3] !== 0) {
+            throw new PortMapError(`PCP result code ${answer[3]}`);
+        }
+
+        return {
+            method: 'pcp',
+            internalPort: port,
+            externalIP: fromIPv6(answer.slice(44, 60)),
+            externalPort: answer.readUInt16BE(42),
+            lifetime: answer.readUInt32BE(4) * 1000
+        };
+    }
+
+    _map_pcp(port, lifetime) {
+        let previous = this.mapping && this.mapping.method === 'pcp' ? this.mapping.externalPort : port;
+        return this._pcp(port, previous, lifetime);
+    }
+
+    _unmap_pcp(mapping) {
+        return this._pcp(mapping.internalPort, 0, 0);
+    }
+
+    async _natpmp(op, request) {
+        let answer = await exchange(this._gateway(), request, msg => {
+            return msg.length >= 4 && msg[0] === 0 && msg[1] === NATPMP_RESPONSE + op;
+        }, this.timeout);
+
+        let result = answer.readUInt16BE(2);
+        if (result !== 0) {
+            throw new PortMapError(`NAT-PMP result code ${result}`);
+        }
+        return answer;
+    }
+
+    async _map_natpmp(port, lifetime) {
+        let address = await this._natpmp(NATPMP_ADDRESS, Buffer.from([ 0, NATPMP_ADDRESS ]));
+
+        let request = Buffer.alloc(12);
+        request[1] = NATPMP_MAP_UDP;
+        request.writeUInt16BE(port, 4);
+        request.writeUInt16BE(this.mapping && this.mapping.method === 'natpmp' ? this.mapping.externalPort : port, 6);
+        request.writeUInt32BE(Math.round(lifetime / 1000), 8);
+        let answer = await this._natpmp(NATPMP_MAP_UDP, request);
+
+        return {
+            method: 'natpmp',
+            internalPort: port,
+            externalIP: Array.from(address.slice(8, 12)).join('.'),
+            externalPort: answer.readUInt16BE(10),
+            lifetime: answer.readUInt32BE(12) * 1000
+        };
+    }
+
+    async _unmap_natpmp(mapping) {
+        let request = Buffer.alloc(12);
+        request[1] = NATPMP_MAP_UDP;
+        request.writeUInt16BE(mapping.internalPort, 4);
+        await this._natpmp(NATPMP_MAP_UDP, request);
+    }
+
+    // Find the gateway with SSDP and the URL that controls its WAN connection.
+    async _discoverIGD() {
+        let [ host, port ] = this.ssdp;
+        let search = Buffer.from([
+            'M-SEARCH * HTTP/1.1',
+            `HOST: ${host}:${port}`,
+            'MAN: "ssdp:discover"',
+            'MX: 2',
+            'ST: urn:schemas-upnp-org:device:InternetGatewayDevice:1',
+            '', ''
+        ].join('\r\n'));
+
+        let answer = await new Promise((resolve, reject) => {
+            let socket = dgram.createSocket('udp4');
+            let timer = setTimeout(() => {
+                socket.close();
+                reject(new PortMapError('no UPnP gateway answered'));
+            }, this.timeout);
+
+            socket.on('error', err => {
+                clearTimeout(timer);
+                socket.close();
+                reject(err);
+            });
+            socket.on('message', msg => {
+                if (/^location:/im.test(msg.toString())) {
+                    clearTimeout(timer);
+                    socket.close();
+                    resolve(msg.toString());
+                }
+            });
+            socket.bind(0, () => socket.send(search, port, host));
+        });
+
+        let location = answer.match(/^location:\s*(\S+)/im)[1];
+        let [ status, xml ] = await httpRequest(location, 'GET', {}, null, this.timeout);
+        if (status !== 200) {
+            throw new PortMapError(`${location} answered ${status}`);
+        }
+
+        let services = xml.match(/<service>[\s\S]*?<\/service>/g) || [];
+        let service = services.find(s => IGD_SERVICE.test(xmlValue(s, 'serviceType') || ''));
+        if (!service) {
+            throw new PortMapError(`no WAN connection service at ${location}`);
+        }
+
+        let base = xmlValue(xml, 'URLBase') || location;
+        return {
+            control: new URL(xmlValue(service, 'controlURL'), base).toString(),
+            service: xmlValue(service, 'serviceType')
+        };
+    }
+
+    async _soap(action, args) {
+        let { control, service } = this.igd;
+        let params = Object.entries(args).map(([ name, value ]) => `<${name}>${value}</${name}>`).join('');
+        let body = '<?xml version="1.0"?>' +
+            '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+            's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+            `<s:Body><u:${action} xmlns:u="${service}">${params}</u:${action}></s:Body></s:Envelope>`;
+
+        let [ status, answer ] = await httpRequest(control, 'POST', {
+            'Content-Type': 'text/xml; charset="utf-8"',
+            'Content-Length': Buffer.byteLength(body),
+            'SOAPAction': `"${service}#${action}"`
+        }, body, this.timeout);
+
+        if (status !== 200) {
+            let error = new PortMapError(`UPnP ${action} failed: ${xmlValue(answer, 'errorDescription') || status}`);
+            error.code = xmlValue(answer, 'errorCode');
+            throw error;
+        }
+        return answer;
+    }
+
+    async _map_upnp(port, lifetime) {
+        if (this.igd === null) {
+            this.igd = await this._discoverIGD();
+        }
+
+        let client = await localAddressTowards(new URL(this.igd.control).hostname, 80);
+        let args = {
+            NewRemoteHost: '',
+            NewExternalPort: port,
+            NewProtocol: 'UDP',
+            NewInternalPort: port,
+            NewInternalClient: client,
+            NewEnabled: 1,
+            NewPortMappingDescription: this.description,
+            NewLeaseDuration: Math.round(lifetime / 1000)
+        };
+
+        try {
+            await this._soap('AddPortMapping', args);
+        } catch (err) {
+            if (err.code !== ONLY_PERMANENT_LEASES) {
+                this.igd = null;
+                throw err;
+            }
+            await this._soap('AddPortMapping', Object.assign(args, { NewLeaseDuration: 0 }));
+        }
+
+        let answer = await this._soap('GetExternalIPAddress', {});
+        return {
+            method: 'upnp',
+            internalPort: port,
+            externalIP: xmlValue(answer, 'NewExternalIPAddress'),
+            externalPort: port,
+            // permanent leases are refreshed all the same
+            lifetime: args.NewLeaseDuration * 1000 || lifetime
+        };
+    }
+
+    async _unmap_upnp(mapping) {
+        await this._soap('DeletePortMapping', {
+            NewRemoteHost: '',
+            NewExternalPort: mapping.externalPort,
+            NewProtocol: 'UDP'
+        });
+    }
+}
+
+module.exports = {
+    METHODS,
+    PortMapper,
+    PortMapError,
+    defaultGateway
+};
@@ -0,0 +1,95 @@
+const { len } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+/**
+ * Keeps a reservation with a relay for a node nobody can reach directly,
+ * e.g. behind a symmetric NAT, and advertises the relayed address
+ * [ ip, port, 'relay' ] so peers reach it through the relay.
+ *
+ * The reservation is renewed every `refresh` milliseconds, which also
+ * keeps our NAT mapping to the relay open; when the relay stops
+ * answering we move to another one.
+ */
+class RelayClient {
+    constructor(server, refresh = 30000) {
+        this.server = server;
+        this.refresh = refresh;
+        this.relay = null;
+        this.refresh_loop = null;
+    }
+
+    get protocol() {
+        return this.server.protocol;
+    }
+
+    // Contacts that relay for others, fastest first.
+    candidates() {
+        let nodes = [];
+        for (let bucket of this.protocol.router.buckets) {
+            nodes.push(...bucket.getNodes().filter(n => n.relays && this.protocol.canReach(n.ip)));
+        }
+
+        let rtt = n => n.rtt === null ? Number.MAX_SAFE_INTEGER : n.rtt;
+        return nodes.sort((a, b) => rtt(a) - rtt(b));
+    }
+
+    async start() {
+        if (this.refresh_loop === null) {
+            return await this.renew();
+        }
+        return this.relay;
+    }
+
+    stop() {
+        clearTimeout(this.refresh_loop);
+        this.refresh_loop = null;
+    }
+
+    async renew() {
+        clearTimeout(this.refresh_loop);
+        this.refresh_loop = setTimeout(() => this.renew(), this.refresh);
+
+        // our relay first, then the others
+        let candidates = this.candidates();
+        if (this.relay) {
+            let [ ip, port ] = this.relay;
+            candidates.sort((a, b) => (b.ip === ip && b.port === port) - (a.ip === ip && a.port === port));
+        }
+
+        for (let node of candidates) {
+            let [ ok, response ] = await this.protocol.reserve([ node.ip, node.port ], this.server.node.id);
+            if (ok && response && !response.error) {
+                return this.use([ node.ip, node.port ]);
+            }
+            logger.debug("relay %s refused a reservation: %s", node, ok ? response && response.error : 'no answer');
+        }
+
+        if (len(candidates) === 0) {
+            logger.warn("no relay among our contacts");
+        }
+        return this.use(null);
+    }
+
+    async use(relay) {
+        let same = relay && this.relay && relay[0] === this.relay[0] && relay[1] === this.relay[1];
+        if (same || (relay === null && this.relay === null)) {
+            return this.relay;
+        }
+
+        logger.info("reachable through relay %j", relay);
+        this.relay = relay;
+        this.protocol.relay.upstream = relay;
+
+        let direct = this.server.addresses.filter(addr => len(addr) === 2);
+        this.server.advertise(relay ? direct.concat([ [ ...relay, 'relay' ] ]) : direct);
+
+        // tell our neighbors how to reach us now
+        let neighbors = this.protocol.router.findNeighbors(this.server.node);
+        await Promise.all(neighbors.map(n => this.protocol.callPing(n)));
+        return this.relay;
+    }
+}
+
+module.exports = {
+    RelayClient
+};
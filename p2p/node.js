@@ -1,56 +1,131 @@
 const { Server } = require('./kademlia/network');
+const { Identity } = require('./identity');
+const { FileLedger } = require('./ledger');
+const { loadConfig, resolveSeeds, parseContact } = require('./config');
+const { Controller, ControlServer } = require('./control');
+const { ControlAPI } = require('./api');
+const { MetricsServer } = require('./metrics');
 const { logger } = require('./logger');
 
 class App {
-    constructor(SN, interval = 20000, debug = "hello world") {
+    constructor(config, SN, interval = config.interval, debug = "hello world") {
         if (!SN) {
             logger.error('Device SN is NULL');
             process.exit(0);
         }
 
         this.SN = SN;
-        this.interval = interval;
+        this.interval = Number(interval);
         this.debug = debug;
+        this.config = config;
 
-        this.node = new Server(8);
+        let { ksize, alpha, identity, storage, quota, routing, ledger } = config;
+        this.node = new Server(ksize, alpha, identity ? Identity.load(identity) : null, storage, quota);
+        this.node.relayMode = config.relay;
+        this.node.maxFailures = config.maxFailures;
+        this.node.lookupPaths = config.lookupPaths;
+        if (config.portmap.length) {
+            let gateway = config.gateway ? parseContact(config.gateway, 5351) : null;
+            this.node.mapPorts({ methods: config.portmap, gateway });
+        }
+        if (routing) {
+            this.node.keepContacts(routing);
+        }
+        this.ledger = ledger ? new FileLedger(ledger) : null;
+        let controller = new Controller(this.node);
+        this.control = new ControlServer(controller, config.control);
+        this.api = config.apiPort === null ? null : new ControlAPI(controller, config.apiToken);
+        this.metrics = config.metricsPort === null ? null : new MetricsServer;
         this.timer = null;
 
         this.init();
     }
 
     stop() {
-        node.stop();
+        this.control.close();
+        if (this.api) {
+            this.api.stop();
+        }
+        if (this.metrics) {
+            this.metrics.stop();
+        }
         if (this.timer) {
             clearTimeout(this.timer);
         }
+        return this.node.stop();
     }
 
     async init() {
         try {
-            let ok = await this.node.listen(13001);
+            let { port, host, seeds, dnsSeeds, dnsServers } = this.config;
+            let ok = await this.node.listen(port, host);
             logger.info('node init %s', ok);
+            await this.control.listen();
+            if (this.api) {
+                await this.api.listen(this.config.apiPort, this.config.apiHost);
+            }
+            if (this.metrics) {
+                await this.metrics.listen(this.config.metricsPort, this.config.metricsHost);
+            }
 
-            let router = await this.node.bootstrap([[ '39.104.66.16', 13001 ]]);
+            let contacts = await resolveSeeds(seeds, dnsSeeds, dnsServers);
+            if (contacts.length === 0 && !this.config.routing) {
+                throw new Error(`No bootstrap contacts: seeds ${JSON.stringify(seeds)} ` +
+                    `and DNS seeds ${JSON.stringify(dnsSeeds)} gave no address`);
+            }
+
+            let router = await this.node.bootstrap(contacts);
             logger.info('node neighbors: %j', router);
 
             this.keepalive();
         } catch (err) {
-            logger.error(err);
+            logger.error(err.message);
             this.stop();
+            process.exitCode = 1;
         }
     }
 
     async keepalive() {
         let key = this.SN;
-        let val = Buffer.from(this.debug);
+        let presence = { SN: key, Node: this.node.node.id, Time: Date.now(), Data: this.debug };
+        let val = Buffer.from(JSON.stringify(presence));
 
-        await this.node.set(key, val).catch(err => {
+        await this.node.setMutable(key, val).catch(err => {
             logger.error(err);
         });
 
+        if (this.ledger) {
+            await this.ledger.submit(Object.assign({ type: 'presence' }, presence)).catch(err => {
+                logger.error(err);
+            });
+        }
+
         let f = this.keepalive.bind(this);
         this.timer = setTimeout(f, this.interval);
     }
 }
 
-new App(...process.argv.slice(2));
+function main(argv = process.argv.slice(2)) {
+    let [ config, args ] = loadConfig(argv);
+    logger.level = config.logLevel;
+
+    let app = new App(config, ...args);
+    for (let signal of [ 'SIGINT', 'SIGTERM' ]) {
+        process.once(signal, () => app.stop());
+    }
+    return app;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(2);
+    }
+}
+
+module.exports = {
+    App,
+    main
+};
@@ -0,0 +1,278 @@
+const { logger } = require('../logger');
+
+// Largest datagram we put on the wire.
+const MAX_DATAGRAM = 512;
+
+// method (1) + msgid (20) + index (2) + total (2)
+const FRAGMENT_HEADER = 25;
+const CHUNK_SIZE = MAX_DATAGRAM - FRAGMENT_HEADER;
+
+const METHOD_FRAGMENT = 0x02;
+const METHOD_NACK = 0x03;
+
+// indexes a single NACK datagram can carry
+const NACK_CAPACITY = Math.floor((MAX_DATAGRAM - 21) / 2);
+
+/**
+ * Splits messages larger than a datagram into numbered fragments and
+ * puts them back together on the other side.
+ *
+ * Fragment: [0x02][msgid][index][total][chunk]
+ * NACK:     [0x03][msgid][index]...     (fragments still missing)
+ *
+ * A receiver that stops making progress on a message asks the sender
+ * for the fragments it is missing, up to `retries` times, and drops the
+ * message once `timeout` has passed.  Senders keep what they sent for
+ * `timeout` to answer those NACKs, and answer no more than that many,
+ * each fragment at most once per NACK, whoever sends them.
+ *
+ * Each source address has at most `maxPartials` messages in the works;
+ * a new one pushes out its oldest, and past `maxTotal` in all the
+ * oldest overall goes.
+ */
+class Fragmenter {
+    /**
+     * @param { Function } send: (buffer, port, host) puts a datagram on the wire
+     * @param { Function } deliver: (message, [ host, port ]) gets every
+     *  reassembled message
+     * @param { Number } maxMessage: Hard cap on the size of a message
+     * @param { Number } timeout: Milliseconds a partial message is kept
+     */
+    constructor(send, deliver, maxMessage = 65536, timeout = 5000) {
+        this.send = send;
+        this.deliver = deliver;
+        this.maxMessage = maxMessage;
+        this.timeout = timeout;
+        this.nackDelay = 200;
+        this.retries = 3;
+        this.maxPartials = 16;
+        this.maxTotal = 1024;
+        this.partials = new Map;
+        // keys of the partial messages from every source host, oldest first
+        this.sources = new Map;
+        this.sent = new Map;
+    }
+
+    static isFragment(datagram) {
+        return datagram[0] === METHOD_FRAGMENT || datagram[0] === METHOD_NACK;
+    }
+
+    /**
+     * Send `message` (a whole envelope starting with method and msgid),
+     * fragmenting it if it does not fit a datagram.
+     */
+    write(message, port, host) {
+        if (message.length <= MAX_DATAGRAM) {
+            this.send(message, port, host);
+            return;
+        }
+
+        let msgid = message.slice(1, 21);
+        let total = Math.ceil(message.length / CHUNK_SIZE);
+        let fragments = [];
+
+        for (let index = 0; index < total; index++) {
+            let head = Buffer.alloc(FRAGMENT_HEADER);
+            head[0] = METHOD_FRAGMENT;
+            msgid.copy(head, 1);
+            head.writeUInt16BE(index, 21);
+            head.writeUInt16BE(total, 23);
+
+            let chunk = message.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+            fragments.push(Buffer.concat([ head, chunk ]));
+        }
+
+        let key = `${host}:${port}:${msgid.toString('base64')}`;
+        let previous = this.sent.get(key);
+        if (previous) {
+            clearTimeout(previous.timer);
+        }
+
+        let timer = setTimeout(() => this.sent.delete(key), this.timeout);
+        this.sent.set(key, { fragments, timer, nacks: 0 });
+
+        logger.debug("sending %d bytes to %s:%d in %d fragments", message.length, host, port, total);
+        for (let fragment of fragments) {
+            this.send(fragment, port, host);
+        }
+    }
+
+    receive(datagram, address) {
+        if (datagram.length < 21) {
+            logger.warn("received fragment too small from %s, ignoring", address.join(':'));
+            return;
+        }
+
+        if (datagram[0] === METHOD_NACK) {
+            this._acceptNack(datagram, address);
+        }
+        else {
+            this._acceptFragment(datagram, address);
+        }
+    }
+
+    _acceptNack(datagram, [ host, port ]) {
+        let msgid = datagram.slice(1, 21).toString('base64');
+        let sent = this.sent.get(`${host}:${port}:${msgid}`);
+        if (!sent) {
+            logger.debug("NACK from %s:%d for unknown message %s", host, port, msgid);
+            return;
+        }
+
+        if (sent.nacks >= this.retries) {
+            logger.debug("NACK from %s:%d for %s after %d already, ignoring", host, port, msgid, sent.nacks);
+            return;
+        }
+        sent.nacks += 1;
+
+        let wanted = new Set;
+        for (let offset = 21; offset + 2 <= datagram.length; offset += 2) {
+            wanted.add(datagram.readUInt16BE(offset));
+        }
+
+        for (let index of wanted) {
+            let fragment = sent.fragments[index];
+            if (fragment) {
+                this.send(fragment, port, host);
+            }
+        }
+    }
+
+    _acceptFragment(datagram, address) {
+        if (datagram.length <= FRAGMENT_HEADER) {
+            return;
+        }
+
+        let [ host, port ] = address;
+        let msgid = datagram.slice(1, 21);
+        let index = datagram.readUInt16BE(21);
+        let total = datagram.readUInt16BE(23);
+        let key = `${host}:${port}:${msgid.toString('base64')}`;
+
+        if (total < 2 || index >= total || total * CHUNK_SIZE > this.maxMessage + CHUNK_SIZE) {
+            logger.warn("received bad fragment %d/%d from %s:%d, ignoring", index, total, host, port);
+            return;
+        }
+
+        let partial = this.partials.get(key);
+        if (!partial) {
+            this._makeRoom(host);
+
+            partial = { msgid, host, total, chunks: new Array(total), received: 0, retries: 0, nack: null };
+            partial.expire = setTimeout(() => this._drop(key, 'timed out'), this.timeout);
+            this.partials.set(key, partial);
+
+            if (!this.sources.has(host)) {
+                this.sources.set(host, new Set);
+            }
+            this.sources.get(host).add(key);
+        }
+
+        if (partial.total !== total) {
+            this._drop(key, 'inconsistent fragment count');
+            return;
+        }
+
+        if (!partial.chunks[index]) {
+            partial.chunks[index] = datagram.slice(FRAGMENT_HEADER);
+            partial.received += 1;
+        }
+
+        if (partial.received < total) {
+            clearTimeout(partial.nack);
+            partial.nack = setTimeout(() => this._nack(key, address), this.nackDelay);
+            return;
+        }
+
+        let message = Buffer.concat(partial.chunks);
+        this._forget(key);
+
+        if (message.length > this.maxMessage) {
+            logger.warn("reassembled message from %s:%d is too large, ignoring", host, port);
+            return;
+        }
+        this.deliver(message, address);
+    }
+
+    // Ask the sender for the fragments we are still missing.
+    _nack(key, [ host, port ]) {
+        let partial = this.partials.get(key);
+        if (!partial) {
+            return;
+        }
+
+        if (partial.retries >= this.retries) {
+            this._drop(key, 'fragments lost');
+            return;
+        }
+        partial.retries += 1;
+
+        let missing = [];
+        for (let i = 0; i < partial.total && missing.length < NACK_CAPACITY; i++) {
+            if (!partial.chunks[i]) {
+                missing.push(i);
+            }
+        }
+
+        let nack = Buffer.alloc(21 + missing.length * 2);
+        nack[0] = METHOD_NACK;
+        partial.msgid.copy(nack, 1);
+        missing.forEach((index, i) => nack.writeUInt16BE(index, 21 + i * 2));
+
+        logger.debug("asking %s:%d again for %d fragments", host, port, missing.length);
+        this.send(nack, port, host);
+
+        partial.nack = setTimeout(() => this._nack(key, [ host, port ]), this.nackDelay * 2);
+    }
+
+    // Evict partial messages until one more from `host` fits.
+    _makeRoom(host) {
+        let keys = this.sources.get(host);
+        if (keys && keys.size >= this.maxPartials) {
+            this._drop(keys.values().next().value, 'too many from its source');
+        }
+        if (this.partials.size >= this.maxTotal) {
+            this._drop(this.partials.keys().next().value, 'too many partial messages');
+        }
+    }
+
+    _drop(key, reason) {
+        let partial = this.partials.get(key);
+        if (partial) {
+            logger.warn("dropping partial message %s: %s (%d/%d fragments)",
+                key, reason, partial.received, partial.total);
+            this._forget(key);
+        }
+    }
+
+    _forget(key) {
+        let partial = this.partials.get(key);
+        if (partial) {
+            clearTimeout(partial.nack);
+            clearTimeout(partial.expire);
+            this.partials.delete(key);
+
+            let keys = this.sources.get(partial.host);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.sources.delete(partial.host);
+            }
+        }
+    }
+
+    close() {
+        for (let key of Array.from(this.partials.keys())) {
+            this._forget(key);
+        }
+
+        for (let { timer } of this.sent.values()) {
+            clearTimeout(timer);
+        }
+        this.sent.clear();
+    }
+}
+
+module.exports = {
+    Fragmenter,
+    MAX_DATAGRAM
+};
@@ -1,8 +1,18 @@
 const { randomBytes, createHash } = require('crypto');
 const { format } = require('util');
+const { isIP } = require('net');
 const { encode, decode, register } = require('msgpack5')();
+const { Identity, PUBLIC_KEY_SIZE, SIGNATURE_SIZE } = require('../identity');
+const { Fragmenter } = require('./fragment');
+const { Relay } = require('./relay');
+const { normalizeIP } = require('../kademlia/utils');
+const { metrics } = require('../metrics');
 const { logger } = require('../logger');
 
+// method (1) + msgid (20) + time (6) + public key + signature
+const SIGNED_HEADER_SIZE = 27;
+const HEADER_SIZE = SIGNED_HEADER_SIZE + PUBLIC_KEY_SIZE + SIGNATURE_SIZE;
+
 class MalformedMessage extends Error {
 }
 
@@ -11,39 +21,209 @@ class RPCProtocol {
      * @param { Number } waitTimeout:
      *  Consider it a connetion failure if no response
      *  within this time window.
+     * @param { Identity } identity:
+     *  Keypair signing every datagram we send.
+     * @param { Number } maxMessage:
+     *  Largest request or response, in bytes, once fragments
+     *  are put back together.
+     * @param { Number } replayWindow:
+     *  Datagrams signed longer than this many milliseconds ago, or
+     *  ahead, are dropped; requests seen within it are not served twice.
      */
-    constructor(waitTimeout = 5000) {
+    constructor(waitTimeout = 5000, identity = null, maxMessage = 65536, replayWindow = 120000) {
         this._waitTimeout = waitTimeout;
         this._outstanding = new Map;
+        this.replayWindow = replayWindow;
+        // where msgids come from; a simulation draws them from its seed
+        this.randomBytes = randomBytes;
+        // msgids of the requests served lately, by when they came in
+        this._seen = new Map;
+        this.identity = identity || Identity.generate();
         this.transport = null;
+        this.families = [ 4 ];
+        this.relay = new Relay(this._send.bind(this), this._receiveRelayed.bind(this));
+        this._fragmenter = new Fragmenter((data, port, host) => {
+            if (!this.relay.write(data, port, host)) {
+                this._send(data, port, host);
+            }
+        }, this._solveDatagram.bind(this), maxMessage, waitTimeout);
+
+        // messages larger than this go over the stream, when there is one
+        this.streamThreshold = 16 * 1024;
+        this.stream = null;
     }
 
-    connection_made(transport) {
+    /**
+     * @param { Array } families:
+     *  IP versions the transport can reach, [ 4 ], [ 6 ] or [ 4, 6 ]
+     *  for a dual-stack socket.
+     */
+    connection_made(transport, families = [ 4 ]) {
         this.transport = transport;
+        this.families = families;
+    }
+
+    _send(data, port, host) {
+        this.transport.send(data, port, this._socketHost(host), err => {
+            if (err) {
+                logger.debug("could not send to %s:%d: %s", host, port, err.message);
+            }
+        });
+    }
+
+    canReach(host) {
+        return this.families.includes(isIP(host));
+    }
+
+    // IPv4 peers are reached through mapped addresses on a dual-stack socket.
+    _socketHost(host) {
+        if (this.transport.type === 'udp6' && isIP(host) === 4) {
+            return `::ffff:${host}`;
+        }
+        return host;
+    }
+
+    /**
+     * @param { StreamTransport } stream:
+     *  TCP side channel for bulk messages, listening on our UDP port.
+     */
+    stream_made(stream) {
+        this.stream = stream;
+        stream.deliver = this._solveDatagram.bind(this);
+    }
+
+    connection_lost() {
+        this._fragmenter.close();
+        if (this.stream) {
+            this.stream.close();
+        }
+    }
+
+    get maxMessage() {
+        return this.stream ? this.stream.maxStream : this._fragmenter.maxMessage;
+    }
+
+    // Put a message on the best transport for its size; a reply to the
+    // node `nodeid` goes back over its own connection if it has one.
+    _write(data, port, host, nodeid = null) {
+        let relayed = this.relay.isRouted([ host, port ]);
+        if (this.stream === null || data.length <= this.streamThreshold || relayed) {
+            this._fragmenter.write(data, port, host);
+            return;
+        }
+
+        this.stream.send(data, port, host, nodeid).then(sent => {
+            if (sent) {
+                return;
+            }
+
+            if (data.length > this._fragmenter.maxMessage) {
+                logger.warn("cannot reach %s:%d over TCP and %d bytes are too many for UDP",
+                    host, port, data.length);
+                return;
+            }
+
+            logger.debug("cannot reach %s:%d over TCP, falling back to UDP", host, port);
+            this._fragmenter.write(data, port, host);
+        });
     }
 
     datagram_received(data, addr) {
-        let { address, port } = addr;
+        let { port } = addr;
+        let address = normalizeIP(addr.address);
         logger.debug("received datagram from %s:%d", address, port);
 
+        if (Relay.isRelay(data)) {
+            this.relay.receive(data, [ address, port ]);
+            return;
+        }
+
+        if (Fragmenter.isFragment(data)) {
+            this._fragmenter.receive(data, [ address, port ]);
+            return;
+        }
+
         this._solveDatagram(data, [ address, port ]);
     }
 
+    // A datagram from `address`, passed on by a relay; see
+    // :meth:`_solveDatagram` for what it returns.
+    _receiveRelayed(data, address) {
+        if (Relay.isRelay(data)) {
+            logger.warn("received a relay frame inside another from %s, ignoring", address.join(':'));
+            metrics.malformed.inc({ reason: 'nested relay' });
+            return;
+        }
+
+        if (Fragmenter.isFragment(data)) {
+            this._fragmenter.receive(data, address);
+            return;
+        }
+
+        return this._solveDatagram(data, address);
+    }
+
+    /**
+     * Verify and dispatch one message from `address`.
+     *
+     * Returns:
+     *     The verified id of the sender when the message is a new
+     *     request, so a stream can tell whose connection it came on.
+     */
     _solveDatagram(datagram, address) {
-        if (datagram.length < 22) {
+        if (datagram.length < HEADER_SIZE + 1) {
             logger.warn("received datagram too small from %s, ignoring", address.join(':'));
+            metrics.malformed.inc({ reason: 'too small' });
             return;
         }
 
         let method = datagram.slice(0, 1).toString('hex');
         let msgid = datagram.slice(1, 21);
-        let data = decode(datagram.slice(21));
+        let time = datagram.readUIntBE(21, 6);
+        let publicKey = datagram.slice(SIGNED_HEADER_SIZE, SIGNED_HEADER_SIZE + PUBLIC_KEY_SIZE);
+        let signature = datagram.slice(SIGNED_HEADER_SIZE + PUBLIC_KEY_SIZE, HEADER_SIZE);
+        let body = datagram.slice(HEADER_SIZE);
+        let signed = Buffer.concat([ datagram.slice(0, SIGNED_HEADER_SIZE), body ]);
+
+        if (!Identity.verify(publicKey, signed, signature)) {
+            logger.warn("received datagram with a bad signature from %s, ignoring", address.join(':'));
+            metrics.malformed.inc({ reason: 'bad signature' });
+            return;
+        }
+
+        if (Math.abs(Date.now() - time) > this.replayWindow) {
+            logger.warn("received datagram signed %d ms off our clock from %s, ignoring",
+                Date.now() - time, address.join(':'));
+            metrics.malformed.inc({ reason: 'stale' });
+            return;
+        }
+
+        if (method == 0x00 && !this._firstSeen(msgid)) {
+            logger.warn("received request %s again from %s, ignoring", msgid.toString('base64'), address.join(':'));
+            metrics.malformed.inc({ reason: 'replayed' });
+            return;
+        }
+
+        // the verified id of the sender travels with its address
+        address = [ ...address, Identity.idOf(publicKey) ];
+        let data;
+        try {
+            data = decode(body);
+        } catch (err) {
+            logger.warn("received undecodable datagram from %s, ignoring", address.join(':'));
+            metrics.malformed.inc({ reason: 'undecodable' });
+            return;
+        }
 
         if (method == 0x00) {
             // schedule accepting request and returning the result
             this._acceptRequest(msgid, data, address).catch(err => {
+                if (err instanceof MalformedMessage) {
+                    metrics.malformed.inc({ reason: 'bad request' });
+                }
                 logger.error('Could not read packet: %O', err);
             });
+            return address[2];
         }
         else if (method == 0x01) {
             this._acceptResponse(msgid, data, address);
@@ -51,9 +231,35 @@ class RPCProtocol {
         else {
             // otherwise, don't know the format, don't do anything
             logger.debug("Received unknown message from %O, ignoring", address);
+            metrics.malformed.inc({ reason: 'unknown type' });
         }
     }
 
+    /**
+     * Note that a request with `msgid` came in.  A replay is accepted
+     * for as long as its time is within the window, up to twice the
+     * window after the original, so that is how long msgids are kept.
+     *
+     * Returns:
+     *     Whether it is the first time.
+     */
+    _firstSeen(msgid) {
+        let now = Date.now();
+        for (let [ seen, at ] of this._seen) {
+            if (at >= now - 2 * this.replayWindow) {
+                break;
+            }
+            this._seen.delete(seen);
+        }
+
+        let key = msgid.toString('base64');
+        if (this._seen.has(key)) {
+            return false;
+        }
+        this._seen.set(key, now);
+        return true;
+    }
+
     _acceptResponse(msgid, data, address) {
         msgid = msgid.toString('base64');
         if (!this._outstanding.has(msgid)) {
@@ -62,9 +268,12 @@ class RPCProtocol {
         }
         logger.debug("received response %s for message id %s from %s", data, msgid, address.join(':'));
 
-        let [ f, timeout ] = this._outstanding.get(msgid);
+        // response, verified sender id and round trip time
+        let [ f, timeout, sent, method ] = this._outstanding.get(msgid);
+        let rtt = Date.now() - sent;
         clearTimeout(timeout);
-        f.resolve([ true, data ]);
+        metrics.rpcDuration.observe({ method }, rtt / 1000);
+        f.resolve([ true, data, address[2], rtt ]);
         this._outstanding.delete(msgid);
     }
 
@@ -73,23 +282,26 @@ class RPCProtocol {
             throw new MalformedMessage(format("Could not read packet: %O", data));
         }
 
-        let [ host, port ] = address;
+        let [ host, port, signer ] = address;
         let [ fname, args ] = data;
         let f = this[`rpc_${fname}`] || null;
 
         if (f === null) {
             logger.warn("RPCProtocol has no callable method rpc_%s; ignoring request", fname);
+            metrics.malformed.inc({ reason: 'unknown method' });
             return;
         }
 
+        metrics.rpcReceived.inc({ method: fname });
+
         let response = await f.apply(this, [ address, ...args ]);
         logger.debug("sending response %O for msg id %s to %s:%d", response, msgid.toString('base64'), host, port);
 
-        let method = Buffer.from('01', 'hex');
-        let answer = Buffer.concat([ method, msgid, encode(response) ]);
-        this.transport.send(answer, port, host, () => {
-            logger.debug("sending response done");
-        });
+        let answer = this._envelope('01', msgid, encode(response));
+        if (answer.length > this.maxMessage) {
+            throw new MalformedMessage(format("Response to %s is too large: %d bytes", fname, answer.length));
+        }
+        this._write(answer, port, host, signer);
     }
 
     _timeout(msgid, action, port, ip) {
@@ -97,10 +309,20 @@ class RPCProtocol {
         logger.warn("Did not received reply for msgid %s from [%s:%s:%d] within %i millisecond",
             msgid, action, ip, port, this._waitTimeout);
 
+        metrics.rpcTimeouts.inc({ method: action });
         f.resolve([ false, null ]);
         this._outstanding.delete(msgid);
     }
 
+    // Sign a datagram with our identity, and the time it is sent at.
+    _envelope(method, msgid, body) {
+        let time = Buffer.alloc(6);
+        time.writeUIntBE(Date.now(), 0, 6);
+        let head = Buffer.concat([ Buffer.from(method, 'hex'), msgid, time ]);
+        let signature = this.identity.sign(Buffer.concat([ head, body ]));
+        return Buffer.concat([ head, this.identity.publicKey, signature, body ]);
+    }
+
     find_node(...args) {
         return this.rpc('find_node', ...args);
     }
@@ -129,6 +351,22 @@ class RPCProtocol {
         return this.rpc('hole', ...args);
     }
 
+    reflect(...args) {
+        return this.rpc('reflect', ...args);
+    }
+
+    reserve(...args) {
+        return this.rpc('reserve', ...args);
+    }
+
+    bandwidth(...args) {
+        return this.rpc('bandwidth', ...args);
+    }
+
+    bandwidth_result(...args) {
+        return this.rpc('bandwidth_result', ...args);
+    }
+
     rpc(name, address, ...args) {
         // If name begins with "_" or "rpc_", returns the value of
         // the attribute in question as normal.
@@ -140,12 +378,17 @@ class RPCProtocol {
         // passing those args, on a node reachable at address.
 
         let [ ip, port ] = address;
-        let method = Buffer.from('00', 'hex');
-        let msgid = createHash('sha1').update(randomBytes(20)).digest();
-        let data = Buffer.concat([ method, msgid, encode([ name, args ]) ]);
+        if (!this.canReach(ip) && !this.relay.isRouted(address)) {
+            logger.debug("cannot reach %s:%d from a %s socket", ip, port, this.transport.type);
+            return Promise.resolve([ false, null ]);
+        }
 
-        if (data.length > 512) {
-            throw MalformedMessage("Total length of function name and arguments cannot exceed 576Bytes");
+        let msgid = createHash('sha1').update(this.randomBytes(20)).digest();
+        let data = this._envelope('00', msgid, encode([ name, args ]));
+
+        if (data.length > this.maxMessage) {
+            throw new MalformedMessage(format("Total length of function name and arguments cannot exceed %d Bytes",
+                this.maxMessage));
         }
 
         let f = (() => {
@@ -162,16 +405,17 @@ class RPCProtocol {
         let wait = this._waitTimeout;
         let timeout = setTimeout(tick, wait, btos, name, port, ip);
 
-        this.transport.send(data, port, ip, () => {
-            logger.debug("calling remote function %s on %s (msgid %s)",
-                      name, address.join(':'), btos);
-            this._outstanding.set(btos, [ f, timeout ]);
-        });
+        logger.debug("calling remote function %s on %s (msgid %s)",
+                  name, address.join(':'), btos);
+        this._outstanding.set(btos, [ f, timeout, Date.now(), name, address ]);
+        metrics.rpcSent.inc({ method: name });
+        this._write(data, port, ip);
 
         return f;
     }
 }
 
 module.exports = {
-    RPCProtocol
+    RPCProtocol,
+    MalformedMessage
 };
@@ -0,0 +1,243 @@
+const { isIP } = require('net');
+const { addressKey, normalizeIP } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+const METHOD_RELAY = 0x04;
+
+// what a relay frame asks of, or tells, its receiver
+const TO_CLIENT = 0;
+const TO_ENDPOINT = 1;
+const FROM_ENDPOINT = 2;
+
+// method (1) + mode (1) + client id (20) + port (2) + ip length (1)
+const RELAY_HEADER = 25;
+
+function encode(mode, id, endpoint, inner) {
+    let head = Buffer.alloc(RELAY_HEADER);
+    let ip = Buffer.from(endpoint ? endpoint[0] : '');
+    head[0] = METHOD_RELAY;
+    head[1] = mode;
+    if (id) {
+        Buffer.from(id, 'hex').copy(head, 2);
+    }
+    head.writeUInt16BE(endpoint ? endpoint[1] : 0, 22);
+    head[24] = ip.length;
+    return Buffer.concat([ head, ip, inner ]);
+}
+
+function decode(datagram) {
+    if (datagram.length < RELAY_HEADER) {
+        return null;
+    }
+
+    let mode = datagram[1];
+    let id = datagram.slice(2, 22).toString('hex');
+    let port = datagram.readUInt16BE(22);
+    let end = RELAY_HEADER + datagram[24];
+    let ip = datagram.slice(RELAY_HEADER, end).toString();
+    let inner = datagram.slice(end);
+
+    if (mode === TO_CLIENT) {
+        return { mode, id, endpoint: null, inner };
+    }
+    if (!isIP(ip) || port === 0) {
+        return null;
+    }
+    return { mode, id: null, endpoint: [ normalizeIP(ip), port ], inner };
+}
+
+/**
+ * Relays datagrams for peers that cannot be reached directly, and sends
+ * ours to such peers through their relay.
+ *
+ * Relay frame: [0x04][mode][client id][port][ip length][ip][datagram]
+ *
+ *     TO_CLIENT      to the relay: pass this on to the client with the id
+ *     TO_ENDPOINT    to the relay: pass this on to ip:port, where one of
+ *                    the two ends must be a client of the relay
+ *     FROM_ENDPOINT  from the relay: this comes from ip:port
+ *
+ * A client is a node holding a reservation with us.  On the other side,
+ * everything relayed to us appears to come straight from the far end,
+ * and what we send back to it goes through the same relay, so the RPC
+ * and fragment layers never see the difference.
+ *
+ * Relayed datagrams are only taken from the relay we hold a reservation
+ * with, or one we route through.  Answering through that relay is only
+ * learned from a request that verifies, signed by the node `knows`
+ * agrees is at the far end.
+ */
+class Relay {
+    /**
+     * @param { Function } send: (buffer, port, host) puts a datagram on the wire
+     * @param { Function } deliver: (datagram, [ host, port ]) gets every
+     *  datagram relayed to us
+     * @param { Number } routeTTL: How long a route through a relay is
+     *  kept after it was last used, in milliseconds
+     */
+    constructor(send, deliver, routeTTL = 60000) {
+        this.send = send;
+        this.deliver = deliver;
+        this.routeTTL = routeTTL;
+
+        // whether we relay for others, for how long and for how many
+        this.serving = false;
+        this.reservationTTL = 90000;
+        this.maxReservations = 64;
+
+        // client id -> { endpoint, expires }
+        this.reservations = new Map;
+        // addressKey -> { relay, id, endpoint, expires }
+        this.routes = new Map;
+        // [ ip, port ] of the relay we hold a reservation with
+        this.upstream = null;
+
+        // (id, endpoint) => whether the node `id` may be the one at `endpoint`
+        this.knows = () => true;
+    }
+
+    static isRelay(datagram) {
+        return datagram[0] === METHOD_RELAY;
+    }
+
+    /**
+     * Reach the node `id`, known by `endpoint`, through `relay`.
+     */
+    route(endpoint, relay, id) {
+        this.routes.set(addressKey(...endpoint), { relay, id, endpoint, expires: Date.now() + this.routeTTL });
+    }
+
+    isRouted([ host, port ]) {
+        let route = this.routes.get(addressKey(host, port));
+        return !!route && route.expires > Date.now();
+    }
+
+    /**
+     * Take a reservation for the client `id`, reachable at `endpoint`.
+     *
+     * Returns:
+     *     null, or why the reservation is refused.
+     */
+    reserve(id, endpoint) {
+        let now = Date.now();
+        for (let [ client, { expires } ] of this.reservations) {
+            if (expires <= now) {
+                this.reservations.delete(client);
+            }
+        }
+
+        if (!this.serving) {
+            return 'not a relay';
+        }
+        if (!this.reservations.has(id) && this.reservations.size >= this.maxReservations) {
+            return 'no reservation left';
+        }
+
+        this.reservations.set(id, { endpoint, expires: now + this.reservationTTL });
+        return null;
+    }
+
+    _client(endpoint) {
+        let key = addressKey(...endpoint);
+        let now = Date.now();
+        for (let reservation of this.reservations.values()) {
+            if (reservation.expires > now && addressKey(...reservation.endpoint) === key) {
+                return reservation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Send `data` through a relay if `host`:`port` is routed through one.
+     *
+     * Returns:
+     *     Whether it was.
+     */
+    write(data, port, host) {
+        let route = this.routes.get(addressKey(host, port));
+        if (!route) {
+            return false;
+        }
+
+        if (route.expires <= Date.now()) {
+            this.routes.delete(addressKey(host, port));
+            return false;
+        }
+
+        route.expires = Date.now() + this.routeTTL;
+        let [ rhost, rport ] = route.relay;
+        let frame = route.id ? encode(TO_CLIENT, route.id, null, data) : encode(TO_ENDPOINT, null, route.endpoint, data);
+        this.send(frame, rport, rhost);
+        return true;
+    }
+
+    // Whether `relay` may hand us datagrams from others.
+    _trusted(relay) {
+        let key = addressKey(...relay);
+        if (this.upstream && addressKey(...this.upstream) === key) {
+            return true;
+        }
+
+        let now = Date.now();
+        for (let route of this.routes.values()) {
+            if (route.expires > now && addressKey(...route.relay) === key) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    receive(datagram, from) {
+        let frame = decode(datagram);
+        if (frame === null) {
+            logger.warn("received malformed relay frame from %s, ignoring", from.join(':'));
+            return;
+        }
+
+        let { mode, id, endpoint, inner } = frame;
+
+        if (mode === FROM_ENDPOINT) {
+            if (!this._trusted(from)) {
+                logger.warn("relayed datagram from %s, which is not our relay, ignoring", from.join(':'));
+                return;
+            }
+
+            // answer through the relay it came from, unless we already
+            // know the way
+            let signer = this.deliver(inner, endpoint);
+            if (signer && !this.isRouted(endpoint) && this.knows(signer, endpoint)) {
+                this.routes.set(addressKey(...endpoint), {
+                    relay: from, id: null, endpoint, expires: Date.now() + this.routeTTL
+                });
+            }
+            return;
+        }
+
+        if (!this.serving) {
+            logger.debug("asked to relay by %s but we do not relay, ignoring", from.join(':'));
+            return;
+        }
+
+        let to = null;
+        if (mode === TO_CLIENT) {
+            let reservation = this.reservations.get(id);
+            to = reservation && reservation.expires > Date.now() ? reservation.endpoint : null;
+        }
+        else if (mode === TO_ENDPOINT && (this._client(endpoint) || this._client(from))) {
+            to = endpoint;
+        }
+
+        if (to === null) {
+            logger.debug("nobody to relay %s's datagram to, ignoring", from.join(':'));
+            return;
+        }
+
+        let [ host, port ] = to;
+        this.send(encode(FROM_ENDPOINT, null, from, inner), port, host);
+    }
+}
+
+module.exports = {
+    Relay
+};
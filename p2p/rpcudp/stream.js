@@ -0,0 +1,256 @@
+const { createServer, connect } = require('net');
+const { normalizeIP } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+/**
+ * A TCP side channel for RPC messages too large for datagrams.
+ *
+ * Every node listens for TCP on the same port as its UDP socket.  A
+ * connection carries the very same envelopes as datagrams (method,
+ * msgid, signature, msgpack body), each framed by its 4-byte length.
+ * The connecting side first sends a 2-byte frame with its own listening
+ * port, so replies and contacts use the address peers know it by.
+ *
+ * Nothing vouches for that port, so connections we accepted are never
+ * looked up by address: once a request on one verifies, it is kept for
+ * the node that signed it, and only replies to that node use it.
+ */
+class StreamTransport {
+    /**
+     * @param { Function } deliver: (message, [ host, port ]) gets every
+     *  message, and returns the verified sender id of new requests; set
+     *  by :meth:`RPCProtocol.stream_made` otherwise
+     * @param { Number } maxStream: Hard cap on the size of a message
+     * @param { Number } idleTimeout: Close connections idle this long
+     * @param { Number } maxInbound: Connections from others we keep open
+     *  at once; more are closed right away
+     */
+    constructor(deliver = null, maxStream = 16 * 1024 * 1024, idleTimeout = 30000, maxInbound = 256) {
+        this.deliver = deliver;
+        this.maxStream = maxStream;
+        this.idleTimeout = idleTimeout;
+        this.maxInbound = maxInbound;
+        this.connectTimeout = 3000;
+        this.port = null;
+        this.server = createServer(socket => this._accept(socket));
+        // connections we made, by the address we dialed
+        this.sockets = new Map;
+        this.connecting = new Map;
+        // connections made to us, and those whose sender is known by id
+        this.inbound = new Set;
+        this.peers = new Map;
+    }
+
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', err => {
+                    logger.error("stream transport error: %O", err);
+                });
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    close() {
+        for (let socket of [ ...this.sockets.values(), ...this.inbound ]) {
+            socket.destroy();
+        }
+        this.sockets.clear();
+        this.inbound.clear();
+        this.peers.clear();
+
+        if (this.server.listening) {
+            this.server.close();
+        }
+    }
+
+    /**
+     * Send `message` to the node listening on host:port, over the
+     * connection the node `nodeid` made to us if there is one.
+     *
+     * Returns:
+     *     true once written, false if no connection could be made.
+     */
+    async send(message, port, host, nodeid = null) {
+        let socket = nodeid !== null ? this.peers.get(nodeid) : null;
+        if (!socket) {
+            try {
+                socket = await this.connect(port, host);
+            } catch (err) {
+                logger.debug("no stream to %s:%d: %s", host, port, err.message);
+                return false;
+            }
+        }
+
+        socket.write(this._frame(message));
+        return true;
+    }
+
+    connect(port, host) {
+        let key = `${host}:${port}`;
+        if (this.sockets.has(key)) {
+            return Promise.resolve(this.sockets.get(key));
+        }
+        if (this.connecting.has(key)) {
+            return this.connecting.get(key);
+        }
+
+        let pending = new Promise((resolve, reject) => {
+            let socket = connect(port, host);
+            let timer = setTimeout(() => {
+                socket.destroy(new Error('connect timed out'));
+            }, this.connectTimeout);
+
+            socket.once('error', err => {
+                clearTimeout(timer);
+                reject(err);
+            });
+            socket.once('connect', () => {
+                clearTimeout(timer);
+
+                let hello = Buffer.alloc(2);
+                hello.writeUInt16BE(this.port || 0);
+                socket.write(this._frame(hello));
+
+                this._register(socket, [ host, port ]);
+                resolve(socket);
+            });
+        });
+
+        this.connecting.set(key, pending);
+        let done = () => this.connecting.delete(key);
+        pending.then(done, done);
+
+        return pending;
+    }
+
+    _frame(message) {
+        let head = Buffer.alloc(4);
+        head.writeUInt32BE(message.length);
+        return Buffer.concat([ head, message ]);
+    }
+
+    // An inbound connection: learn the peer's listening port from its hello.
+    _accept(socket) {
+        let host = normalizeIP(socket.remoteAddress);
+        if (this.inbound.size >= this.maxInbound) {
+            logger.warn("already %d inbound streams, refusing one from %s", this.inbound.size, host);
+            socket.destroy();
+            return;
+        }
+
+        this.inbound.add(socket);
+        socket.setTimeout(this.idleTimeout, () => socket.end());
+        socket.once('close', () => {
+            this.inbound.delete(socket);
+            for (let [ nodeid, peer ] of this.peers) {
+                if (peer === socket) {
+                    this.peers.delete(nodeid);
+                }
+            }
+        });
+
+        this._read(socket, hello => {
+            if (hello.length !== 2) {
+                logger.warn("stream from %s did not start with a hello, closing", host);
+                socket.destroy();
+                return null;
+            }
+            return [ host, hello.readUInt16BE(0) ];
+        });
+    }
+
+    _register(socket, address) {
+        let key = address.join(':');
+        let previous = this.sockets.get(key);
+        if (previous && previous !== socket) {
+            previous.end();
+        }
+        this.sockets.set(key, socket);
+
+        socket.setTimeout(this.idleTimeout, () => socket.end());
+        socket.once('close', () => {
+            if (this.sockets.get(key) === socket) {
+                this.sockets.delete(key);
+            }
+        });
+
+        if (!socket.listenerCount('data')) {
+            this._read(socket, null, address);
+        }
+    }
+
+    // Keep the inbound `socket` for replies to the node `nodeid`.
+    _bind(socket, nodeid) {
+        let previous = this.peers.get(nodeid);
+        if (previous === socket) {
+            return;
+        }
+        if (previous) {
+            previous.end();
+        }
+        this.peers.set(nodeid, socket);
+    }
+
+    /**
+     * Split the bytes of `socket` into frames.  With `hello` set, the
+     * first frame goes to it and it returns the peer address.
+     */
+    _read(socket, hello, address = null) {
+        let inbound = hello !== null;
+        // bytes in hand, joined only once a whole frame is there
+        let chunks = [];
+        let buffered = 0;
+
+        socket.on('error', err => {
+            logger.debug("stream %s failed: %s", address ? address.join(':') : 'inbound', err.message);
+        });
+        socket.on('data', data => {
+            chunks.push(data);
+            buffered += data.length;
+
+            while (buffered >= 4) {
+                if (chunks[0].length < 4) {
+                    chunks = [ Buffer.concat(chunks, buffered) ];
+                }
+
+                let size = chunks[0].readUInt32BE(0);
+                if (size > this.maxStream) {
+                    logger.warn("stream message of %d bytes is too large, closing", size);
+                    socket.destroy();
+                    return;
+                }
+                if (buffered < 4 + size) {
+                    break;
+                }
+
+                let joined = chunks.length > 1 ? Buffer.concat(chunks, buffered) : chunks[0];
+                let message = joined.slice(4, 4 + size);
+                let rest = joined.slice(4 + size);
+                chunks = rest.length ? [ rest ] : [];
+                buffered = rest.length;
+
+                if (address === null) {
+                    address = hello(message);
+                    if (address === null) {
+                        return;
+                    }
+                    continue;
+                }
+
+                let sender = this.deliver(message, address);
+                if (inbound && sender) {
+                    this._bind(socket, sender);
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    StreamTransport
+};
@@ -0,0 +1,681 @@
+/**
+ * Deterministic in-process network simulator.
+ *
+ * Many :class:`~kademlia.network.Server` instances run in one process
+ * over a :class:`SimNetwork` instead of UDP sockets, on a
+ * :class:`VirtualClock` instead of wall-clock time:
+ *
+ *     let sim = new Simulation(42);
+ *     sim.install();
+ *     await sim.start(200);
+ *     await sim.until(sim.servers[0].set('key', Buffer.from('value')));
+ *     await sim.run(60 * 60 * 1000);
+ *     sim.stop();
+ *
+ * While installed, the clock stands in for setTimeout, setInterval and
+ * Date.now, and the seeded generator for Math.random and the msgids of
+ * the servers, so a run depends on nothing but its seed.  See
+ * sim/scenarios for runs that check as much.  Time only moves when the simulation is run:
+ * each timer fires at its virtual time, and the promises it settles run
+ * before the next one.
+ */
+
+const { EventEmitter } = require('events');
+const heap = require('heap');
+const { Server } = require('../kademlia/network');
+const { Identity } = require('../identity');
+const { addressKey } = require('../kademlia/utils');
+const { logger } = require('../logger');
+
+// 2020-01-01, so times look like times
+const EPOCH = 1577836800000;
+
+const FIRST_EPHEMERAL_PORT = 49152;
+
+// how a simulated NAT maps and filters, see :meth:`SimNetwork.behindNAT`
+const NAT_BEHAVIOURS = [ 'full-cone', 'restricted', 'symmetric' ];
+
+/**
+ * Seeded pseudo random numbers (sfc32), the same sequence for the same
+ * seed on every run.
+ */
+class Random {
+    constructor(seed = 1) {
+        this.state = [ 0x9e3779b9, 0x243f6a88, 0xb7e15162, seed >>> 0 ];
+        for (let i = 0; i < 15; i++) {
+            this.next();
+        }
+    }
+
+    // A number in [ 0, 1 ).
+    next() {
+        let [ a, b, c, d ] = this.state;
+        let t = (a + b | 0) + d | 0;
+        d = d + 1 | 0;
+        a = b ^ b >>> 9;
+        b = c + (c << 3) | 0;
+        c = (c << 21 | c >>> 11) + t | 0;
+        this.state = [ a, b, c, d ];
+        return (t >>> 0) / 4294967296;
+    }
+
+    // An integer in [ min, max ].
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(p) {
+        return this.next() < p;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // `count` distinct items of `items`.
+    sample(items, count) {
+        let pool = items.slice();
+        let picked = [];
+        while (picked.length < count && pool.length > 0) {
+            picked.push(pool.splice(Math.floor(this.next() * pool.length), 1)[0]);
+        }
+        return picked;
+    }
+
+    bytes(count) {
+        return Buffer.from(Array.from({ length: count }, () => this.int(0, 255)));
+    }
+}
+
+class Timer {
+    constructor(clock, fn, args, delay, repeat = false) {
+        this.clock = clock;
+        this.fn = fn;
+        this.args = args;
+        this.delay = Math.max(Number(delay) || 0, repeat ? 1 : 0);
+        this.repeat = repeat;
+        this.at = clock.time + this.delay;
+        this.cancelled = false;
+        this.seq = 0;
+    }
+
+    // like a Node.js Timeout, whose ref and unref mean nothing here
+    ref() {
+        return this;
+    }
+
+    unref() {
+        return this;
+    }
+
+    hasRef() {
+        return true;
+    }
+
+    refresh() {
+        this.at = this.clock.time + this.delay;
+        this.cancelled = false;
+        this.clock._schedule(this);
+        return this;
+    }
+}
+
+class VirtualClock {
+    constructor(start = EPOCH) {
+        this.time = start;
+        this.timers = [];
+        this.seq = 0;
+        this.real = null;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, ms = 0, ...args) {
+        return this._schedule(new Timer(this, fn, args, ms));
+    }
+
+    setInterval(fn, ms = 0, ...args) {
+        return this._schedule(new Timer(this, fn, args, ms, true));
+    }
+
+    clearTimeout(timer) {
+        if (timer instanceof Timer) {
+            this._cancel(timer);
+        }
+        else if (timer && this.real) {
+            // set before we were installed
+            this.real.clearTimeout(timer);
+        }
+    }
+
+    _schedule(timer) {
+        // timers due at the same time fire in the order they were set;
+        // only the latest entry of a rescheduled timer counts
+        timer.seq = this.seq++;
+        heap.push(this.timers, { at: timer.at, seq: timer.seq, timer }, VirtualClock.order);
+        return timer;
+    }
+
+    _cancel(timer) {
+        timer.cancelled = true;
+    }
+
+    static order(a, b) {
+        return a.at - b.at || a.seq - b.seq;
+    }
+
+    static stale({ seq, timer }) {
+        return timer.cancelled || timer.seq !== seq;
+    }
+
+    // The next timer due, dropping the cancelled ones.
+    _peek() {
+        while (this.timers.length > 0 && VirtualClock.stale(this.timers[0])) {
+            heap.pop(this.timers, VirtualClock.order);
+        }
+        return this.timers.length > 0 ? this.timers[0].timer : null;
+    }
+
+    get pending() {
+        return this.timers.filter(entry => !VirtualClock.stale(entry)).length;
+    }
+
+    /**
+     * Stand in for the global timers and Date.now until :meth:`uninstall`.
+     */
+    install() {
+        if (this.real) {
+            return;
+        }
+
+        this.real = {
+            setTimeout: global.setTimeout,
+            clearTimeout: global.clearTimeout,
+            setInterval: global.setInterval,
+            clearInterval: global.clearInterval,
+            setImmediate: global.setImmediate,
+            now: Date.now
+        };
+        global.setTimeout = this.setTimeout.bind(this);
+        global.setInterval = this.setInterval.bind(this);
+        global.clearTimeout = global.clearInterval = this.clearTimeout.bind(this);
+        Date.now = this.now.bind(this);
+    }
+
+    uninstall() {
+        if (!this.real) {
+            return;
+        }
+
+        let { setTimeout, clearTimeout, setInterval, clearInterval, now } = this.real;
+        Object.assign(global, { setTimeout, clearTimeout, setInterval, clearInterval });
+        Date.now = now;
+        this.real = null;
+    }
+
+    // Let every promise settled so far run its callbacks.
+    settle() {
+        let immediate = this.real ? this.real.setImmediate : setImmediate;
+        return new Promise(resolve => immediate(resolve));
+    }
+
+    /**
+     * Fire the next timer.
+     *
+     * Returns:
+     *     Whether there was one.
+     */
+    async step() {
+        let timer = this._peek();
+        if (timer === null) {
+            return false;
+        }
+
+        heap.pop(this.timers, VirtualClock.order);
+        this.time = Math.max(this.time, timer.at);
+        if (timer.repeat) {
+            timer.at = this.time + timer.delay;
+            this._schedule(timer);
+        }
+        else {
+            timer.cancelled = true;
+        }
+
+        timer.fn(...timer.args);
+        await this.settle();
+        return true;
+    }
+
+    /**
+     * Move `ms` milliseconds forward, firing the timers due meanwhile.
+     */
+    async run(ms) {
+        let end = this.time + ms;
+        await this.settle();
+
+        for (let timer = this._peek(); timer !== null && timer.at <= end; timer = this._peek()) {
+            await this.step();
+        }
+        this.time = end;
+        await this.settle();
+    }
+
+    /**
+     * Run until `promise` settles, for at most `limit` milliseconds.
+     *
+     * Returns:
+     *     What the promise resolves to.
+     */
+    async until(promise, limit = Infinity) {
+        let settled = false;
+        let watched = Promise.resolve(promise).finally(() => {
+            settled = true;
+        });
+        watched.catch(() => {});
+
+        let start = this.time;
+        await this.settle();
+        while (!settled) {
+            let timer = this._peek();
+            if (timer === null) {
+                throw new Error(`nothing left to run, still waiting after ${this.time - start} ms`);
+            }
+            if (timer.at > start + limit) {
+                throw new Error(`still waiting after ${limit} ms`);
+            }
+            await this.step();
+        }
+        return await watched;
+    }
+}
+
+class SimSocket extends EventEmitter {
+    constructor(network, type = 'udp4') {
+        super();
+        this.network = network;
+        this.type = type;
+        this.bound = null;
+    }
+
+    bind(port = 0, host = '0.0.0.0', callback = null) {
+        try {
+            this.bound = this.network._bind(this, port, host);
+        } catch (err) {
+            queueMicrotask(() => this.emit('error', err));
+            return this;
+        }
+
+        queueMicrotask(() => {
+            this.emit('listening');
+            if (callback) {
+                callback();
+            }
+        });
+        return this;
+    }
+
+    address() {
+        if (this.bound === null) {
+            throw new Error('Not running');
+        }
+
+        let [ address, port ] = this.bound;
+        return { address, port, family: 'IPv4' };
+    }
+
+    send(data, port, host, callback = null) {
+        if (this.bound !== null) {
+            this.network._send(this, Buffer.from(data), port, host);
+        }
+        if (callback) {
+            queueMicrotask(() => callback(null));
+        }
+    }
+
+    close(callback = null) {
+        if (this.bound === null) {
+            return;
+        }
+
+        this.network._unbind(this);
+        this.bound = null;
+        queueMicrotask(() => {
+            this.emit('close');
+            if (callback) {
+                callback();
+            }
+        });
+    }
+
+    ref() {
+        return this;
+    }
+
+    unref() {
+        return this;
+    }
+}
+
+/**
+ * Carries datagrams between :class:`SimSocket` instances, each after a
+ * latency, unless lost, the two ends are in different partitions, or a
+ * NAT in the way does not let it in.
+ */
+class SimNetwork {
+    /**
+     * @param { VirtualClock } clock: What delays the datagrams
+     * @param { Random } rng: What decides latencies and losses
+     * @param latency: One-way delay in milliseconds: a number, a
+     *  [ min, max ] range, or a function (from, to, rng) of the two ips
+     * @param { Number } loss: Probability that a datagram is lost
+     */
+    constructor(clock, rng, latency = [ 10, 100 ], loss = 0) {
+        this.clock = clock;
+        this.rng = rng;
+        this.latency = latency;
+        this.loss = loss;
+
+        // addressKey -> socket
+        this.sockets = new Map;
+        // ip -> partition, or null when everybody can talk
+        this.groups = null;
+        // NATs by the private ip behind them, and by their public ip
+        this.nats = new Map;
+        this.publics = new Map;
+        this.hosts = 0;
+        this.stats = { sent: 0, delivered: 0, lost: 0, partitioned: 0, unreachable: 0, filtered: 0 };
+    }
+
+    // dgram.createSocket, for :meth:`~kademlia.network.Server.listen`
+    createSocket(options = {}) {
+        return new SimSocket(this, typeof options === 'string' ? options : options.type || 'udp4');
+    }
+
+    // Random bytes for the msgids of the servers on the network.
+    randomBytes(count) {
+        return this.rng.bytes(count);
+    }
+
+    // A fresh ip, 10.0.0.1 onwards.
+    allocate() {
+        let n = ++this.hosts;
+        return `10.${n >> 16 & 255}.${n >> 8 & 255}.${n & 255}`;
+    }
+
+    _bind(socket, port, host) {
+        if (host === '0.0.0.0' || host === '::') {
+            host = this.allocate();
+        }
+        if (!port) {
+            port = FIRST_EPHEMERAL_PORT;
+            while (this.sockets.has(addressKey(host, port))) {
+                port++;
+            }
+        }
+
+        let key = addressKey(host, port);
+        if (this.sockets.has(key)) {
+            let err = new Error(`bind EADDRINUSE ${key}`);
+            err.code = 'EADDRINUSE';
+            throw err;
+        }
+
+        this.sockets.set(key, socket);
+        return [ host, port ];
+    }
+
+    _unbind(socket) {
+        this.sockets.delete(addressKey(...socket.bound));
+    }
+
+    /**
+     * Put the host `ip` behind a NAT of its own, of `type`:
+     *
+     *     full-cone   one public port per socket, open to everyone
+     *     restricted  one public port per socket, open to the ips the
+     *                 socket sent to
+     *     symmetric   one public port per socket and destination, open to
+     *                 that destination alone
+     *
+     * Returns:
+     *     The public ip of the NAT.
+     */
+    behindNAT(ip, type) {
+        if (!NAT_BEHAVIOURS.includes(type)) {
+            throw new Error(`Unknown NAT type ${type}`);
+        }
+
+        // public port -> { endpoint, peers it lets in }
+        let nat = { type, ip: this.allocate(), next: FIRST_EPHEMERAL_PORT, mappings: new Map, ports: new Map };
+        this.nats.set(ip, nat);
+        this.publics.set(nat.ip, nat);
+        return nat.ip;
+    }
+
+    // The [ ip, port ] a datagram from `source` to `destination` leaves
+    // `nat` with.
+    _translate(nat, source, destination) {
+        let key = nat.type === 'symmetric' ? `${addressKey(...source)}>${addressKey(...destination)}` : addressKey(...source);
+        let port = nat.mappings.get(key);
+        if (port === undefined) {
+            port = nat.next++;
+            nat.mappings.set(key, port);
+            nat.ports.set(port, { endpoint: source, peers: new Set });
+        }
+
+        let [ ip ] = destination;
+        nat.ports.get(port).peers.add(nat.type === 'symmetric' ? addressKey(...destination) : ip);
+        return [ nat.ip, port ];
+    }
+
+    // The socket a datagram from `source` to host:port gets to, if any.
+    _receiver(host, port, source) {
+        let nat = this.publics.get(host);
+        if (!nat) {
+            return this.sockets.get(addressKey(host, port)) || null;
+        }
+
+        let mapping = nat.ports.get(port);
+        if (!mapping) {
+            return null;
+        }
+
+        let admits = {
+            'full-cone': true,
+            'restricted': mapping.peers.has(source[0]),
+            'symmetric': mapping.peers.has(addressKey(...source))
+        }[nat.type];
+        return admits ? this.sockets.get(addressKey(...mapping.endpoint)) || null : null;
+    }
+
+    /**
+     * Split the network: hosts in different groups, lists of ips, cannot
+     * talk to each other.  Hosts in no group form one more.
+     */
+    partition(...groups) {
+        this.groups = new Map;
+        groups.forEach((ips, i) => ips.forEach(ip => this.groups.set(ip, i)));
+    }
+
+    heal() {
+        this.groups = null;
+    }
+
+    canTalk(from, to) {
+        if (this.groups === null) {
+            return true;
+        }
+
+        let group = ip => this.groups.has(ip) ? this.groups.get(ip) : -1;
+        return group(from) === group(to);
+    }
+
+    delay(from, to) {
+        let latency = this.latency;
+        if (typeof latency === 'function') {
+            return latency(from, to, this.rng);
+        }
+        if (Array.isArray(latency)) {
+            return this.rng.int(...latency);
+        }
+        return latency;
+    }
+
+    _send(socket, data, port, host) {
+        let [ from, sport ] = socket.bound;
+        this.stats.sent += 1;
+
+        if (!this.canTalk(from, host)) {
+            this.stats.partitioned += 1;
+            return;
+        }
+        if (this.loss > 0 && this.rng.chance(this.loss)) {
+            this.stats.lost += 1;
+            return;
+        }
+
+        let nat = this.nats.get(from);
+        if (nat) {
+            [ from, sport ] = this._translate(nat, [ from, sport ], [ host, port ]);
+        }
+
+        this.clock.setTimeout(() => {
+            // whoever holds the address when the datagram gets there
+            let target = this._receiver(host, port, [ from, sport ]);
+            if (!target) {
+                this.stats[this.publics.has(host) ? 'filtered' : 'unreachable'] += 1;
+                return;
+            }
+
+            this.stats.delivered += 1;
+            target.emit('message', data, { address: from, family: 'IPv4', port: sport, size: data.length });
+        }, this.delay(from, host));
+    }
+}
+
+/**
+ * Servers on a :class:`SimNetwork`, with identities drawn from the seed.
+ */
+class Simulation {
+    /**
+     * @param { Number } seed: What makes the run reproducible
+     * @param latency: See :class:`SimNetwork`
+     * @param { Number } loss: See :class:`SimNetwork`
+     * @param { Number } ksize: The k parameter of every server
+     * @param { Number } alpha: The alpha parameter of every server
+     */
+    constructor(seed = 1, latency = [ 10, 100 ], loss = 0, ksize = 8, alpha = 3) {
+        this.rng = new Random(seed);
+        this.clock = new VirtualClock;
+        this.network = new SimNetwork(this.clock, this.rng, latency, loss);
+        this.ksize = ksize;
+        this.alpha = alpha;
+        this.port = 13001;
+        this.servers = [];
+        this.churn_loop = null;
+        this.random = null;
+    }
+
+    install() {
+        this.clock.install();
+        if (this.random === null) {
+            this.random = Math.random;
+            Math.random = () => this.rng.next();
+        }
+    }
+
+    uninstall() {
+        this.clock.uninstall();
+        if (this.random !== null) {
+            Math.random = this.random;
+            this.random = null;
+        }
+    }
+
+    run(ms) {
+        return this.clock.run(ms);
+    }
+
+    until(promise, limit = Infinity) {
+        return this.clock.until(promise, limit);
+    }
+
+    /**
+     * A new server, bootstrapped from up to `seeds` random running ones
+     * that are not behind a NAT, and itself behind a NAT of type `nat`
+     * (see :meth:`SimNetwork.behindNAT`) unless that is null.  The
+     * promise settles in virtual time: run the simulation meanwhile,
+     * e.g. with :meth:`until`.
+     */
+    async spawn(seeds = 3, nat = null) {
+        let server = new Server(this.ksize, this.alpha, Identity.fromSeed(this.rng.bytes(32)));
+        server.network = this.network;
+        let reachable = this.servers.filter(s => !this.network.nats.has(s.transport.address().address));
+        let contacts = this.rng.sample(reachable, seeds).map(s => [ s.transport.address().address, this.port ]);
+
+        let ip = this.network.allocate();
+        if (nat !== null) {
+            this.network.behindNAT(ip, nat);
+        }
+        await server.listen(this.port, ip);
+        this.servers.push(server);
+        if (contacts.length > 0) {
+            await server.bootstrap(contacts);
+        }
+        return server;
+    }
+
+    // Start `count` servers, one after the other.
+    async start(count, seeds = 3) {
+        let started = [];
+        for (let i = 0; i < count; i++) {
+            started.push(await this.until(this.spawn(seeds)));
+        }
+        return started;
+    }
+
+    kill(server) {
+        this.servers = this.servers.filter(s => s !== server);
+        server.stop();
+    }
+
+    /**
+     * Every `interval` milliseconds, kill a random server and start a new
+     * one.  The first `keep` servers are spared.
+     */
+    churn(interval, keep = 1) {
+        this.churn_loop = this.clock.setTimeout(() => {
+            let victims = this.servers.slice(keep);
+            if (victims.length > 0) {
+                this.kill(this.rng.pick(victims));
+            }
+            this.spawn().catch(err => logger.warn("churn: new server failed to join: %s", err.message));
+            this.churn(interval, keep);
+        }, interval);
+    }
+
+    stopChurn() {
+        this.clock.clearTimeout(this.churn_loop);
+        this.churn_loop = null;
+    }
+
+    stop() {
+        this.stopChurn();
+        for (let server of this.servers) {
+            server.stop();
+        }
+        this.servers = [];
+        this.uninstall();
+    }
+}
+
+module.exports = {
+    NAT_BEHAVIOURS,
+    Random,
+    VirtualClock,
+    SimSocket,
+    SimNetwork,
+    Simulation
+};
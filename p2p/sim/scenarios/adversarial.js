@@ -0,0 +1,104 @@
+/**
+ * Lookups with a fifth of the nodes colluding against them.  The bad
+ * nodes answer every find_node with each other or with garbage, every
+ * find_value with a forged value, and drop what they are asked to store.
+ * Keys are then looked up over one path, and over disjoint ones:
+ *
+ *     node sim/scenarios/adversarial.js [seed] [nodes] [paths]
+ */
+
+const assert = require('assert');
+const { Simulation } = require('..');
+const { Node } = require('../../kademlia/node');
+
+// what a bad node answers find_node with, when not its friends
+const GARBAGE = [
+    'nodes',
+    { value: null },
+    [ null ],
+    [ [ 'not an id', '10.0.0.1', 13001 ] ],
+    [ [ 'ab'.repeat(20), 'nowhere', 13001 ] ]
+];
+
+function corrupt(server, colluders, rng) {
+    let protocol = server.protocol;
+    let garbage = rng.chance(0.5) ? rng.pick(GARBAGE) : null;
+
+    protocol.rpc_find_node = (sender, nodeid, key) => {
+        if (garbage !== null) {
+            return garbage;
+        }
+
+        let target = new Node(key);
+        return colluders.filter(s => s !== server)
+            .sort((a, b) => target.distanceTo(a.node).comparedTo(target.distanceTo(b.node)))
+            .slice(0, server.ksize)
+            .map(s => [ s.node.id, s.transport.address().address, s.transport.address().port ]);
+    };
+    protocol.rpc_find_value = () => ({ value: Buffer.from('forged') });
+    protocol.rpc_store = () => true;
+}
+
+/**
+ * Publish `keys` keys from good nodes, and look each up from another
+ * good node, over one path and over `paths` disjoint ones.
+ *
+ * Returns:
+ *     { single, disjoint, lookups }: how many lookups got the right value
+ */
+async function run(seed = 1, nodes = 100, paths = 3, keys = 40, bad = 0.2) {
+    let sim = new Simulation(seed, [ 10, 80 ], 0.01);
+    sim.install();
+
+    try {
+        await sim.start(nodes);
+
+        let colluders = sim.rng.sample(sim.servers.slice(1), Math.floor(nodes * bad));
+        colluders.forEach(server => corrupt(server, colluders, sim.rng));
+        let good = sim.servers.filter(s => !colluders.includes(s));
+
+        let found = {};
+        for (let lookupPaths of [ 1, paths ]) {
+            found[lookupPaths] = 0;
+            for (let i = 0; i < keys; i++) {
+                let key = `key-${lookupPaths}-${i}`;
+                let [ publisher, reader ] = sim.rng.sample(good, 2);
+                publisher.lookupPaths = reader.lookupPaths = lookupPaths;
+
+                await sim.until(publisher.set(key, Buffer.from(`value-${i}`)));
+                let got = await sim.until(reader.get(key));
+                if (got !== null && String(got) === `value-${i}`) {
+                    found[lookupPaths] += 1;
+                }
+            }
+        }
+
+        return { single: found[1], disjoint: found[paths], lookups: keys };
+    } finally {
+        sim.stop();
+    }
+}
+
+async function main() {
+    let seed = Number(process.argv[2] || 1);
+    let nodes = Number(process.argv[3] || 100);
+    let paths = Number(process.argv[4] || 3);
+
+    let result = await run(seed, nodes, paths);
+    console.log("seed %d, %d nodes, %d paths: %j", seed, nodes, paths, result);
+
+    assert.ok(result.disjoint >= result.lookups * 0.9,
+        `only ${result.disjoint} of ${result.lookups} disjoint lookups found the value`);
+    assert.ok(result.disjoint >= result.single, 'disjoint lookups did worse than single ones');
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run
+};
@@ -0,0 +1,102 @@
+/**
+ * A few hundred nodes publish keys, lose members to churn, split in two
+ * and heal, then everyone looks the keys up again.  Runs twice with the
+ * same seed and checks that both runs end up exactly alike:
+ *
+ *     node sim/scenarios/churn.js [seed] [nodes]
+ */
+
+const assert = require('assert');
+const { createHash } = require('crypto');
+const { Simulation } = require('..');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Where every server stands: its contacts and keys, as one digest.
+function fingerprint(servers) {
+    let hash = createHash('sha1');
+    for (let server of servers) {
+        let contacts = server.protocol.router.snapshot().map(({ id }) => id).sort();
+        let keys = Array.from(server.storage.keys()).sort();
+        hash.update(JSON.stringify([ server.node.id, contacts, keys ]));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Run the scenario on `nodes` servers.
+ *
+ * Returns:
+ *     { found, lookups, stats, fingerprint, time }, where found counts
+ *     the lookups that got the right value back.
+ */
+async function run(seed = 1, nodes = 300, keys = 20) {
+    let sim = new Simulation(seed, [ 10, 100 ], 0.01);
+    sim.install();
+
+    try {
+        await sim.start(nodes);
+
+        let published = [];
+        for (let i = 0; i < keys; i++) {
+            let server = sim.rng.pick(sim.servers);
+            await sim.until(server.set(`key-${i}`, Buffer.from(`value-${i}`)));
+            published.push([ `key-${i}`, `value-${i}` ]);
+        }
+
+        // one server leaves and another joins every minute, and for ten
+        // minutes the network is split in two halves
+        sim.churn(MINUTE);
+        await sim.run(30 * MINUTE);
+
+        let half = sim.servers.slice(0, sim.servers.length / 2).map(s => s.transport.address().address);
+        sim.network.partition(half);
+        await sim.run(10 * MINUTE);
+        sim.network.heal();
+
+        // long enough for replicas to be republished
+        await sim.run(HOUR + 10 * MINUTE);
+        sim.stopChurn();
+
+        let results = [];
+        for (let [ key, value ] of published) {
+            let got = await sim.until(sim.rng.pick(sim.servers).get(key));
+            results.push(got !== null && String(got) === value);
+        }
+
+        return {
+            found: results.filter(ok => ok).length,
+            lookups: results.length,
+            stats: Object.assign({}, sim.network.stats),
+            fingerprint: fingerprint(sim.servers),
+            time: sim.clock.time
+        };
+    } finally {
+        sim.stop();
+    }
+}
+
+async function main() {
+    let seed = Number(process.argv[2] || 1);
+    let nodes = Number(process.argv[3] || 300);
+
+    let first = await run(seed, nodes);
+    console.log("seed %d, %d nodes: %j", seed, nodes, first);
+    let second = await run(seed, nodes);
+
+    assert.deepStrictEqual(second, first, 'two runs with the same seed differ');
+    assert.ok(first.found >= first.lookups * 0.9, `only ${first.found} of ${first.lookups} keys found`);
+    console.log("second run matches");
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    run
+};
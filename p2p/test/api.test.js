@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { Controller } = require('../control');
+const { ControlAPI } = require('../api');
+const { MAX_TTL } = require('../kademlia/storage');
+
+const TOKEN = 'secret';
+
+// A server that keeps what it is asked to set.
+function server() {
+    let keys = new Map;
+    return {
+        keys,
+        async get(key) {
+            return keys.has(key) ? keys.get(key)[0] : null;
+        },
+        async set(key, value, ttl) {
+            keys.set(key, [ value, ttl ]);
+            return true;
+        }
+    };
+}
+
+function request(port, method, path, body = null) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({ port, method, path, host: '127.0.0.1', headers: { Authorization: `Bearer ${TOKEN}` } }, res => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve([ res.statusCode, JSON.parse(Buffer.concat(chunks).toString()) ]));
+        });
+        req.on('error', reject);
+        req.end(body === null ? undefined : JSON.stringify(body));
+    });
+}
+
+async function serve() {
+    let node = server();
+    let api = new ControlAPI(new Controller(node), TOKEN);
+    return [ api, node, await api.listen(0) ];
+}
+
+test('malformed percent-encoding in the path is a bad request', async () => {
+    let [ api, , port ] = await serve();
+    try {
+        let [ status, body ] = await request(port, 'GET', '/keys/%E0%A4%A');
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /percent-encoding/);
+
+        assert.strictEqual((await request(port, 'GET', '/keys/caf%C3%A9'))[0], 404);
+    } finally {
+        api.stop();
+    }
+});
+
+test('set takes a ttl of whole milliseconds up to the storage maximum', async () => {
+    let [ api, node, port ] = await serve();
+    try {
+        for (let ttl of [ 0, -5, 1.5, MAX_TTL + 1, 'soon', '', true, [ 1 ] ]) {
+            let [ status ] = await request(port, 'PUT', '/keys/k', { value: 'v', ttl });
+            assert.strictEqual(status, 400, `ttl ${JSON.stringify(ttl)}`);
+        }
+        assert.strictEqual(node.keys.size, 0);
+
+        assert.strictEqual((await request(port, 'PUT', '/keys/a', { value: 'v', ttl: MAX_TTL }))[0], 200);
+        assert.strictEqual((await request(port, 'PUT', '/keys/b', { value: 'v', ttl: '60000' }))[0], 200);
+        assert.strictEqual((await request(port, 'PUT', '/keys/c', { value: 'v' }))[0], 200);
+        assert.deepStrictEqual([ ...node.keys.values() ].map(([ , ttl ]) => ttl), [ MAX_TTL, 60000, null ]);
+    } finally {
+        api.stop();
+    }
+});
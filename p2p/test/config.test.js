@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSocket } = require('dgram');
+const { loadConfig, parseContact, resolveSeeds, ConfigError } = require('../config');
+const { DEFAULT_TTL } = require('../kademlia/storage');
+
+// The rdata of a TXT record made of `chunks`.
+function txt(...chunks) {
+    return Buffer.concat(chunks.map(chunk => Buffer.concat([ Buffer.from([ chunk.length ]), Buffer.from(chunk) ])));
+}
+
+const ZONE = {
+    'seeds.test': {
+        16: [ txt('10.0.0.1:13005 10.0.0.2'), txt('10.0.0.3:', '13007'), txt('bogus:99999') ],
+        1: [ Buffer.from([ 10, 0, 0, 9 ]) ],
+        28: [ Buffer.from('20010db8000000000000000000000009', 'hex') ]
+    },
+    'boot.test': {
+        1: [ Buffer.from([ 10, 0, 1, 1 ]) ]
+    }
+};
+
+/**
+ * A name server answering for `zone` alone: name to type to the rdata
+ * of every record, and NXDOMAIN for other names.
+ */
+async function standIn(zone) {
+    let socket = createSocket('udp4');
+    socket.on('message', (query, { port, address }) => {
+        let labels = [];
+        let offset = 12;
+        while (query[offset]) {
+            labels.push(query.toString('ascii', offset + 1, offset + 1 + query[offset]));
+            offset += query[offset] + 1;
+        }
+
+        let name = labels.join('.').toLowerCase();
+        let type = query.readUInt16BE(offset + 1);
+        let records = (zone[name] || {})[type] || [];
+        let answers = records.map(rdata => {
+            let head = Buffer.alloc(12);
+            head.writeUInt16BE(0xc00c, 0);
+            head.writeUInt16BE(type, 2);
+            head.writeUInt16BE(1, 4);
+            head.writeUInt32BE(30, 6);
+            head.writeUInt16BE(rdata.length, 10);
+            return Buffer.concat([ head, rdata ]);
+        });
+
+        let head = Buffer.alloc(12);
+        query.copy(head, 0, 0, 2);
+        head.writeUInt16BE(0x8580 | (zone[name] ? 0 : 3), 2);
+        head.writeUInt16BE(1, 4);
+        head.writeUInt16BE(answers.length, 6);
+        socket.send(Buffer.concat([ head, query.slice(12, offset + 5), ...answers ]), port, address);
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    return socket;
+}
+
+test('seeds resolve through TXT and A/AAAA records of a local name server', async () => {
+    let server = await standIn(ZONE);
+    let dnsServers = [ `127.0.0.1:${server.address().port}` ];
+
+    try {
+        let contacts = await resolveSeeds([ 'boot.test:14000', '192.0.2.7:13009', 'missing.test' ],
+            [ 'seeds.test', 'missing.test' ], dnsServers);
+
+        assert.deepStrictEqual(contacts, [
+            [ '10.0.1.1', 14000 ],
+            [ '192.0.2.7', 13009 ],
+            [ '10.0.0.1', 13005 ],
+            [ '10.0.0.2', 13001 ],
+            [ '10.0.0.3', 13007 ],
+            [ '10.0.0.9', 13001 ],
+            [ '2001:db8::9', 13001 ]
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('the storage ttl comes from flags, the environment and the defaults', () => {
+    let [ config ] = loadConfig([], {});
+    assert.strictEqual(config.storage.ttl, DEFAULT_TTL);
+
+    [ config ] = loadConfig([], { CANBOX_STORAGE_TTL: '60000' });
+    assert.strictEqual(config.storage.ttl, 60000);
+
+    [ config ] = loadConfig([ '--storage-ttl', '3600000', '--storage-path', '/tmp/storage.log' ],
+        { CANBOX_STORAGE_TTL: '60000' });
+    assert.deepStrictEqual(config.storage, { backend: 'disk', path: '/tmp/storage.log', ttl: 3600000 });
+
+    assert.throws(() => loadConfig([ '--storage-ttl', '0' ], {}), ConfigError);
+    assert.throws(() => loadConfig([ '--storage-ttl', 'soon' ], {}), ConfigError);
+});
+
+test('seeds from flags, the environment and the config file need a port of 1 to 65535', () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    try {
+        let file = path.join(dir, 'canbox.json');
+        let fromFile = seeds => {
+            fs.writeFileSync(file, JSON.stringify({ seeds }));
+            return loadConfig([ '--config', file ], {});
+        };
+
+        let [ config ] = loadConfig([ '--seed', '192.0.2.1:13005,[2001:db8::1]:13006,seed.test' ], {});
+        assert.deepStrictEqual(config.seeds.map(seed => parseContact(seed)),
+            [ [ '192.0.2.1', 13005 ], [ '2001:db8::1', 13006 ], [ 'seed.test', 13001 ] ]);
+        assert.deepStrictEqual(fromFile([ [ '192.0.2.1', 13005 ] ])[0].seeds, [ [ '192.0.2.1', 13005 ] ]);
+
+        for (let seed of [ 'host:abc', 'host:0', 'host:70000', 'host:', '[2001:db8::1]:1.5' ]) {
+            assert.throws(() => loadConfig([ '--seed', seed ], {}), ConfigError, seed);
+            assert.throws(() => loadConfig([], { CANBOX_SEEDS: seed }), ConfigError, seed);
+            assert.throws(() => fromFile([ seed ]), ConfigError, seed);
+        }
+        assert.throws(() => fromFile([ [ '192.0.2.1', 'abc' ] ]), ConfigError);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
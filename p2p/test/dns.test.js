@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createSocket } = require('dgram');
+const { Resolver } = require('dns').promises;
+const { DNSServer } = require('../../gslb/dns');
+
+const ZONE = 'gslb.canbox.example';
+
+// A stand-in for the GSLB resolver, always ranking `nodes` in order, and
+// counting how often it was asked for them.
+function ranking(nodes) {
+    return {
+        catalog: new Map([ [ 'video', [] ] ]),
+        lookups: 0,
+        async candidates(service) {
+            this.lookups += 1;
+            return nodes.map(node => ({ node }));
+        },
+        async rank(client, candidates, count) {
+            return candidates.slice(0, count);
+        }
+    };
+}
+
+function node(i, ip) {
+    return { id: i.toString(16).padStart(40, 'a'), ip, port: 13000 + i };
+}
+
+function nameEnd(buf, offset) {
+    while (buf[offset] !== 0) {
+        if ((buf[offset] & 0xc0) === 0xc0) {
+            return offset + 2;
+        }
+        offset += buf[offset] + 1;
+    }
+    return offset + 1;
+}
+
+// Send one query and sum up the reply: its flags and the record types
+// of every section.
+function ask(port, name, type, size = null) {
+    let labels = name.split('.').map(label => Buffer.concat([ Buffer.from([ label.length ]), Buffer.from(label) ]));
+    let head = Buffer.from([ 0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, size ? 1 : 0 ]);
+    let tail = Buffer.from([ 0, type >> 8, type & 0xff, 0, 1 ]);
+    let opt = size ? Buffer.from([ 0, 0, 41, size >> 8, size & 0xff, 0, 0, 0, 0, 0, 0 ]) : Buffer.alloc(0);
+
+    let socket = createSocket('udp4');
+    return new Promise((resolve, reject) => {
+        socket.on('error', reject);
+        socket.on('message', buf => {
+            socket.close();
+
+            let counts = [ 6, 8, 10 ].map(at => buf.readUInt16BE(at));
+            let offset = nameEnd(buf, 12) + 4;
+            let sections = counts.map(count => {
+                let types = [];
+                for (let i = 0; i < count; i++) {
+                    let at = nameEnd(buf, offset);
+                    types.push(buf.readUInt16BE(at));
+                    offset = at + 10 + buf.readUInt16BE(at + 8);
+                }
+                return types;
+            });
+
+            assert.strictEqual(offset, buf.length);
+            resolve({ size: buf.length, flags: buf.readUInt16BE(2), sections });
+        });
+        socket.send(Buffer.concat([ head, ...labels, tail, opt ]), port, '127.0.0.1');
+    });
+}
+
+async function serve(nodes, count = 4) {
+    let server = new DNSServer(ranking(nodes), ZONE, {}, 30, count);
+    await server.listen(0, '127.0.0.1');
+
+    let client = new Resolver();
+    client.setServers([ `127.0.0.1:${server.transport.address().port}` ]);
+    return [ server, client, server.transport.address().port ];
+}
+
+test('a local client resolves services, SRV with glue and the zone apex', async () => {
+    let nodes = [ 1, 2, 3, 4 ].map(i => node(i, `192.0.2.${i}`));
+    let [ server, client ] = await serve(nodes);
+
+    try {
+        assert.deepStrictEqual((await client.resolve4(`video.${ZONE}`)).sort(), nodes.map(n => n.ip).sort());
+
+        let srv = await client.resolveSrv(`_video._udp.${ZONE}`);
+        assert.deepStrictEqual(srv.map(r => [ r.name, r.port ]).sort(),
+            nodes.map(n => [ `${n.id}.node.${ZONE}`, n.port ]).sort());
+
+        let soa = await client.resolveSoa(ZONE);
+        assert.strictEqual(soa.nsname, `ns.${ZONE}`);
+        assert.strictEqual(soa.minttl, 30);
+        assert.deepStrictEqual(await client.resolveNs(ZONE), [ `ns.${ZONE}` ]);
+
+        await assert.rejects(client.resolve4(`audio.${ZONE}`), { code: 'ENOTFOUND' });
+        await assert.rejects(client.resolve6(`video.${ZONE}`), { code: 'ENODATA' });
+        await assert.rejects(client.resolve4('example.org'), { code: 'EREFUSED' });
+    } finally {
+        server.stop();
+    }
+});
+
+test('negative answers carry the SOA of the zone', async () => {
+    let [ server, , port ] = await serve([ node(1, '192.0.2.1') ]);
+
+    try {
+        let missing = await ask(port, `audio.${ZONE}`, 1);
+        assert.strictEqual(missing.flags & 0xf, 3);
+        assert.deepStrictEqual(missing.sections, [ [], [ 6 ], [] ]);
+
+        let nodata = await ask(port, `video.${ZONE}`, 28);
+        assert.strictEqual(nodata.flags & 0xf, 0);
+        assert.deepStrictEqual(nodata.sections, [ [], [ 6 ], [] ]);
+
+        let apex = await ask(port, ZONE, 1);
+        assert.deepStrictEqual(apex.sections, [ [], [ 6 ], [] ]);
+    } finally {
+        server.stop();
+    }
+});
+
+test('large answers fit the client buffer, losing glue before records', async () => {
+    let nodes = [];
+    for (let i = 1; i <= 12; i++) {
+        nodes.push(node(i, `2001:db8::${i}`));
+    }
+
+    let [ server, , port ] = await serve(nodes.slice(0, 4));
+    try {
+        // four SRV records and their glue fit 512 bytes once compressed
+        let four = await ask(port, `_video._udp.${ZONE}`, 33);
+        assert.ok(four.size <= 512);
+        assert.strictEqual(four.flags & 0x0200, 0);
+        assert.deepStrictEqual(four.sections, [ [ 33, 33, 33, 33 ], [], [ 28, 28, 28, 28 ] ]);
+    } finally {
+        server.stop();
+    }
+
+    [ server, , port ] = await serve(nodes, 12);
+    try {
+        let plain = await ask(port, `_video._udp.${ZONE}`, 33);
+        assert.ok(plain.size <= 512, `${plain.size} bytes`);
+        assert.ok(plain.flags & 0x0200, 'TC is not set');
+        assert.deepStrictEqual(plain.sections[2], []);
+        assert.ok(plain.sections[0].length < 12);
+
+        let edns = await ask(port, `_video._udp.${ZONE}`, 33, 4096);
+        assert.strictEqual(edns.flags & 0x0200, 0);
+        assert.strictEqual(edns.sections[0].length, 12);
+        assert.deepStrictEqual(edns.sections[2], [ ...Array(12).fill(28), 41 ]);
+    } finally {
+        server.stop();
+    }
+});
+
+test('SRV targets resolve to the address of their node', async () => {
+    let nodes = [ node(1, '192.0.2.1'), node(2, '2001:db8::2') ];
+    let [ server, client, port ] = await serve(nodes);
+
+    try {
+        assert.deepStrictEqual(await client.resolve4(`${nodes[0].id}.node.${ZONE}`), [ '192.0.2.1' ]);
+        assert.deepStrictEqual(await client.resolve6(`${nodes[1].id}.node.${ZONE}`), [ '2001:db8::2' ]);
+        await assert.rejects(client.resolve6(`${nodes[0].id}.node.${ZONE}`), { code: 'ENODATA' });
+        await assert.rejects(client.resolve4(`${'f'.repeat(40)}.node.${ZONE}`), { code: 'ENOTFOUND' });
+
+        let missing = await ask(port, `${'f'.repeat(40)}.node.${ZONE}`, 1);
+        assert.deepStrictEqual(missing.sections, [ [], [ 6 ], [] ]);
+    } finally {
+        server.stop();
+    }
+});
+
+test('static pool targets resolve too, and name their service', async () => {
+    let server = new DNSServer(ranking([]), ZONE, { video: [ [ '203.0.113.10', 8080 ] ], audio: [ '203.0.113.20' ] });
+    await server.listen(0, '127.0.0.1');
+    let client = new Resolver();
+    client.setServers([ `127.0.0.1:${server.transport.address().port}` ]);
+
+    try {
+        let [ srv ] = await client.resolveSrv(`_video._udp.${ZONE}`);
+        assert.strictEqual(srv.name, `static0-video.node.${ZONE}`);
+        assert.deepStrictEqual(await client.resolve4(srv.name), [ '203.0.113.10' ]);
+        assert.deepStrictEqual(await client.resolve4(`static0-audio.node.${ZONE}`), [ '203.0.113.20' ]);
+    } finally {
+        server.stop();
+    }
+});
+
+test('the nodes of a service are looked up once a TTL, however many queries come', async () => {
+    let resolver = ranking([ node(1, '192.0.2.1'), node(2, '192.0.2.2') ]);
+    let server = new DNSServer(resolver, ZONE);
+    await server.listen(0, '127.0.0.1');
+    let port = server.transport.address().port;
+
+    try {
+        await Promise.all(Array.from({ length: 20 }, () => ask(port, `video.${ZONE}`, 1)));
+        await ask(port, `_video._udp.${ZONE}`, 33);
+        assert.strictEqual(resolver.lookups, 1);
+
+        server.pools.get('video')[1] = Date.now();
+        await ask(port, `video.${ZONE}`, 1);
+        assert.strictEqual(resolver.lookups, 2);
+    } finally {
+        server.stop();
+    }
+});
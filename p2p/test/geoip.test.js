@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GeoIP } = require('../../gslb/geoip');
+
+function database(lines) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+    let file = path.join(dir, 'geoip.csv');
+    fs.writeFileSync(file, [ 'network,country,latitude,longitude', ...lines ].join('\n'));
+    try {
+        return new GeoIP(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('the narrowest network holding an address wins', () => {
+    let geoip = database([
+        '10.1.2.0/24,C,3,3',
+        '10.0.0.0/8,A,1,1',
+        '# a comment',
+        '10.1.0.0/16,B,2,2',
+        '10.3.0.0/16,D,4,4',
+        '10.3.0.0/24,E,5,5',
+        '12.0.0.0/8,F,6,6'
+    ]);
+    let country = ip => (geoip.lookup(ip) || {}).country || null;
+
+    assert.strictEqual(country('10.0.0.1'), 'A');
+    assert.strictEqual(country('10.1.1.255'), 'B');
+    assert.strictEqual(country('10.1.2.7'), 'C');
+    assert.strictEqual(country('10.1.3.0'), 'B');
+    assert.strictEqual(country('10.2.0.1'), 'A');
+    assert.strictEqual(country('10.3.0.9'), 'E');
+    assert.strictEqual(country('10.3.1.0'), 'D');
+    assert.strictEqual(country('10.255.255.255'), 'A');
+    assert.strictEqual(country('11.0.0.1'), null);
+    assert.strictEqual(country('12.34.56.78'), 'F');
+    assert.strictEqual(country('9.255.255.255'), null);
+    assert.strictEqual(country('2001:db8::1'), null);
+
+    assert.deepStrictEqual(geoip.lookup('10.1.2.7'), { country: 'C', latitude: 3, longitude: 3 });
+});
+
+test('networks are flattened into ranges that do not overlap', () => {
+    let geoip = database([ '10.0.0.0/8,A,1,1', '10.1.0.0/16,B,2,2', '10.1.2.0/24,C,3,3' ]);
+
+    for (let i = 1; i < geoip.ranges.length; i++) {
+        assert.ok(geoip.ranges[i - 1].end < geoip.ranges[i].start);
+    }
+    assert.deepStrictEqual(geoip.ranges.map(r => r.country), [ 'A', 'B', 'C', 'B', 'A' ]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileLedger } = require('../ledger');
+
+async function withLedger(f) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    try {
+        await f(path.join(dir, 'ledger.jsonl'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// A ledger at `file` holding one presence record per name in `names`.
+async function filled(file, names) {
+    let ledger = new FileLedger(file);
+    let ids = [];
+    for (let name of names) {
+        ids.push(await ledger.submit({ type: 'presence', name }));
+    }
+    return [ ledger, ids ];
+}
+
+function lines(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line);
+}
+
+test('blocks are chained in the order records come in, also when they come at once', () => withLedger(async file => {
+    let ledger = new FileLedger(file);
+    let ids = await Promise.all([ 'a', 'b', 'c' ].map(name => ledger.submit({ type: 'presence', name })));
+
+    let reloaded = new FileLedger(file);
+    assert.strictEqual(reloaded.height, 3);
+    reloaded.blocks.forEach((block, height) => {
+        assert.strictEqual(block.height, height);
+        assert.strictEqual(block.prev, height ? reloaded.blocks[height - 1].hash : null);
+    });
+    assert.deepStrictEqual((await reloaded.query({ type: 'presence' })).map(({ record }) => record.name), [ 'a', 'b', 'c' ]);
+    assert.deepStrictEqual(await reloaded.confirm(ids[2]), { height: 2, hash: reloaded.head });
+    await assert.rejects(reloaded.submit({ name: 'untyped' }));
+}));
+
+test('a tampered block and all after it are dropped on load', () => withLedger(async file => {
+    let [ , ids ] = await filled(file, [ 'a', 'b', 'c' ]);
+
+    let blocks = lines(file).map(line => JSON.parse(line));
+    blocks[1].txs[0].record.name = 'mallory';
+    fs.writeFileSync(file, blocks.map(block => JSON.stringify(block) + '\n').join(''));
+
+    let reloaded = new FileLedger(file);
+    assert.strictEqual(reloaded.height, 1);
+    assert.strictEqual(await reloaded.confirm(ids[1]), null);
+    assert.strictEqual(await reloaded.confirm(ids[2]), null);
+    assert.strictEqual(lines(file).length, 1);
+
+    // what is sealed next follows the last good block
+    await reloaded.submit({ type: 'presence', name: 'd' });
+    let again = new FileLedger(file);
+    assert.deepStrictEqual(again.blocks.map(block => block.txs[0].record.name), [ 'a', 'd' ]);
+}));
+
+test('a block that does not follow the one before breaks the chain there', () => withLedger(async file => {
+    let [ , ids ] = await filled(file, [ 'a', 'b', 'c' ]);
+
+    // each block is intact, but b is gone
+    let [ a, , c ] = lines(file);
+    fs.writeFileSync(file, `${a}\n${c}\n`);
+
+    let reloaded = new FileLedger(file);
+    assert.strictEqual(reloaded.height, 1);
+    assert.deepStrictEqual(await reloaded.confirm(ids[0]), { height: 0, hash: reloaded.head });
+    assert.strictEqual(await reloaded.confirm(ids[2]), null);
+}));
+
+test('a torn last block is cut off', () => withLedger(async file => {
+    await filled(file, [ 'a', 'b' ]);
+    let whole = Buffer.byteLength(lines(file)[0]) + 1;
+    fs.truncateSync(file, whole + 10);
+
+    let reloaded = new FileLedger(file);
+    assert.strictEqual(reloaded.height, 1);
+    assert.strictEqual(fs.statSync(file).size, whole);
+}));
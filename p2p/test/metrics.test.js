@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('assert');
+const { ForgetfulStorage } = require('../kademlia/storage');
+const { sizeOf } = require('../kademlia/quota');
+const { registry, watchServer } = require('../metrics');
+
+// The value of the unlabelled metric `name` in a scrape.
+function scraped(name) {
+    let line = registry.expose().split('\n').find(line => line.startsWith(`${name} `));
+    return Number(line.split(' ')[1]);
+}
+
+test('the storage gauges read the running totals of the storage', () => {
+    let storage = new ForgetfulStorage;
+    storage.set('a', Buffer.from('one'), { sender: 'n1' });
+    storage.set('b', Buffer.from('two'), { sender: 'n1' });
+    storage.set('c', Buffer.from('three'), { sender: 'n2' });
+    storage.set('a', Buffer.from('replaced'), { sender: 'n1' });
+    storage.delete('c');
+
+    // a scrape must not walk every key
+    storage.entries = () => assert.fail('scraped by iterating the storage');
+    let unwatch = watchServer({ protocol: null, storage });
+    try {
+        assert.strictEqual(scraped('canbox_storage_keys'), 2);
+        assert.strictEqual(scraped('canbox_storage_bytes'), sizeOf('a', Buffer.from('replaced')) + sizeOf('b', Buffer.from('two')));
+        assert.strictEqual(scraped('canbox_storage_senders'), 1);
+    } finally {
+        unwatch();
+    }
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Random, VirtualClock, SimNetwork, Simulation } = require('../sim');
+const { classify } = require('../nat');
+
+// Where `at` has `server` in its routing table, or null.
+function endpointOf(server, at) {
+    let router = at.protocol.router;
+    let contact = router.buckets[router.getBucketFor(server.node)].get(server.node.id);
+    return contact ? [ contact.ip, contact.port ] : null;
+}
+
+// Sockets on a fresh network, each keeping the [ ip, port ] of what it got.
+function hosts(count) {
+    let clock = new VirtualClock;
+    let network = new SimNetwork(clock, new Random(1), 10, 0);
+    let sockets = [];
+    for (let i = 0; i < count; i++) {
+        let socket = network.createSocket('udp4').bind(13001, network.allocate());
+        socket.got = [];
+        socket.on('message', (data, { address, port }) => socket.got.push([ address, port ]));
+        sockets.push(socket);
+    }
+
+    let send = async (from, ip, port) => {
+        from.send('x', port, ip);
+        await clock.run(10);
+    };
+    return { network, send, sockets };
+}
+
+// A few open seeds, then one server behind a NAT of each kind.
+async function natted(seed = 5) {
+    let sim = new Simulation(seed, 20, 0);
+    sim.install();
+
+    let seeds = await sim.start(4);
+    let servers = {};
+    for (let [ name, nat ] of [
+        [ 'full', 'full-cone' ], [ 'left', 'restricted' ], [ 'right', 'restricted' ],
+        [ 'sym', 'symmetric' ], [ 'sym2', 'symmetric' ]
+    ]) {
+        servers[name] = await sim.until(sim.spawn(3, nat));
+    }
+    return { sim, seeds, ...servers };
+}
+
+test('classify tells open, cone and symmetric mappings apart', () => {
+    let local = new Set([ '10.0.0.1' ]);
+
+    assert.strictEqual(classify([], local, 13001), 'unknown');
+    assert.strictEqual(classify([ [ '10.0.0.1', 13001 ], [ '10.0.0.1', 13001 ] ], local, 13001), 'open');
+    assert.strictEqual(classify([ [ '1.2.3.4', 40000 ], [ '1.2.3.4', 40000 ] ], local, 13001), 'cone');
+    assert.strictEqual(classify([ [ '1.2.3.4', 40000 ], [ '1.2.3.4', 40001 ] ], local, 13001), 'symmetric');
+});
+
+test('a restricted NAT lets in only the ips it sent to', async () => {
+    let { network, send, sockets: [ a, b, c ] } = hosts(3);
+    let bIP = b.address().address;
+    let nat = network.behindNAT(a.address().address, 'restricted');
+
+    await send(b, nat, 49152);
+    assert.deepStrictEqual(a.got, []);
+
+    await send(a, bIP, 13001);
+    assert.deepStrictEqual(b.got, [ [ nat, 49152 ] ]);
+
+    await send(b, nat, 49152);
+    await send(c, nat, 49152);
+    assert.deepStrictEqual(a.got, [ [ bIP, 13001 ] ]);
+    assert.strictEqual(network.stats.filtered, 2);
+});
+
+test('a full-cone NAT lets everybody in once mapped', async () => {
+    let { network, send, sockets: [ a, b, c ] } = hosts(3);
+    let nat = network.behindNAT(a.address().address, 'full-cone');
+
+    await send(a, b.address().address, 13001);
+    await send(c, nat, 49152);
+    assert.deepStrictEqual(a.got, [ [ c.address().address, 13001 ] ]);
+});
+
+test('a symmetric NAT maps each destination to a port open to it alone', async () => {
+    let { network, send, sockets: [ a, b, c ] } = hosts(3);
+    let [ bIP, cIP ] = [ b, c ].map(s => s.address().address);
+    let nat = network.behindNAT(a.address().address, 'symmetric');
+
+    await send(a, bIP, 13001);
+    await send(a, cIP, 13001);
+    assert.deepStrictEqual(b.got, [ [ nat, 49152 ] ]);
+    assert.deepStrictEqual(c.got, [ [ nat, 49153 ] ]);
+
+    await send(b, nat, 49153);
+    await send(c, nat, 49153);
+    assert.deepStrictEqual(a.got, [ [ cIP, 13001 ] ]);
+});
+
+test('discovery classifies each simulated NAT', async () => {
+    let { sim, seeds, full, left, sym } = await natted();
+    try {
+        assert.deepStrictEqual(seeds.map(s => s.protocol.nat.type), [ 'unknown', 'open', 'open', 'open' ]);
+        assert.strictEqual(full.protocol.nat.type, 'cone');
+        assert.strictEqual(left.protocol.nat.type, 'cone');
+        assert.strictEqual(sym.protocol.nat.type, 'symmetric');
+
+        assert.strictEqual(left.protocol.nat.publicEndpoint[0], sim.network.nats.get(left.transport.address().address).ip);
+        assert.strictEqual(sym.protocol.nat.publicEndpoint, null);
+    } finally {
+        sim.stop();
+    }
+});
+
+test('a hole is punched between restricted NATs and kept for the path ttl', async () => {
+    let { sim, left, right } = await natted();
+    try {
+        let nat = left.protocol.nat;
+        let address = right.protocol.nat.publicEndpoint;
+
+        assert.strictEqual(await sim.until(nat.punch(address)), true);
+        assert.ok(nat.isPunched(address));
+        assert.ok(nat.status().paths.includes(address.join(':')));
+
+        let [ ok, id ] = await sim.until(left.protocol.hole(address));
+        assert.ok(ok);
+        assert.strictEqual(id, right.node.id);
+
+        await sim.run(nat.pathTTL + 1);
+        assert.ok(!nat.isPunched(address));
+        assert.deepStrictEqual(nat.status().paths, []);
+    } finally {
+        sim.stop();
+    }
+});
+
+test('a full-cone NAT is reached without punching', async () => {
+    let { sim, left, full } = await natted();
+    try {
+        let address = full.protocol.nat.publicEndpoint;
+        let [ ok ] = await sim.until(left.protocol.hole(address));
+
+        assert.ok(ok);
+        assert.ok(!left.protocol.nat.isPunched(address));
+    } finally {
+        sim.stop();
+    }
+});
+
+test('punching between symmetric NATs fails and is not retried for the path ttl', async () => {
+    let { sim, seeds, sym, sym2 } = await natted();
+    try {
+        let nat = sym.protocol.nat;
+        let address = endpointOf(sym2, seeds.find(s => endpointOf(sym2, s) !== null));
+        let filtered = sim.network.stats.filtered;
+
+        assert.strictEqual(await sim.until(nat.punch(address)), false);
+        assert.ok(sim.network.stats.filtered > filtered);
+        assert.ok(!nat.isPunched(address));
+        assert.ok(nat.status().failures.includes(address.join(':')));
+        assert.ok(!nat.shouldPunch('ping', address));
+
+        await sim.run(nat.pathTTL + 1);
+        assert.ok(nat.shouldPunch('ping', address));
+    } finally {
+        sim.stop();
+    }
+});
+
+test('introducers serve a limited number of stun requests a second', async () => {
+    let { sim, seeds, left, right } = await natted();
+    try {
+        let introducer = endpointOf(seeds[1], left);
+        let peer = endpointOf(right, seeds[1]);
+        assert.ok(introducer && peer);
+
+        await sim.run(1000);
+        let stun = () => sim.until(left.protocol.stun(introducer, peer));
+        let answers = [];
+        for (let i = 0; i < left.protocol.nat.requestLimit + 2; i++) {
+            answers.push(await stun());
+        }
+
+        let served = answers.filter(([ ok, result ]) => ok && result !== null);
+        assert.strictEqual(served.length, seeds[1].protocol.nat.requestLimit);
+        let [ ok, result ] = answers.slice(-1)[0];
+        assert.ok(ok);
+        assert.strictEqual(result, null);
+
+        await sim.run(1000);
+        [ ok, result ] = await stun();
+        assert.ok(ok);
+        assert.deepStrictEqual(result, left.protocol.nat.publicEndpoint);
+    } finally {
+        sim.stop();
+    }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Server } = require('../kademlia/network');
+const { digest } = require('../kademlia/utils');
+
+const HOUR = 3600 * 1000;
+
+async function pair() {
+    let a = new Server(8);
+    let b = new Server(8);
+    await a.listen(0, '127.0.0.1');
+    await b.listen(0, '127.0.0.1');
+    await b.bootstrap([ [ '127.0.0.1', a.transport.address().port ] ]);
+    return [ a, b ];
+}
+
+// Make the key `dkey` of `server` look `age` milliseconds old.
+function age(server, dkey, by) {
+    let entry = Map.prototype.get.call(server.storage, dkey);
+    entry[0] -= by;
+    entry[2].published -= by;
+}
+
+test('a republished key every peer refuses does not fail the refresh', async () => {
+    let [ a, b ] = await pair();
+    try {
+        let dkey = digest('replica');
+        a.storage.set(dkey, Buffer.from('value'), { expires: Date.now() + HOUR, publisher: 'cd'.repeat(20) });
+        age(a, dkey, 2 * HOUR);
+        b.protocol.rpc_store = () => ({ error: 'full' });
+
+        await a._refresh_table();
+        assert.strictEqual(String(a.storage.get(dkey)), 'value');
+    } finally {
+        a.stop();
+        b.stop();
+    }
+});
+
+test('our keys set with a ttl are republished for what is left of it, then dropped', async () => {
+    let [ a, b ] = await pair();
+    try {
+        let lasting = digest('lasting');
+        let short = digest('short');
+        await a.set_digest(lasting, Buffer.from('value'), 3 * 24 * HOUR);
+        await a.set_digest(short, Buffer.from('value'), 2 * HOUR);
+        let expires = a.storage.meta(lasting).expires;
+
+        age(a, lasting, 25 * HOUR);
+        age(a, short, 25 * HOUR);
+        a.storage.meta(short).expires -= 25 * HOUR;
+        b.storage.clear();
+
+        await a._refresh_table();
+        // give or take the time the republish took
+        assert.ok(Math.abs(a.storage.meta(lasting).expires - expires) < 1000);
+        assert.ok(b.storage.meta(lasting).expires < expires + 1000);
+        assert.strictEqual(a.storage.get(short), null);
+        assert.strictEqual(b.storage.get(short), null);
+    } finally {
+        a.stop();
+        b.stop();
+    }
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('assert');
+const dgram = require('dgram');
+const http = require('http');
+const { PortMapper } = require('../nat/portmap');
+const { Server } = require('../kademlia/network');
+
+const EXTERNAL_IP = '203.0.113.7';
+
+function udpServer(answer) {
+    return new Promise(resolve => {
+        let socket = dgram.createSocket('udp4');
+        socket.on('message', (msg, { address, port }) => {
+            let reply = answer(msg);
+            if (reply) {
+                socket.send(reply, port, address);
+            }
+        });
+        socket.bind(0, '127.0.0.1', () => resolve(socket));
+    });
+}
+
+/**
+ * A PCP server that maps the suggested external port, or the next one
+ * when `move` is set, and keeps the requests it got.
+ */
+async function pcpGateway() {
+    let gateway = { requests: [], move: false };
+    gateway.socket = await udpServer(msg => {
+        let request = {
+            lifetime: msg.readUInt32BE(4),
+            internalPort: msg.readUInt16BE(40),
+            externalPort: msg.readUInt16BE(42)
+        };
+        gateway.requests.push(request);
+
+        let answer = Buffer.alloc(60);
+        answer[0] = 2;
+        answer[1] = 0x80 | msg[1];
+        answer.writeUInt32BE(request.lifetime, 4);
+        msg.copy(answer, 24, 24, 40);
+        answer.writeUInt16BE(request.lifetime && request.externalPort + (gateway.move ? 1 : 0), 42);
+        answer.writeUInt16BE(0xffff, 54);
+        Buffer.from(EXTERNAL_IP.split('.').map(Number)).copy(answer, 56);
+        return answer;
+    });
+    gateway.address = [ '127.0.0.1', gateway.socket.address().port ];
+    return gateway;
+}
+
+// A NAT-PMP server, which answers PCP requests with its own version.
+async function natpmpGateway() {
+    let gateway = { requests: [] };
+    gateway.socket = await udpServer(msg => {
+        if (msg[0] !== 0) {
+            return Buffer.from([ 0, 0x80 | msg[1], 0, 1, 0, 0, 0, 0 ]);
+        }
+        if (msg[1] === 0) {
+            return Buffer.from([ 0, 128, 0, 0, 0, 0, 0, 0, ...EXTERNAL_IP.split('.').map(Number) ]);
+        }
+
+        let request = { internalPort: msg.readUInt16BE(4), externalPort: msg.readUInt16BE(6), lifetime: msg.readUInt32BE(8) };
+        gateway.requests.push(request);
+
+        let answer = Buffer.alloc(16);
+        answer[1] = 128 + msg[1];
+        answer.writeUInt16BE(request.internalPort, 8);
+        answer.writeUInt16BE(request.lifetime && request.externalPort, 10);
+        answer.writeUInt32BE(request.lifetime, 12);
+        return answer;
+    });
+    gateway.address = [ '127.0.0.1', gateway.socket.address().port ];
+    return gateway;
+}
+
+/**
+ * An SSDP responder and the IGD it points at, which keeps the SOAP
+ * actions it got.  With `permanent` set, it only takes leases that never
+ * expire, like some routers.
+ */
+async function upnpGateway(permanent = false) {
+    let gateway = { actions: [] };
+    gateway.http = http.createServer((req, res) => {
+        if (req.method === 'GET') {
+            res.end('<root><device><serviceList><service>' +
+                '<serviceType>urn:schemas-upnp-org:service:WANIPConnection:1</serviceType>' +
+                '<controlURL>/control</controlURL>' +
+                '</service></serviceList></device></root>');
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let action = req.headers.soapaction.match(/#(\w+)"/)[1];
+            let args = {};
+            for (let [ , name, value ] of body.matchAll(/<(New\w+)>([^<]*)<\/New\w+>/g)) {
+                args[name] = value;
+            }
+            gateway.actions.push([ action, args ]);
+
+            if (action === 'AddPortMapping' && permanent && args.NewLeaseDuration !== '0') {
+                res.statusCode = 500;
+                res.end('<UPnPError><errorCode>725</errorCode><errorDescription>OnlyPermanentLeasesSupported</errorDescription></UPnPError>');
+                return;
+            }
+            res.end(action === 'GetExternalIPAddress' ? `<NewExternalIPAddress>${EXTERNAL_IP}</NewExternalIPAddress>` : '');
+        });
+    });
+    await new Promise(resolve => gateway.http.listen(0, '127.0.0.1', resolve));
+
+    let location = `http://127.0.0.1:${gateway.http.address().port}/igd.xml`;
+    gateway.socket = await udpServer(msg => /^M-SEARCH/.test(msg.toString()) && `HTTP/1.1 200 OK\r\nLOCATION: ${location}\r\n\r\n`);
+    gateway.ssdp = [ '127.0.0.1', gateway.socket.address().port ];
+    gateway.close = () => {
+        gateway.socket.close();
+        gateway.http.close();
+    };
+    return gateway;
+}
+
+test('PCP maps, renews on the same external port and unmaps', async () => {
+    let gateway = await pcpGateway();
+    let mapper = new PortMapper({ methods: [ 'pcp' ], gateway: gateway.address, lifetime: 60000, timeout: 1000 });
+    try {
+        let mapping = await mapper.map(4000);
+        assert.deepStrictEqual(mapping, { method: 'pcp', internalPort: 4000, externalIP: EXTERNAL_IP, externalPort: 4000, lifetime: 60000 });
+
+        let moved = [];
+        mapper.changed = changed => moved.push(changed);
+        gateway.move = true;
+        let renewed = await mapper.renew();
+        assert.strictEqual(gateway.requests[1].externalPort, 4000);
+        assert.strictEqual(renewed.externalPort, 4001);
+        assert.deepStrictEqual(moved, [ renewed ]);
+
+        await mapper.close();
+        assert.deepStrictEqual(gateway.requests[2], { lifetime: 0, internalPort: 4000, externalPort: 0 });
+        assert.strictEqual(mapper.status(), null);
+    } finally {
+        mapper.close();
+        gateway.socket.close();
+    }
+});
+
+test('NAT-PMP maps, renews and unmaps once PCP is turned down', async () => {
+    let gateway = await natpmpGateway();
+    let mapper = new PortMapper({ gateway: gateway.address, methods: [ 'pcp', 'natpmp' ], lifetime: 60000, timeout: 1000 });
+    try {
+        let mapping = await mapper.map(4000);
+        assert.deepStrictEqual(mapping, { method: 'natpmp', internalPort: 4000, externalIP: EXTERNAL_IP, externalPort: 4000, lifetime: 60000 });
+
+        let renewed = await mapper.renew();
+        assert.deepStrictEqual(renewed, mapping);
+        assert.strictEqual(gateway.requests.length, 2);
+
+        await mapper.close();
+        assert.deepStrictEqual(gateway.requests[2], { internalPort: 4000, externalPort: 0, lifetime: 0 });
+    } finally {
+        mapper.close();
+        gateway.socket.close();
+    }
+});
+
+test('UPnP finds the gateway, maps, renews and unmaps', async () => {
+    let gateway = await upnpGateway();
+    let mapper = new PortMapper({ methods: [ 'upnp' ], ssdp: gateway.ssdp, lifetime: 60000, timeout: 1000 });
+    try {
+        let mapping = await mapper.map(4000);
+        assert.deepStrictEqual(mapping, { method: 'upnp', internalPort: 4000, externalIP: EXTERNAL_IP, externalPort: 4000, lifetime: 60000 });
+        let [ add, args ] = gateway.actions[0];
+        assert.strictEqual(add, 'AddPortMapping');
+        assert.strictEqual(args.NewProtocol, 'UDP');
+        assert.strictEqual(args.NewLeaseDuration, '60');
+
+        await mapper.renew();
+        assert.deepStrictEqual(gateway.actions.map(([ action ]) => action),
+            [ 'AddPortMapping', 'GetExternalIPAddress', 'AddPortMapping', 'GetExternalIPAddress' ]);
+
+        await mapper.close();
+        assert.deepStrictEqual(gateway.actions[4], [ 'DeletePortMapping', { NewRemoteHost: '', NewExternalPort: '4000', NewProtocol: 'UDP' } ]);
+    } finally {
+        mapper.close();
+        gateway.close();
+    }
+});
+
+test('UPnP falls back to a permanent lease when the gateway only takes those', async () => {
+    let gateway = await upnpGateway(true);
+    let mapper = new PortMapper({ methods: [ 'upnp' ], ssdp: gateway.ssdp, lifetime: 60000, timeout: 1000 });
+    try {
+        let mapping = await mapper.map(4000);
+        assert.strictEqual(mapping.lifetime, 60000);
+        assert.deepStrictEqual(gateway.actions.slice(0, 2).map(([ , args ]) => args.NewLeaseDuration), [ '60', '0' ]);
+    } finally {
+        mapper.close();
+        gateway.close();
+    }
+});
+
+test('stopping a server waits for its port mapping to be removed', async () => {
+    let gateway = await pcpGateway();
+    let server = new Server(8);
+    server.mapPorts({ methods: [ 'pcp' ], gateway: gateway.address, timeout: 1000 });
+    try {
+        await server.listen(0, '127.0.0.1');
+        let port = server.transport.address().port;
+        assert.deepStrictEqual(server.mapped, [ EXTERNAL_IP, port ]);
+
+        await server.stop();
+        assert.deepStrictEqual(gateway.requests.slice(-1)[0], { lifetime: 0, internalPort: port, externalPort: 0 });
+    } finally {
+        gateway.socket.close();
+    }
+});
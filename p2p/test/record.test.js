@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Identity } = require('../identity');
+const { Node } = require('../kademlia/node');
+const { ValueSpiderCrawl } = require('../kademlia/crawling');
+const { createMutable, mutableKey, checkUpdate } = require('../kademlia/record');
+
+const owner = Identity.fromSeed(Buffer.alloc(32, 1));
+const key = mutableKey(owner.publicKey, 'device');
+
+test('checkUpdate takes newer signed records only', () => {
+    let first = createMutable(owner, 'device', 1, Buffer.from('one'));
+    let second = createMutable(owner, 'device', 2, Buffer.from('two'));
+    let other = createMutable(owner, 'device', 2, Buffer.from('other'));
+
+    assert.strictEqual(checkUpdate(key, null, first), null);
+    assert.strictEqual(checkUpdate(key, first, second), null);
+    assert.strictEqual(checkUpdate(key, second, second), null);
+    assert.strictEqual(checkUpdate(key, second, first), 'stale sequence number');
+    assert.strictEqual(checkUpdate(key, second, other), 'conflicting record with the same sequence number');
+    assert.strictEqual(checkUpdate(key, first, Buffer.from('plain')), 'unsigned update of a signed record');
+    assert.strictEqual(checkUpdate(key, Buffer.from('plain'), Buffer.from('again')), null);
+});
+
+test('checkUpdate refuses records signed by others or for other keys', () => {
+    let mallory = Identity.fromSeed(Buffer.alloc(32, 2));
+    let forged = createMutable(mallory, 'device', 9, Buffer.from('forged'));
+    let tampered = Object.assign(createMutable(owner, 'device', 3, Buffer.from('three')), { seq: 4 });
+
+    assert.strictEqual(checkUpdate(key, null, forged), 'bad signature');
+    assert.strictEqual(checkUpdate(key, null, tampered), 'bad signature');
+    assert.strictEqual(checkUpdate(mutableKey(owner.publicKey, 'other'), null, createMutable(owner, 'device', 1, Buffer.from('x'))), 'bad signature');
+});
+
+test('a lookup that finds a signed record asks the k closest nodes and takes the newest', async () => {
+    let target = new Node(key);
+    let peers = Array.from({ length: 4 }, (_, i) => new Node(Identity.fromSeed(Buffer.alloc(32, 10 + i)).id));
+    peers.sort((a, b) => target.distanceTo(a).comparedTo(target.distanceTo(b)));
+
+    // the closest node has a stale record, a farther one the newest, and
+    // one a forged record with a higher sequence number
+    let mallory = Identity.fromSeed(Buffer.alloc(32, 2));
+    let answers = new Map([
+        [ peers[0].id, { value: createMutable(owner, 'device', 1, Buffer.from('old')) } ],
+        [ peers[1].id, { value: createMutable(mallory, 'device', 9, Buffer.from('forged')) } ],
+        [ peers[2].id, [] ],
+        [ peers[3].id, { value: createMutable(owner, 'device', 2, Buffer.from('new')) } ]
+    ]);
+    let asked = [];
+    let protocol = {
+        callFindValue: async peer => {
+            asked.push(peer.id);
+            return [ true, answers.get(peer.id) ];
+        },
+        callStore: async () => [ true, true ]
+    };
+
+    let record = await new ValueSpiderCrawl(protocol, target, peers, 4, 1).find();
+    assert.strictEqual(String(record.v), 'new');
+    assert.strictEqual(record.seq, 2);
+    assert.deepStrictEqual(asked.sort(), peers.map(p => p.id).sort());
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Relay } = require('../rpcudp/relay');
+
+const RELAY = [ '10.0.0.1', 13001 ];
+const FAR = [ '10.0.0.2', 13002 ];
+const ID = 'ab'.repeat(20);
+
+// A FROM_ENDPOINT frame carrying `inner` from `endpoint`.
+function fromEndpoint([ ip, port ], inner) {
+    let head = Buffer.alloc(25);
+    head[0] = 0x04;
+    head[1] = 2;
+    head.writeUInt16BE(port, 22);
+    head[24] = ip.length;
+    return Buffer.concat([ head, Buffer.from(ip), inner ]);
+}
+
+function relay(signer = ID) {
+    let delivered = [];
+    let r = new Relay(() => {}, (data, address) => {
+        delivered.push(address);
+        return signer;
+    });
+    return [ r, delivered ];
+}
+
+test('relayed datagrams from anyone but our relay are dropped', () => {
+    let [ r, delivered ] = relay();
+    r.receive(fromEndpoint(FAR, Buffer.from('x')), [ '10.6.6.6', 1 ]);
+
+    assert.deepStrictEqual(delivered, []);
+    assert.strictEqual(r.isRouted(FAR), false);
+});
+
+test('a route through our relay is learned from a verified request', () => {
+    let [ r, delivered ] = relay();
+    r.upstream = RELAY;
+    r.receive(fromEndpoint(FAR, Buffer.from('x')), RELAY);
+
+    assert.deepStrictEqual(delivered, [ FAR ]);
+    assert.strictEqual(r.isRouted(FAR), true);
+});
+
+test('no route is learned from unverified datagrams or the wrong signer', () => {
+    let [ unsigned ] = relay(null);
+    unsigned.upstream = RELAY;
+    unsigned.receive(fromEndpoint(FAR, Buffer.from('x')), RELAY);
+    assert.strictEqual(unsigned.isRouted(FAR), false);
+
+    let [ r ] = relay();
+    r.upstream = RELAY;
+    r.knows = (id, endpoint) => id !== ID;
+    r.receive(fromEndpoint(FAR, Buffer.from('x')), RELAY);
+    assert.strictEqual(r.isRouted(FAR), false);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const { randomBytes } = require('crypto');
+const { encode } = require('msgpack5')();
+const { Identity } = require('../identity');
+const { RPCProtocol } = require('../rpcudp');
+
+const [ A, B, C ] = [ 1, 2, 3 ].map(i => Identity.fromSeed(Buffer.alloc(32, i)));
+const CLIENT = { address: '10.0.0.1', port: 13001 };
+const SERVER = [ '10.0.0.2', 13002 ];
+
+// Answers echo requests, and keeps the verified id of whoever asked.
+class Echo extends RPCProtocol {
+    constructor(identity, replayWindow = 120000) {
+        super(1000, identity, 65536, replayWindow);
+        this.served = [];
+        this.sent = [];
+        this.connection_made({ type: 'udp4', send: (data, port, host, cb) => {
+            this.sent.push(data);
+            cb(null);
+        } });
+    }
+
+    rpc_echo(sender, value) {
+        this.served.push(sender[2]);
+        return value;
+    }
+}
+
+// A request datagram signed by `identity` at `time`, as _envelope lays it out.
+function request(identity, time, body = encode([ 'echo', [ 'hi' ] ])) {
+    let stamp = Buffer.alloc(6);
+    stamp.writeUIntBE(time, 0, 6);
+    let head = Buffer.concat([ Buffer.from([ 0 ]), randomBytes(20), stamp ]);
+    return Buffer.concat([ head, identity.publicKey, identity.sign(Buffer.concat([ head, body ])), body ]);
+}
+
+// Requests are answered on a later turn of the event loop.
+function served() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+test('a request is served once, and its replay from anywhere is dropped', async () => {
+    let client = new Echo(A);
+    let server = new Echo(B);
+    try {
+        let call = client.rpc('echo', SERVER, 'hi');
+        let [ datagram ] = client.sent;
+        server.datagram_received(datagram, CLIENT);
+        await served();
+        assert.deepStrictEqual(server.served, [ A.id ]);
+
+        client.datagram_received(server.sent[0], { address: SERVER[0], port: SERVER[1] });
+        let [ ok, value, signer ] = await call;
+        assert.deepStrictEqual([ ok, value, signer ], [ true, 'hi', B.id ]);
+
+        server.datagram_received(datagram, CLIENT);
+        server.datagram_received(datagram, { address: '10.6.6.6', port: 1 });
+        await served();
+        assert.deepStrictEqual(server.served, [ A.id ]);
+        assert.strictEqual(server.sent.length, 1);
+    } finally {
+        client.connection_lost();
+        server.connection_lost();
+    }
+});
+
+test('datagrams with a bad signature or signed off our clock are dropped', async () => {
+    let server = new Echo(B, 60000);
+    try {
+        let tampered = request(A, Date.now());
+        tampered[tampered.length - 1] ^= 1;
+        server.datagram_received(tampered, CLIENT);
+
+        // signed by A, but claiming the key of C
+        let swapped = request(A, Date.now());
+        C.publicKey.copy(swapped, 27);
+        server.datagram_received(swapped, CLIENT);
+
+        server.datagram_received(request(A, Date.now() - 120000), CLIENT);
+        server.datagram_received(request(A, Date.now() + 120000), CLIENT);
+        await served();
+        assert.deepStrictEqual(server.served, []);
+
+        server.datagram_received(request(C, Date.now()), CLIENT);
+        await served();
+        assert.deepStrictEqual(server.served, [ C.id ]);
+    } finally {
+        server.connection_lost();
+    }
+});
+
+test('a response with a bad signature does not answer the call', async () => {
+    let client = new Echo(A);
+    let server = new Echo(B);
+    try {
+        let call = client.rpc('echo', SERVER, 'hi');
+        server.datagram_received(client.sent[0], CLIENT);
+        await served();
+
+        let answer = server.sent[0];
+        let forged = Buffer.from(answer);
+        forged[forged.length - 1] ^= 1;
+        client.datagram_received(forged, { address: SERVER[0], port: SERVER[1] });
+        assert.strictEqual(client._outstanding.size, 1);
+
+        client.datagram_received(answer, { address: SERVER[0], port: SERVER[1] });
+        assert.deepStrictEqual((await call).slice(0, 3), [ true, 'hi', B.id ]);
+    } finally {
+        client.connection_lost();
+        server.connection_lost();
+    }
+});
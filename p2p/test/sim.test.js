@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('assert');
+const churn = require('../sim/scenarios/churn');
+const adversarial = require('../sim/scenarios/adversarial');
+
+test('a churn scenario runs the same twice with the same seed', async () => {
+    let first = await churn.run(3, 20, 3);
+    let second = await churn.run(3, 20, 3);
+
+    assert.deepStrictEqual(second, first);
+    assert.ok(first.found >= 2, `only ${first.found} of ${first.lookups} keys found`);
+});
+
+test('disjoint lookups get past colluding and malformed peers', async () => {
+    let result = await adversarial.run(1, 40, 3, 10);
+
+    assert.ok(result.disjoint >= result.single, `${result.disjoint} disjoint against ${result.single} single`);
+    assert.ok(result.disjoint >= 8, `only ${result.disjoint} of ${result.lookups} lookups found the value`);
+});
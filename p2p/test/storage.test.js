@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PersistentStorage } = require('../kademlia/storage');
+
+function withLog(f) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    try {
+        f(path.join(dir, 'storage.log'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// The keys and values of `storage`, as strings.
+function contents(storage) {
+    return Object.fromEntries(storage.items().map(([ k, v ]) => [ k, v.toString() ]));
+}
+
+test('overwrites, deletes and usage totals survive a restart', () => withLog(log => {
+    let storage = new PersistentStorage(log);
+    storage.set('a', Buffer.from('one'), { sender: 'n1' });
+    storage.set('b', Buffer.from('two'), { sender: 'n2' });
+    storage.set('a', Buffer.from('uno'), { sender: 'n1' });
+    storage.delete('b');
+    let { bytes } = storage;
+    storage.close();
+
+    let restarted = new PersistentStorage(log);
+    try {
+        assert.deepStrictEqual(contents(restarted), { a: 'uno' });
+        assert.strictEqual(restarted.bytes, bytes);
+        assert.deepStrictEqual(Array.from(restarted.senders.keys()), [ 'n1' ]);
+    } finally {
+        restarted.close();
+    }
+}));
+
+test('a torn last entry is cut off, and what is written next is kept', () => withLog(log => {
+    let storage = new PersistentStorage(log);
+    storage.set('a', Buffer.from('one'));
+    storage.set('b', Buffer.from('two'));
+    let whole = fs.statSync(log).size;
+    storage.set('c', Buffer.from('three'));
+    storage.close();
+
+    // a crash in the middle of writing c
+    fs.truncateSync(log, whole + 7);
+
+    let restarted = new PersistentStorage(log);
+    assert.deepStrictEqual(contents(restarted), { a: 'one', b: 'two' });
+    assert.strictEqual(fs.statSync(log).size, whole);
+    restarted.set('d', Buffer.from('four'));
+    restarted.close();
+
+    let again = new PersistentStorage(log);
+    try {
+        assert.deepStrictEqual(contents(again), { a: 'one', b: 'two', d: 'four' });
+    } finally {
+        again.close();
+    }
+}));
+
+test('entries from a corrupt one on are dropped', () => withLog(log => {
+    let storage = new PersistentStorage(log);
+    storage.set('a', Buffer.from('one'));
+    let first = fs.statSync(log).size;
+    storage.set('b', Buffer.from('two'));
+    storage.set('c', Buffer.from('three'));
+    storage.close();
+
+    // a flipped bit in the payload of b fails its checksum
+    let buf = fs.readFileSync(log);
+    buf[first + 10] ^= 1;
+    fs.writeFileSync(log, buf);
+
+    let restarted = new PersistentStorage(log);
+    try {
+        assert.deepStrictEqual(contents(restarted), { a: 'one' });
+        assert.strictEqual(fs.statSync(log).size, first);
+    } finally {
+        restarted.close();
+    }
+}));
+
+test('compaction keeps the live entries alone', () => withLog(log => {
+    let storage = new PersistentStorage(log);
+    for (let i = 0; i < 50; i++) {
+        storage.set('a', Buffer.from(`v${i}`));
+    }
+    storage.set('b', Buffer.from('two'));
+    let grown = fs.statSync(log).size;
+    storage.compact();
+    assert.ok(fs.statSync(log).size < grown / 10);
+    storage.close();
+
+    let restarted = new PersistentStorage(log);
+    try {
+        assert.deepStrictEqual(contents(restarted), { a: 'v49', b: 'two' });
+        assert.strictEqual(restarted.logged, 2);
+    } finally {
+        restarted.close();
+    }
+}));
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Identity } = require('../identity');
+const { FileLedger } = require('../ledger');
+const { BandwidthVerifier, recordKey, signRecord } = require('../../bandwidth/verifier');
+
+const [ A, B, C ] = [ 1, 2, 3 ].map(i => Identity.fromSeed(Buffer.alloc(32, i)));
+
+function record(identity, session, peer, Send = 10, Recv = 10) {
+    return signRecord(identity, { Session: session, Node: identity.id, Peer: peer, Send, Recv, Time: Date.now() });
+}
+
+// A server whose DHT holds `records` by key.
+function dht(records = {}) {
+    return { get: async key => key in records ? Buffer.from(JSON.stringify(records[key])) : null };
+}
+
+test('verify takes a signed pair of matching records', () => {
+    let verifier = new BandwidthVerifier(dht());
+    let [ ok, reason ] = verifier.verify('s1', A.id, B.id, record(A, 's1', B.id), record(B, 's1', A.id, 11, 9));
+
+    assert.ok(ok, reason);
+});
+
+test('verify refuses a record found for one node but signed by another', () => {
+    let verifier = new BandwidthVerifier(dht());
+
+    // C stored its own record under A's key, paired with a record of B
+    let forged = record(C, 's1', B.id);
+    let own = record(B, 's1', C.id);
+    assert.deepStrictEqual(verifier.verify('s1', A.id, B.id, forged, own), [ false, 'wrong node' ]);
+    assert.deepStrictEqual(verifier.verify('s1', A.id, B.id, record(A, 's1', B.id), forged), [ false, 'wrong node' ]);
+});
+
+test('verify refuses tampered, stale, unpaired and lopsided records', () => {
+    let verifier = new BandwidthVerifier(dht(), 0.2, 60000);
+    let ra = record(A, 's1', B.id);
+    let rb = record(B, 's1', A.id);
+
+    let verify = (a, b) => verifier.verify('s1', A.id, B.id, a, b)[1];
+    assert.strictEqual(verify(Object.assign({}, ra, { Send: 1000 }), rb), 'bad signature');
+    assert.strictEqual(verify(ra, Object.assign({}, rb, { Key: C.publicKey.toString('hex') })), 'bad signature');
+    assert.strictEqual(verify(signRecord(A, Object.assign({}, ra, { Time: Date.now() - 120000 })), rb), 'stale');
+    assert.strictEqual(verify(record(A, 's1', C.id), rb), 'unpaired');
+    assert.strictEqual(verify(record(A, 's1', B.id, 100), rb), 'A->B out of tolerance');
+    assert.strictEqual(verify(ra, null), 'one-sided');
+    assert.strictEqual(verifier.verify('s2', A.id, B.id, ra, rb)[1], 'session mismatch');
+});
+
+test('a session is accepted once, also across verifiers sharing a ledger', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-'));
+    try {
+        let server = dht({
+            [recordKey('s1', A.id)]: record(A, 's1', B.id),
+            [recordKey('s1', B.id)]: record(B, 's1', A.id)
+        });
+
+        let memory = new BandwidthVerifier(server);
+        assert.ok((await memory.check('s1', A.id, B.id))[0]);
+        assert.deepStrictEqual(await memory.check('s1', A.id, B.id), [ false, 'replayed' ]);
+
+        // both at once: the second is refused while the first is checked
+        let ledger = new FileLedger(path.join(dir, 'ledger.jsonl'));
+        let first = new BandwidthVerifier(server, 0.2, 3600000, 60000, ledger);
+        let results = await Promise.all([ first.check('s1', A.id, B.id), first.check('s1', A.id, B.id) ]);
+        assert.deepStrictEqual(results.map(([ ok ]) => ok), [ true, false ]);
+
+        let restarted = new BandwidthVerifier(server, 0.2, 3600000, 60000, new FileLedger(ledger.path));
+        assert.deepStrictEqual(await restarted.check('s1', A.id, B.id), [ false, 'replayed' ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});